@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Tune the confidence curves on the labelled fixture corpus
+ * Replays the snapshots in test/fixtures, pairs each pattern's raw score with the
+ * labels in test/labels.json and writes src/engine/calibration.json.
+ * The fixtures are a few synthetic sites, so the result is a set of hand-tuned
+ * defaults (mostly shifted midpoints), not a probability calibration.
+ * Pages without a label are skipped; a labelled page counts as a negative for
+ * every pattern it is not labelled with.
+ *
+ * Usage: npm run calibrate
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { classifyPage } from '../src/engine/classifier.js';
+import { getPattern, getPatternIds } from '../src/engine/patterns.js';
+import { fitCalibration, getThresholds } from '../src/engine/calibration.js';
+
+const FIXTURES_DIR = new URL('../test/fixtures/', import.meta.url);
+const LABELS_PATH = new URL('../test/labels.json', import.meta.url);
+const CALIBRATION_PATH = new URL('../src/engine/calibration.json', import.meta.url);
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+const labels = JSON.parse(await readFile(LABELS_PATH, 'utf8'));
+const samplesByPattern = Object.fromEntries(getPatternIds().map(id => [id, []]));
+let pages = 0;
+
+for (const file of (await readdir(FIXTURES_DIR)).filter(f => f.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(await readFile(new URL(file, FIXTURES_DIR), 'utf8'));
+
+  for (const snapshot of fixture.crawl.snapshots) {
+    const expected = labels[snapshot.url];
+    if (!expected) continue;
+    pages++;
+
+    const scores = new Map(classifyPage(snapshot).map(m => [m.patternId, m.rawScore]));
+    for (const patternId of getPatternIds()) {
+      samplesByPattern[patternId].push({ score: scores.get(patternId) || 0, label: expected.includes(patternId) });
+    }
+  }
+}
+
+const patterns = fitCalibration(samplesByPattern);
+
+console.log(`Tuned on ${pages} labelled page(s)\n`);
+for (const patternId of getPatternIds()) {
+  const curve = patterns[patternId];
+  if (!curve) {
+    console.log(`${patternId}: default curve (needs labelled positives and negatives)`);
+    continue;
+  }
+
+  // How the curve and the pattern's strong threshold sort the labelled pages
+  const { STRONG } = getThresholds(getPattern(patternId));
+  const correct = samplesByPattern[patternId]
+    .filter(s => (sigmoid((s.score - curve.midpoint) / curve.scale) >= STRONG) === s.label).length;
+  console.log(
+    `${patternId}: midpoint ${curve.midpoint}, scale ${curve.scale} ` +
+    `(${curve.positives}+/${curve.negatives}-, ${correct}/${curve.positives + curve.negatives} correct at ${STRONG})`
+  );
+}
+
+await writeFile(CALIBRATION_PATH, JSON.stringify({ tunedAt: new Date().toISOString(), pages, patterns }, null, 2) + '\n');
+console.log(`\nWrote ${CALIBRATION_PATH.pathname}`);
@@ -3,19 +3,40 @@
  * Compares claimed features against detected patterns
  */
 
-import { CLAIM_TO_PATTERN_MAP } from '../extractor/claims.js';
+import { CLAIM_TO_PATTERN_MAP, CLAIM_TO_THIRD_PARTY_MAP } from '../extractor/claims.js';
+import { getPattern } from '../engine/patterns.js';
 
-const CONFIDENCE_THRESHOLDS = {
-  STRONG: 50,
-  WEAK: 25
-};
+/**
+ * Confidence (0-1) as a percentage for explanations
+ */
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+/**
+ * Names of the patterns a claim is checked against, for explanations
+ */
+function describePatterns(patternIds) {
+  const names = patternIds.map(id => getPattern(id)?.name).filter(Boolean);
+  if (names.length === 0) return 'any detection pattern';
+  return names.map(name => `"${name}"`).join(' or ');
+}
+
+/**
+ * Sentence naming the third-party integrations found for a claim, for explanations
+ */
+function describeThirdParties(vendors) {
+  if (vendors.length === 0) return '';
+  return ` Third-party integration(s) loaded: ${vendors.map(v => v.name).join(', ')}.`;
+}
 
 /**
  * @typedef {Object} ComparisonFinding
  * @property {string} type - 'claimed_not_detected' | 'weak_detection' | 'detected_not_claimed'
  * @property {string} feature - Feature name
- * @property {number} confidence - Detection confidence (if applicable)
+ * @property {number} confidence - Detection confidence from 0 to 1 (if applicable)
  * @property {string[]} evidencePages - URLs of evidence pages
+ * @property {string[]} [thirdParties] - Vendors backing the claim (claim findings only)
  * @property {string} explanation - Human-readable explanation
  */
 
@@ -27,7 +48,7 @@ const CONFIDENCE_THRESHOLDS = {
  */
 export function compareClaimsVsDetections(claimsResult, classificationResult) {
   const { claims } = claimsResult;
-  const { detectedFeatures } = classificationResult;
+  const { detectedFeatures, thirdParties = [] } = classificationResult;
 
   const findings = [];
   const summary = {
@@ -57,6 +78,9 @@ export function compareClaimsVsDetections(claimsResult, classificationResult) {
 
   for (const claim of claims) {
     const relatedPatterns = CLAIM_TO_PATTERN_MAP[claim.id] || [];
+    const relatedCategories = CLAIM_TO_THIRD_PARTY_MAP[claim.id] || [];
+    const vendors = thirdParties.filter(v => relatedCategories.includes(v.category));
+    const vendorNames = vendors.map(v => v.name);
     let bestMatch = null;
 
     for (const patternId of relatedPatterns) {
@@ -69,35 +93,50 @@ export function compareClaimsVsDetections(claimsResult, classificationResult) {
     if (bestMatch) {
       matchedPatternIds.add(bestMatch.patternId);
       matchedClaimIds.add(claim.id);
-
-      if (bestMatch.maxConfidence >= CONFIDENCE_THRESHOLDS.STRONG) {
-        // Strong match
-        summary.matchedFeatures.push({
-          claim: claim.label,
-          detected: bestMatch.patternName,
-          confidence: bestMatch.maxConfidence
-        });
-      } else if (bestMatch.maxConfidence >= CONFIDENCE_THRESHOLDS.WEAK) {
-        // Weak detection
-        summary.weakFeatures.push(claim.label);
-        findings.push({
-          type: 'weak_detection',
-          feature: claim.label,
-          confidence: bestMatch.maxConfidence,
-          evidencePages: bestMatch.evidencePages.map(p => p.url),
-          explanation: `The website claims to offer "${claim.label}", but the detection confidence is only ${bestMatch.maxConfidence}%. This could indicate a hidden or poorly accessible feature.`
-        });
-      } else {
-        // Very weak - treat as not detected
-        summary.missingFeatures.push(claim.label);
-        findings.push({
-          type: 'claimed_not_detected',
-          feature: claim.label,
-          confidence: bestMatch.maxConfidence,
-          evidencePages: [],
-          explanation: `The website claims to offer "${claim.label}", but we found very weak evidence (${bestMatch.maxConfidence}% confidence). The feature may require authentication, use non-standard patterns, or not actually exist.`
-        });
-      }
+    }
+    const confidence = bestMatch?.maxConfidence ?? 0;
+
+    if (bestMatch && confidence >= bestMatch.thresholds.STRONG) {
+      // Strong match
+      summary.matchedFeatures.push({
+        claim: claim.label,
+        detected: bestMatch.patternName,
+        confidence,
+        thirdParties: vendorNames
+      });
+    } else if (bestMatch && confidence >= bestMatch.thresholds.WEAK) {
+      // Weak detection
+      summary.weakFeatures.push(claim.label);
+      findings.push({
+        type: 'weak_detection',
+        feature: claim.label,
+        confidence,
+        evidencePages: bestMatch.evidencePages.map(p => p.url),
+        thirdParties: vendorNames,
+        explanation: `The website claims to offer "${claim.label}", but the detection confidence is only ${formatConfidence(confidence)}. This could indicate a hidden or poorly accessible feature.${describeThirdParties(vendors)}`
+      });
+    } else if (vendors.length > 0) {
+      // No pattern is convinced, but the vendor that provides the feature is loaded
+      summary.weakFeatures.push(claim.label);
+      findings.push({
+        type: 'weak_detection',
+        feature: claim.label,
+        confidence,
+        evidencePages: [...new Set(vendors.flatMap(v => v.pages.map(p => p.url)))],
+        thirdParties: vendorNames,
+        explanation: `The website claims to offer "${claim.label}", and loads ${vendorNames.join(', ')}, but no crawled page showed the feature itself${bestMatch ? ` (${formatConfidence(confidence)} confidence)` : ''}. It may only appear after user actions or on pages that were not crawled.`
+      });
+    } else if (bestMatch) {
+      // Very weak - treat as not detected
+      summary.missingFeatures.push(claim.label);
+      findings.push({
+        type: 'claimed_not_detected',
+        feature: claim.label,
+        confidence,
+        evidencePages: [],
+        thirdParties: vendorNames,
+        explanation: `The website claims to offer "${claim.label}", but we found very weak evidence (${formatConfidence(confidence)} confidence). The feature may require authentication, use non-standard patterns, or not actually exist.`
+      });
     } else {
       // Claimed but no related pattern detected at all
       summary.missingFeatures.push(claim.label);
@@ -106,7 +145,8 @@ export function compareClaimsVsDetections(claimsResult, classificationResult) {
         feature: claim.label,
         confidence: 0,
         evidencePages: [],
-        explanation: `The website claims to offer "${claim.label}", but no observable evidence was found during crawling. Possible reasons: the feature requires authentication, is hidden behind user actions, or uses non-standard UI patterns.`
+        thirdParties: vendorNames,
+        explanation: `The website claims to offer "${claim.label}", but no crawled page matched ${describePatterns(relatedPatterns)}. Possible reasons: the feature requires authentication, is hidden behind user actions, or uses non-standard UI patterns.`
       });
     }
   }
@@ -119,14 +159,14 @@ export function compareClaimsVsDetections(claimsResult, classificationResult) {
         ([claimId, patterns]) => patterns.includes(feature.patternId) && matchedClaimIds.has(claimId)
       );
 
-      if (!hasRelatedClaim && feature.maxConfidence >= CONFIDENCE_THRESHOLDS.WEAK) {
+      if (!hasRelatedClaim && feature.maxConfidence >= feature.thresholds.WEAK) {
         summary.unexpectedFeatures.push(feature.patternName);
         findings.push({
           type: 'detected_not_claimed',
           feature: feature.patternName,
           confidence: feature.maxConfidence,
           evidencePages: feature.evidencePages.map(p => p.url),
-          explanation: `Detected "${feature.patternName}" with ${feature.maxConfidence}% confidence, but this wasn't explicitly mentioned in the website's claims. This could be an underpromoted feature.`
+          explanation: `Detected "${feature.patternName}" with ${formatConfidence(feature.maxConfidence)} confidence, but this wasn't explicitly mentioned in the website's claims. This could be an underpromoted feature.`
         });
       }
     }
@@ -156,7 +196,7 @@ function generateAnalysisSummary(summary, findings) {
   const totalWeak = summary.weakFeatures.length;
 
   if (totalClaimed === 0) {
-    lines.push('Could not extract clear feature claims from the homepage.');
+    lines.push('Could not extract clear feature claims from the homepage or marketing pages.');
   } else {
     const matchRate = Math.round((totalMatched / totalClaimed) * 100);
     lines.push(`Found evidence for ${totalMatched} of ${totalClaimed} claimed features (${matchRate}% match rate).`);
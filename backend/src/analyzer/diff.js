@@ -0,0 +1,168 @@
+/**
+ * Report Diff Engine
+ * Compares two reports of the same site: crawled pages, per-page pattern
+ * confidence, claimed features and finding statuses
+ */
+
+/**
+ * @typedef {Object} FindingChange
+ * @property {string} feature - Feature label
+ * @property {string|null} before - Status in the base report (null = absent)
+ * @property {string|null} after - Status in the target report (null = absent)
+ * @property {number|null} confidenceBefore
+ * @property {number|null} confidenceAfter
+ */
+
+/**
+ * Page key used to line up pages across crawls
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname}`.replace(/\/$/, '').toLowerCase();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Status of every feature in a report's comparison:
+ * matched, weak_detection, claimed_not_detected or detected_not_claimed
+ * @param {Object} report
+ * @returns {Map<string, { status: string, confidence: number|null }>}
+ */
+export function getFeatureStatuses(report) {
+  const statuses = new Map();
+
+  for (const match of report.comparison.summary.matchedFeatures) {
+    statuses.set(match.claim, { status: 'matched', confidence: match.confidence });
+  }
+  for (const finding of report.comparison.findings) {
+    statuses.set(finding.feature, { status: finding.type, confidence: finding.confidence ?? null });
+  }
+
+  return statuses;
+}
+
+/**
+ * Confidence changes for one page present in both reports
+ */
+function diffPageClassifications(before, after) {
+  const beforeMap = new Map(before.classifications.map(c => [c.pattern, c]));
+  const afterMap = new Map(after.classifications.map(c => [c.pattern, c]));
+  const changes = [];
+
+  for (const pattern of new Set([...beforeMap.keys(), ...afterMap.keys()])) {
+    const b = beforeMap.get(pattern);
+    const a = afterMap.get(pattern);
+    const confidenceBefore = b ? b.confidence : 0;
+    const confidenceAfter = a ? a.confidence : 0;
+
+    if (confidenceBefore !== confidenceAfter) {
+      changes.push({
+        pattern,
+        name: (a || b).name,
+        before: confidenceBefore,
+        after: confidenceAfter,
+        delta: Math.round((confidenceAfter - confidenceBefore) * 100) / 100
+      });
+    }
+  }
+
+  return changes.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+
+/**
+ * Compare two reports
+ * @param {Object} base - Older report
+ * @param {Object} target - Newer report
+ * @returns {Object} - Diff with pages, confidence, claims and findings sections
+ */
+export function diffReports(base, target) {
+  // Pages
+  const basePages = new Map(base.crawl.pages.map(p => [pageKey(p.url), p]));
+  const targetPages = new Map(target.crawl.pages.map(p => [pageKey(p.url), p]));
+
+  const pagesAdded = target.crawl.pages.filter(p => !basePages.has(pageKey(p.url)));
+  const pagesRemoved = base.crawl.pages.filter(p => !targetPages.has(pageKey(p.url)));
+
+  // Confidence deltas per page
+  const baseClassifications = new Map(base.detection.pageClassifications.map(pc => [pageKey(pc.url), pc]));
+  const confidenceChanges = [];
+  for (const pc of target.detection.pageClassifications) {
+    const previous = baseClassifications.get(pageKey(pc.url));
+    if (!previous) continue;
+
+    const changes = diffPageClassifications(previous, pc);
+    if (changes.length > 0) {
+      confidenceChanges.push({ url: pc.url, title: pc.title, changes });
+    }
+  }
+
+  // Claims
+  const baseClaims = new Map(base.claims.claimedFeatures.map(c => [c.id, c]));
+  const targetClaims = new Map(target.claims.claimedFeatures.map(c => [c.id, c]));
+
+  const claimsAppeared = target.claims.claimedFeatures.filter(c => !baseClaims.has(c.id));
+  const claimsDisappeared = base.claims.claimedFeatures.filter(c => !targetClaims.has(c.id));
+
+  // Finding statuses
+  const baseStatuses = getFeatureStatuses(base);
+  const targetStatuses = getFeatureStatuses(target);
+  const findingChanges = [];
+
+  for (const feature of new Set([...baseStatuses.keys(), ...targetStatuses.keys()])) {
+    const b = baseStatuses.get(feature);
+    const a = targetStatuses.get(feature);
+    if (b?.status === a?.status) continue;
+
+    findingChanges.push({
+      feature,
+      before: b ? b.status : null,
+      after: a ? a.status : null,
+      confidenceBefore: b ? b.confidence : null,
+      confidenceAfter: a ? a.confidence : null
+    });
+  }
+
+  const diff = {
+    base: { reportId: base.meta.reportId || null, analyzedAt: base.meta.analyzedAt, url: base.meta.analyzedUrl },
+    target: { reportId: target.meta.reportId || null, analyzedAt: target.meta.analyzedAt, url: target.meta.analyzedUrl },
+    sameSite: base.meta.baseDomain === target.meta.baseDomain,
+    pages: { added: pagesAdded, removed: pagesRemoved },
+    confidence: confidenceChanges,
+    claims: { appeared: claimsAppeared, disappeared: claimsDisappeared },
+    findings: findingChanges
+  };
+
+  diff.summary = summarizeDiff(diff);
+  return diff;
+}
+
+/**
+ * One-paragraph description of a diff
+ */
+function summarizeDiff(diff) {
+  const parts = [];
+
+  if (!diff.sameSite) {
+    parts.push('The two reports are for different sites.');
+  }
+  if (diff.pages.added.length || diff.pages.removed.length) {
+    parts.push(`${diff.pages.added.length} page(s) added and ${diff.pages.removed.length} removed from the crawl.`);
+  }
+  if (diff.confidence.length) {
+    parts.push(`Pattern confidence changed on ${diff.confidence.length} page(s).`);
+  }
+  if (diff.claims.appeared.length) {
+    parts.push(`New claims: ${diff.claims.appeared.map(c => c.label).join(', ')}.`);
+  }
+  if (diff.claims.disappeared.length) {
+    parts.push(`Claims no longer made: ${diff.claims.disappeared.map(c => c.label).join(', ')}.`);
+  }
+  if (diff.findings.length) {
+    parts.push(`${diff.findings.length} finding(s) changed status.`);
+  }
+
+  return parts.length > 0 ? parts.join(' ') : 'No changes between the two reports.';
+}
@@ -0,0 +1,298 @@
+/**
+ * PageLens CLI
+ * Runs the analysis pipeline for one or more URLs without the server and
+ * exits non-zero when finding thresholds are exceeded
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeUrl, isValidUrl, runAnalysis } from '../pipeline/analysis.js';
+import { resolveCrawlOptions } from '../crawler/options.js';
+import { resolveSnapshotSource } from '../crawler/offline.js';
+import { createFixture, getFixtureName } from '../pipeline/fixtures.js';
+import { PATTERNS_FILE, PatternValidationError, activatePatternPack, readPatternFile } from '../engine/customPatterns.js';
+
+export const EXIT_OK = 0;
+export const EXIT_THRESHOLD = 1;
+export const EXIT_ERROR = 2;
+
+export const FINDING_TYPES = ['claimed_not_detected', 'weak_detection', 'detected_not_claimed'];
+
+const DEFAULT_FAIL_ON = ['claimed_not_detected'];
+
+const USAGE = `Usage: pagelens [options] <url...>
+
+Analyze websites and compare their claimed features with what was detected.
+
+Offline sources (analyze saved pages instead of the live site):
+  --html-dir <dir>           Directory of saved .html files (needs a URL for the site)
+  --har <file>               HAR file (URL optional: defaults to the first page)
+  --warc <file>              WARC or WARC.gz archive (URL optional)
+
+Output:
+  --json                     Print JSON instead of a summary
+  --verbose                  Print pipeline logs to stderr
+  --record <dir>             Save each crawl's snapshots as a replayable
+                             fixture (<dir>/<hostname>.json)
+
+Patterns:
+  --patterns <file>          Custom pattern pack (JSON or YAML) to add to or
+                             override the built-in patterns. Default:
+                             $PAGELENS_PATTERNS_FILE
+
+Crawl options:
+  --max-depth <n>            Link depth to follow
+  --max-pages <n>            Maximum pages to crawl
+  --page-timeout <ms>        Per-page timeout
+  --settle-timeout <ms>      Wait up to <ms> for client-rendered pages to settle
+  --include <glob>           Only crawl matching paths (repeatable)
+  --exclude <glob>           Skip matching paths (repeatable)
+  --follow-subdomains        Treat subdomains as internal
+  --no-sitemaps              Do not seed the crawl from sitemap.xml
+  --interactions <n>         Click up to <n> menus, dialogs and tabs per page
+                             and classify what they reveal (live crawls only)
+
+Thresholds:
+  --fail-on <type[:max]>     Fail when a URL has more than <max> (default 0)
+                             findings of <type> (repeatable). Types:
+                             ${FINDING_TYPES.join(', ')}.
+                             Default: ${DEFAULT_FAIL_ON.join(', ')}. Use "none" to never fail.
+
+Exit codes: ${EXIT_OK} ok, ${EXIT_THRESHOLD} threshold exceeded, ${EXIT_ERROR} usage or analysis error
+`;
+
+/**
+ * Error for bad command-line input
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse --fail-on values into thresholds
+ * @param {string[]} values - e.g. ['claimed_not_detected', 'weak_detection:2']
+ * @returns {{ type: string, max: number }[]}
+ */
+export function parseFailOn(values) {
+  if (values.length === 0) {
+    return DEFAULT_FAIL_ON.map(type => ({ type, max: 0 }));
+  }
+  if (values.includes('none')) return [];
+
+  return values.flatMap(value => value.split(',')).map(value => {
+    const [type, max = '0'] = value.split(':');
+    if (!FINDING_TYPES.includes(type)) {
+      throw new UsageError(`Unknown finding type in --fail-on: ${type}`);
+    }
+    if (!/^\d+$/.test(max)) {
+      throw new UsageError(`--fail-on maximum must be a whole number: ${value}`);
+    }
+    return { type, max: parseInt(max, 10) };
+  });
+}
+
+/**
+ * Check a report's findings against thresholds
+ * @returns {{ type: string, max: number, count: number }[]} - Exceeded thresholds
+ */
+export function checkThresholds(report, thresholds) {
+  return thresholds
+    .map(({ type, max }) => ({
+      type,
+      max,
+      count: report.comparison.findings.filter(f => f.type === type).length
+    }))
+    .filter(({ count, max }) => count > max);
+}
+
+/**
+ * Parse CLI arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} - { help, json, verbose, record, patterns, urls, source, crawlOptions, thresholds }
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        help: { type: 'boolean', short: 'h' },
+        json: { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        record: { type: 'string' },
+        patterns: { type: 'string' },
+        'max-depth': { type: 'string' },
+        'max-pages': { type: 'string' },
+        'page-timeout': { type: 'string' },
+        'settle-timeout': { type: 'string' },
+        interactions: { type: 'string' },
+        include: { type: 'string', multiple: true },
+        exclude: { type: 'string', multiple: true },
+        'follow-subdomains': { type: 'boolean' },
+        'no-sitemaps': { type: 'boolean' },
+        'html-dir': { type: 'string' },
+        har: { type: 'string' },
+        warc: { type: 'string' },
+        'fail-on': { type: 'string', multiple: true }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  const requested = {};
+  for (const [flag, key] of [['max-depth', 'maxDepth'], ['max-pages', 'maxPages'], ['page-timeout', 'pageTimeout'], ['settle-timeout', 'settleTimeout'], ['interactions', 'interactions']]) {
+    if (values[flag] === undefined) continue;
+    if (!/^\d+$/.test(values[flag])) {
+      throw new UsageError(`--${flag} must be a whole number`);
+    }
+    requested[key] = parseInt(values[flag], 10);
+  }
+  if (values.include) requested.include = values.include;
+  if (values.exclude) requested.exclude = values.exclude;
+  if (values['follow-subdomains']) requested.followSubdomains = true;
+  if (values['no-sitemaps']) requested.useSitemaps = false;
+
+  const sources = [['html-dir', 'html'], ['har', 'har'], ['warc', 'warc']]
+    .filter(([flag]) => values[flag] !== undefined)
+    .map(([flag, type]) => resolveSnapshotSource({ type, path: values[flag] }));
+  if (sources.length > 1) {
+    throw new UsageError('Use only one of --html-dir, --har and --warc');
+  }
+  const [source] = sources;
+
+  const urls = positionals.map(normalizeUrl);
+  const invalid = urls.find(url => !isValidUrl(url));
+  if (invalid) {
+    throw new UsageError(`Invalid URL: ${invalid}`);
+  }
+
+  // HAR and WARC archives know their own start page
+  if (urls.length === 0 && source && source.type !== 'html') {
+    urls.push(null);
+  }
+
+  return {
+    help: Boolean(values.help),
+    json: Boolean(values.json),
+    verbose: Boolean(values.verbose),
+    record: values.record || null,
+    patterns: values.patterns || PATTERNS_FILE,
+    urls,
+    source,
+    crawlOptions: requested,
+    thresholds: parseFailOn(values['fail-on'] || [])
+  };
+}
+
+/**
+ * Human-readable summary of one result
+ */
+export function formatSummary(result) {
+  if (result.error) {
+    return `✕ ${result.url}\n  Error: ${result.error}\n`;
+  }
+
+  const { report, violations } = result;
+  const lines = [
+    `${violations.length > 0 ? '✕' : '✓'} ${result.url}`,
+    `  Pages crawled: ${report.crawl.totalPages} / ${report.crawl.maxPages}`,
+    `  Claimed: ${report.comparison.summary.claimedFeatures.join(', ') || 'none'}`,
+    `  Detected: ${report.comparison.summary.detectedFeatures.join(', ') || 'none'}`
+  ];
+
+  if (report.comparison.findings.length > 0) {
+    lines.push('  Findings:');
+    for (const finding of report.comparison.findings) {
+      lines.push(`    [${finding.type}] ${finding.feature}`);
+    }
+  }
+
+  for (const { type, max, count } of violations) {
+    lines.push(`  Threshold exceeded: ${count} ${type} finding(s), max ${max}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Output streams (stdout, stderr)
+ * @returns {Promise<number>} - Exit code
+ */
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args;
+  let crawlOptions;
+  try {
+    args = parseCliArgs(argv);
+    crawlOptions = resolveCrawlOptions(args.crawlOptions);
+  } catch (error) {
+    stderr.write(`pagelens: ${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (args.urls.length === 0) {
+    stderr.write(`pagelens: at least one URL is required\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.patterns) {
+    try {
+      activatePatternPack(await readPatternFile(args.patterns));
+    } catch (error) {
+      const details = error instanceof PatternValidationError ? error.errors : [error.message];
+      stderr.write(`pagelens: cannot load patterns from ${args.patterns}\n${details.map(d => `  ${d}\n`).join('')}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  for (const adjustment of crawlOptions.adjustments) {
+    stderr.write(`pagelens: ${adjustment}\n`);
+  }
+
+  // Pipeline logs go to stderr (or nowhere) so stdout stays parseable
+  const log = args.verbose ? line => stderr.write(`${line}\n`) : () => {};
+
+  const results = [];
+  for (const url of args.urls) {
+    let result;
+    try {
+      const { report, snapshots } = await runAnalysis(url, { crawlOptions: args.crawlOptions, source: args.source, log });
+      if (args.record) {
+        const file = path.join(args.record, `${getFixtureName(report)}.json`);
+        await mkdir(args.record, { recursive: true });
+        await writeFile(file, `${JSON.stringify(createFixture(report, snapshots), null, 2)}\n`);
+        stderr.write(`pagelens: recorded ${file}\n`);
+      }
+      result = { url: report.meta.analyzedUrl, report, violations: checkThresholds(report, args.thresholds) };
+    } catch (error) {
+      result = { url: url || args.source.label, error: error.message, violations: [] };
+    }
+
+    results.push(result);
+    if (!args.json) stdout.write(formatSummary(result));
+  }
+
+  const failed = results.some(r => r.error);
+  const exceeded = results.some(r => r.violations.length > 0);
+
+  if (args.json) {
+    stdout.write(`${JSON.stringify({ passed: !failed && !exceeded, results }, null, 2)}\n`);
+  }
+
+  if (failed) return EXIT_ERROR;
+  if (exceeded) return EXIT_THRESHOLD;
+  return EXIT_OK;
+}
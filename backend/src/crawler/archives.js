@@ -0,0 +1,282 @@
+/**
+ * Snapshot Archives
+ * Read saved pages from a directory of HTML files, a HAR file or a WARC archive
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { gunzipSync, inflateSync, brotliDecompressSync } from 'node:zlib';
+
+/**
+ * @typedef {Object} ArchivedPage
+ * @property {string} url - URL the page was served from
+ * @property {string} html - Page markup
+ * @property {string[]} [requestHosts] - Hosts the page loaded resources from (HAR only)
+ * @property {Object<string, string>} [headers] - Response headers, lowercase names (HAR and WARC)
+ * @property {string[]} [cookies] - Names of cookies sent or set with the page (HAR and WARC)
+ */
+
+/**
+ * @typedef {Object} Archive
+ * @property {ArchivedPage[]} pages - HTML pages in archive order
+ * @property {{ from: string, to: string }[]} redirects - Recorded redirects
+ */
+
+/**
+ * Error thrown for missing or unreadable snapshot sources
+ */
+export class SnapshotSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotSourceError';
+    this.statusCode = 400;
+  }
+}
+
+const HTML_EXTENSIONS = /\.html?$/i;
+
+/**
+ * Decode a body using the charset from its Content-Type, falling back to UTF-8
+ */
+function decodeBody(bytes, contentType = '') {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Read a file, reporting a missing path as a SnapshotSourceError
+ */
+async function readSource(file, encoding) {
+  try {
+    return await readFile(file, encoding);
+  } catch (err) {
+    throw new SnapshotSourceError(`Cannot read ${file}: ${err.code || err.message}`);
+  }
+}
+
+/**
+ * Load every .html/.htm file under a directory.
+ * Paths map to URLs under baseUrl: index.html is the directory itself,
+ * pricing.html is served as /pricing (and /pricing.html via a redirect).
+ * @param {string} dir
+ * @param {string} baseUrl - Site origin the files were saved from
+ * @returns {Promise<Archive>}
+ */
+export async function loadHtmlDirectory(dir, baseUrl) {
+  let entries;
+  try {
+    entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  } catch (err) {
+    throw new SnapshotSourceError(`Cannot read directory ${dir}: ${err.code || err.message}`);
+  }
+
+  const files = entries
+    .filter(entry => entry.isFile() && HTML_EXTENSIONS.test(entry.name))
+    .map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+
+  const pages = [];
+  const redirects = [];
+  for (const file of files) {
+    const urlPath = file.split(path.sep).join('/');
+    const cleanPath = urlPath.replace(/(^|\/)index\.html?$/i, '$1').replace(HTML_EXTENSIONS, '');
+    const url = new URL(`/${cleanPath}`, baseUrl).href;
+
+    pages.push({ url, html: await readSource(path.join(dir, file), 'utf8') });
+    if (cleanPath !== urlPath) {
+      redirects.push({ from: new URL(`/${urlPath}`, baseUrl).href, to: url });
+    }
+  }
+
+  // Serve the homepage first
+  pages.sort((a, b) => Number(new URL(b.url).pathname === '/') - Number(new URL(a.url).pathname === '/'));
+  return { pages, redirects };
+}
+
+/**
+ * Load HTML responses from a HAR file
+ * @param {string} file
+ * @returns {Promise<Archive>}
+ */
+export async function loadHar(file) {
+  let har;
+  try {
+    har = JSON.parse(await readSource(file, 'utf8'));
+  } catch (err) {
+    if (err instanceof SnapshotSourceError) throw err;
+    throw new SnapshotSourceError(`${file} is not valid HAR JSON: ${err.message}`);
+  }
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new SnapshotSourceError(`${file} has no log.entries`);
+  }
+
+  const pages = [];
+  const redirects = [];
+  const hostsByPage = new Map();
+  for (const entry of har.log.entries) {
+    const url = entry.request?.url;
+    const { status, redirectURL, content = {} } = entry.response || {};
+    if (!url) continue;
+
+    // Every entry of a page (scripts, XHR, images) tells which hosts it talked to
+    if (entry.pageref) {
+      if (!hostsByPage.has(entry.pageref)) hostsByPage.set(entry.pageref, new Set());
+      try {
+        hostsByPage.get(entry.pageref).add(new URL(url).hostname);
+      } catch {
+        // Not a URL with a host (data:, blob:)
+      }
+    }
+
+    if (status >= 300 && status < 400 && redirectURL) {
+      redirects.push({ from: url, to: new URL(redirectURL, url).href });
+      continue;
+    }
+    if (status < 200 || status >= 300 || !/html/i.test(content.mimeType || '') || !content.text) {
+      continue;
+    }
+
+    const html = content.encoding === 'base64'
+      ? decodeBody(Buffer.from(content.text, 'base64'), content.mimeType)
+      : content.text;
+    const headers = Object.fromEntries((entry.response.headers || []).map(h => [h.name.toLowerCase(), h.value]));
+    const cookies = [...(entry.request.cookies || []), ...(entry.response.cookies || [])].map(c => c.name);
+    pages.push({ url, html, headers, cookies, pageref: entry.pageref });
+  }
+
+  const withHosts = pages.map(({ pageref, ...page }) => ({
+    ...page,
+    requestHosts: [...(hostsByPage.get(pageref) || [])].filter(Boolean)
+  }));
+  return { pages: withHosts, redirects };
+}
+
+/**
+ * Split raw HTTP header lines into a lowercase-keyed map
+ */
+function parseHeaderBlock(text) {
+  const headers = {};
+  for (const line of text.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Cookie names from raw header lines, which may set several
+ */
+function parseCookieNames(lines) {
+  return lines
+    .filter(line => /^(set-)?cookie:/i.test(line))
+    .flatMap(line => (/^set-cookie:/i.test(line)
+      ? [line.slice(line.indexOf(':') + 1).split(';')[0]]
+      : line.slice(line.indexOf(':') + 1).split(';')))
+    .map(pair => pair.split('=')[0].trim())
+    .filter(Boolean);
+}
+
+/**
+ * Undo chunked transfer encoding
+ */
+function dechunk(bytes) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const lineEnd = bytes.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const size = parseInt(bytes.subarray(offset, lineEnd).toString('latin1'), 16);
+    if (!size) break;
+    chunks.push(bytes.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse the HTTP response stored in a WARC response record
+ * @returns {{ status: number, headers: Object, cookies: string[], body: Buffer }|null}
+ */
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+
+  const [statusLine, ...headerLines] = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+  const status = parseInt(statusLine.split(' ')[1], 10);
+  const headers = parseHeaderBlock(headerLines.join('\n'));
+  const cookies = parseCookieNames(headerLines);
+  let body = block.subarray(headerEnd + 4);
+
+  try {
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) body = dechunk(body);
+    const encoding = (headers['content-encoding'] || '').toLowerCase();
+    if (encoding === 'gzip') body = gunzipSync(body);
+    else if (encoding === 'deflate') body = inflateSync(body);
+    else if (encoding === 'br') body = brotliDecompressSync(body);
+  } catch {
+    return null;
+  }
+
+  return { status, headers, cookies, body };
+}
+
+/**
+ * Load HTML responses from a WARC archive (.warc or .warc.gz)
+ * @param {string} file
+ * @returns {Promise<Archive>}
+ */
+export async function loadWarc(file) {
+  let data = await readSource(file);
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    try {
+      data = gunzipSync(data);
+    } catch (err) {
+      throw new SnapshotSourceError(`Cannot decompress ${file}: ${err.message}`);
+    }
+  }
+
+  const pages = [];
+  const redirects = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const start = data.indexOf('WARC/', offset);
+    if (start === -1) break;
+
+    const headerEnd = data.indexOf('\r\n\r\n', start);
+    if (headerEnd === -1) break;
+
+    const headers = parseHeaderBlock(data.subarray(start, headerEnd).toString('utf8'));
+    const length = parseInt(headers['content-length'], 10);
+    if (!Number.isFinite(length)) {
+      throw new SnapshotSourceError(`${file} has a WARC record without Content-Length`);
+    }
+
+    const blockStart = headerEnd + 4;
+    const block = data.subarray(blockStart, blockStart + length);
+    offset = blockStart + length;
+
+    const url = headers['warc-target-uri']?.replace(/^<|>$/g, '');
+    if (headers['warc-type'] !== 'response' || !url) continue;
+
+    const response = parseHttpResponse(block);
+    if (!response) continue;
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      redirects.push({ from: url, to: new URL(response.headers.location, url).href });
+    } else if (response.status >= 200 && response.status < 300 && /html/i.test(response.headers['content-type'] || '')) {
+      pages.push({
+        url,
+        html: decodeBody(response.body, response.headers['content-type']),
+        headers: response.headers,
+        cookies: response.cookies
+      });
+    }
+  }
+
+  return { pages, redirects };
+}
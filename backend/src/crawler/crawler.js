@@ -1,138 +1,133 @@
 /**
  * Playwright-based Web Crawler
- * Strict limits: max depth 2, max pages 15
+ * Default limits: max depth 2, max pages 15 (configurable per request, see options.js)
  */
 
 import { chromium } from 'playwright';
 import { createPageSnapshot } from '../models/PageSnapshot.js';
+import { resolveCrawlOptions, isPathInScope } from './options.js';
+import { fetchRobotsPolicy, CRAWLER_USER_AGENT } from './robots.js';
+import { discoverSitemapUrls, selectSitemapSeeds } from './sitemap.js';
+import { createFrontier } from './frontier.js';
+import { extractDocumentData } from './extract.js';
+import { exploreInteractions } from './interactions.js';
+import { waitForSettled, captureRouteChanges, readRouteChanges, getContentFingerprint } from './spa.js';
+import { getBaseDomain, normalizeUrl, isInternalUrl, shouldSkipUrl } from './urls.js';
+import { TECHNOLOGY_GLOBALS } from '../engine/technologies.js';
 
-const MAX_DEPTH = 2;
-const MAX_PAGES = 15;
-const PAGE_TIMEOUT = 30000;
+const MAX_CRAWL_DELAY_SECONDS = 60;
+const MAX_REQUEST_HOSTS = 200;
 
 /**
- * Extract base domain from URL
+ * Wait for the given number of milliseconds
  */
-function getBaseDomain(url) {
-  try {
-    const parsed = new URL(url);
-    return parsed.origin;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Normalize URL for deduplication
- */
-function normalizeUrl(url) {
-  try {
-    const parsed = new URL(url);
-    // Remove trailing slash, hash, and common tracking params
-    let normalized = `${parsed.origin}${parsed.pathname}`.replace(/\/$/, '');
-    return normalized.toLowerCase();
-  } catch {
-    return url;
-  }
-}
-
-/**
- * Check if URL is internal to the base domain
- */
-function isInternalUrl(url, baseDomain) {
-  try {
-    const parsed = new URL(url);
-    return parsed.origin === baseDomain;
-  } catch {
-    return false;
-  }
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Check if URL should be skipped
+ * Extract page data from a Playwright page
  */
-function shouldSkipUrl(url) {
-  const skipPatterns = [
-    /\.(pdf|zip|doc|docx|xls|xlsx|ppt|pptx|exe|dmg)$/i,
-    /\.(jpg|jpeg|png|gif|svg|webp|ico)$/i,
-    /\.(mp3|mp4|avi|mov|wav)$/i,
-    /\.(css|js|json|xml)$/i,
-    /^mailto:/i,
-    /^tel:/i,
-    /^javascript:/i,
-    /#$/,
-    /\/(logout|signout|sign-out)/i
-  ];
-
-  return skipPatterns.some(pattern => pattern.test(url));
+async function extractPageData(page) {
+  return await page.evaluate(extractDocumentData);
 }
 
 /**
- * Extract page data from a Playwright page
+ * Which of the given globals the page defines. Elements with a matching id
+ * also show up on window, so those don't count.
  */
-async function extractPageData(page) {
-  return await page.evaluate(() => {
-    // Get visible text (simplified)
-    const visibleText = document.body?.innerText || '';
-
-    // Get all inputs
-    const inputs = Array.from(document.querySelectorAll('input, textarea, select')).map(el => ({
-      type: el.tagName.toLowerCase() === 'textarea' ? 'textarea' : 
-            el.tagName.toLowerCase() === 'select' ? 'select' : 
-            (el.type || 'text'),
-      name: el.name || el.id || '',
-      placeholder: el.placeholder || ''
-    }));
-
-    // Get all buttons (including input[type=submit] and links styled as buttons)
-    const buttons = [
-      ...Array.from(document.querySelectorAll('button')).map(el => ({
-        text: (el.innerText || el.textContent || '').trim(),
-        type: el.type || 'button'
-      })),
-      ...Array.from(document.querySelectorAll('input[type="submit"], input[type="button"]')).map(el => ({
-        text: el.value || '',
-        type: el.type
-      })),
-      // Also capture links that look like buttons (common CTAs)
-      ...Array.from(document.querySelectorAll('a[role="button"], a.btn, a.button, a.cta')).map(el => ({
-        text: (el.innerText || el.textContent || '').trim(),
-        type: 'link-button'
-      }))
-    ].filter(b => b.text.length > 0);
-
-    // Get all links
-    const links = Array.from(document.querySelectorAll('a[href]')).map(el => ({
-      href: el.href || '',
-      text: (el.innerText || el.textContent || '').trim().substring(0, 100)
-    })).filter(l => l.href);
-
-    return {
-      title: document.title || '',
-      visibleText: visibleText.substring(0, 50000), // Limit text size
-      inputs,
-      buttons,
-      links
-    };
-  });
+async function probeGlobals(page, names) {
+  return await page.evaluate(candidates => candidates.filter((name) => {
+    const value = window[name];
+    return value !== undefined && !(value instanceof Element) && !(value instanceof HTMLCollection);
+  }), names);
 }
 
 /**
  * Main crawler function
  * @param {string} startUrl - URL to start crawling from
+ * @param {Object} [options]
+ * @param {Object} [options.crawlOptions] - Requested limits and scope, resolved by resolveCrawlOptions()
+ * @param {Function} [options.onProgress] - Called with progress events:
+ *   { type: 'page_queued', url, depth }, { type: 'page_visited', url, title, depth },
+ *   { type: 'page_failed', url, error }, { type: 'page_blocked', url, reason },
+ *   { type: 'page_duplicate', url, sameAs }
  * @returns {Promise<Object>} - Crawl results with snapshots and metadata
  */
-export async function crawlWebsite(startUrl) {
+export async function crawlWebsite(startUrl, { crawlOptions, onProgress } = {}) {
   const baseDomain = getBaseDomain(startUrl);
   if (!baseDomain) {
     throw new Error('Invalid URL');
   }
 
+  const { adjustments, ...config } = resolveCrawlOptions(crawlOptions);
+
   const visited = new Set();
-  const queue = [{ url: startUrl, depth: 0 }];
+  const frontier = createFrontier({ normalizeUrl, maxSize: config.maxPages * 10 });
+  frontier.add({ url: startUrl, depth: 0, source: 'start' });
+  onProgress?.({ type: 'page_queued', url: startUrl, depth: 0 });
   const snapshots = [];
+  const selections = [];
   const crawlErrors = [];
   const crawlLimitations = [];
+  // Content fingerprint → URL of the first page that rendered it
+  const seenContent = new Map();
+  const duplicates = [];
+
+  // robots.txt policies per origin (more than one when following subdomains)
+  const robotsPolicies = new Map();
+  const robotsBlocked = new Set();
+  let lastFetchAt = 0;
+
+  const getRobotsPolicy = async (url) => {
+    const origin = new URL(url).origin;
+    if (!robotsPolicies.has(origin)) {
+      robotsPolicies.set(origin, await fetchRobotsPolicy(origin));
+    }
+    return robotsPolicies.get(origin);
+  };
+
+  const isBlockedByRobots = async (url) => {
+    const policy = await getRobotsPolicy(url);
+    if (policy.isAllowed(url)) return false;
+
+    if (!robotsBlocked.has(url)) {
+      robotsBlocked.add(url);
+      onProgress?.({ type: 'page_blocked', url, reason: 'robots.txt' });
+    }
+    return true;
+  };
+
+  // Seed the frontier with sitemap URLs that look relevant to known patterns
+  const sitemapSummary = { sources: [], urlsFound: 0, seeded: [] };
+  if (config.useSitemaps && config.maxDepth > 0) {
+    const policy = await getRobotsPolicy(startUrl);
+    const { sources, urls } = await discoverSitemapUrls(baseDomain, {
+      robotsSitemaps: policy.sitemaps,
+      isAllowed: url => policy.isAllowed(url),
+      followSubdomains: config.followSubdomains
+    });
+
+    const candidates = [];
+    for (const url of urls) {
+      if (!isInternalUrl(url, baseDomain, config.followSubdomains)) continue;
+      if (shouldSkipUrl(url) || !isPathInScope(url, config)) continue;
+      if (normalizeUrl(url) === normalizeUrl(startUrl)) continue;
+      if (!(await getRobotsPolicy(url)).isAllowed(url)) continue;
+      candidates.push(url);
+    }
+
+    const seeds = selectSitemapSeeds(candidates, config.maxPages);
+    for (const seed of seeds) {
+      if (frontier.add({ url: seed.url, depth: 1, source: 'sitemap' })) {
+        onProgress?.({ type: 'page_queued', url: seed.url, depth: 1, source: 'sitemap' });
+      }
+    }
+
+    sitemapSummary.sources = sources;
+    sitemapSummary.urlsFound = urls.length;
+    sitemapSummary.seeded = seeds.map(({ url, patternId }) => ({ url, pattern: patternId }));
+  }
 
   let browser;
   try {
@@ -141,52 +136,120 @@ export async function crawlWebsite(startUrl) {
       args: ['--disable-dev-shm-usage', '--no-sandbox']
     });
     const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      userAgent: CRAWLER_USER_AGENT,
       viewport: { width: 1280, height: 720 }
     });
+    await captureRouteChanges(context);
 
-    while (queue.length > 0 && snapshots.length < MAX_PAGES) {
-      const { url, depth } = queue.shift();
+    while (frontier.size > 0 && snapshots.length < config.maxPages) {
+      const selection = frontier.next();
+      const { url, depth } = selection;
       const normalizedUrl = normalizeUrl(url);
 
       if (visited.has(normalizedUrl)) continue;
       if (shouldSkipUrl(url)) continue;
+      if (await isBlockedByRobots(url)) continue;
 
       visited.add(normalizedUrl);
 
+      // Honor Crawl-delay between requests to the same site
+      const { crawlDelay } = await getRobotsPolicy(url);
+      if (crawlDelay) {
+        const delayMs = Math.min(crawlDelay, MAX_CRAWL_DELAY_SECONDS) * 1000;
+        await delay(Math.max(0, lastFetchAt + delayMs - Date.now()));
+      }
+      lastFetchAt = Date.now();
+
       let page;
       try {
         page = await context.newPage();
+
+        // Hosts of every request the page makes, for third-party detection
+        const requestHosts = new Set();
+        page.on('request', (request) => {
+          const { hostname } = new URL(request.url());
+          if (hostname) requestHosts.add(hostname);
+        });
         
         // Navigate with timeout
-        await page.goto(url, { 
+        const response = await page.goto(url, { 
           waitUntil: 'domcontentloaded',
-          timeout: PAGE_TIMEOUT 
+          timeout: config.pageTimeout 
         });
 
-        // Wait a bit for dynamic content
-        await page.waitForTimeout(1000);
+        // Wait for client-side rendering, within the settle budget
+        await waitForSettled(page, config.settleTimeout);
 
         // Extract page data
         const pageData = await extractPageData(page);
+        const pageUrl = page.url();
+        // Redirects and client-side routing can land on a URL other than the one requested
+        visited.add(normalizeUrl(pageUrl));
+        const cookies = await context.cookies(pageUrl);
+        const globals = await probeGlobals(page, TECHNOLOGY_GLOBALS);
+
+        // Optionally open menus, dialogs and tabs and keep what they reveal
+        const states = config.interactions > 0
+          ? await exploreInteractions(page, {
+            max: config.interactions,
+            initialData: pageData,
+            extract: () => extractPageData(page)
+          })
+          : [];
+
+        // Routes the app pushed while loading or during interactions
+        const routeChanges = (await readRouteChanges(page))
+          .filter(href => href !== pageUrl && !pageData.routes.some(route => route.href === href))
+          .map(href => ({ href, text: '' }));
+
+        // What the page loaded applies to every state of it
+        const pageLevel = {
+          url: pageUrl,
+          requestHosts: [...requestHosts].slice(0, MAX_REQUEST_HOSTS),
+          headers: response?.headers() || {},
+          cookies: cookies.map(cookie => cookie.name),
+          globals
+        };
         const snapshot = createPageSnapshot({
-          url: page.url(),
-          ...pageData
+          ...pageData,
+          ...pageLevel,
+          routes: [...pageData.routes, ...routeChanges],
+          states: states.map(({ interaction, data }) => ({
+            interaction,
+            snapshot: { ...data, ...pageLevel }
+          }))
         });
 
+        // SPAs often render the same view for aliased or unknown routes
+        const fingerprint = getContentFingerprint(snapshot);
+        if (fingerprint && seenContent.has(fingerprint)) {
+          duplicates.push(url);
+          onProgress?.({ type: 'page_duplicate', url, sameAs: seenContent.get(fingerprint) });
+          continue;
+        }
+        if (fingerprint) seenContent.set(fingerprint, snapshot.url);
+
         snapshots.push(snapshot);
+        selections.push(selection);
+        frontier.markVisited(selection);
+        onProgress?.({ type: 'page_visited', url: snapshot.url, title: snapshot.title, depth });
 
-        // Collect internal links for next depth
-        if (depth < MAX_DEPTH) {
-          const newLinks = pageData.links
-            .map(l => l.href)
-            .filter(href => isInternalUrl(href, baseDomain))
-            .filter(href => !shouldSkipUrl(href))
-            .filter(href => !visited.has(normalizeUrl(href)));
+        // Collect internal links and client-side routes for next depth
+        if (depth < config.maxDepth) {
+          const newLinks = [
+            ...pageData.links.map(link => ({ ...link, source: 'link' })),
+            ...states.flatMap(state => state.data.links).map(link => ({ ...link, source: 'link' })),
+            ...snapshot.routes.map(route => ({ ...route, source: 'route' }))
+          ]
+            .filter(l => isInternalUrl(l.href, baseDomain, config.followSubdomains))
+            .filter(l => !shouldSkipUrl(l.href))
+            .filter(l => isPathInScope(l.href, config))
+            .filter(l => !visited.has(normalizeUrl(l.href)));
 
           for (const link of newLinks) {
-            if (queue.length + snapshots.length < MAX_PAGES * 2) {
-              queue.push({ url: link, depth: depth + 1 });
+            if (await isBlockedByRobots(link.href)) continue;
+            if (frontier.add({ url: link.href, depth: depth + 1, source: link.source, text: link.text })) {
+              onProgress?.({ type: 'page_queued', url: link.href, depth: depth + 1, source: link.source });
             }
           }
         }
@@ -196,17 +259,32 @@ export async function crawlWebsite(startUrl) {
           url,
           error: err.message
         });
+        onProgress?.({ type: 'page_failed', url, error: err.message });
       } finally {
         if (page) await page.close();
       }
     }
 
     // Record limitations
-    if (queue.length > 0) {
-      crawlLimitations.push(`Stopped at ${MAX_PAGES} pages, ${queue.length} URLs remaining in queue`);
+    if (frontier.size > 0) {
+      crawlLimitations.push(`Stopped at ${config.maxPages} pages, ${frontier.size} URLs remaining in queue`);
+    }
+    if (crawlErrors.length > 0) {
+      crawlLimitations.push(`${crawlErrors.length} pages skipped due to errors`);
     }
-    if (visited.size > snapshots.length) {
-      crawlLimitations.push(`${visited.size - snapshots.length} pages skipped due to errors`);
+    if (duplicates.length > 0) {
+      crawlLimitations.push(`${duplicates.length} URL(s) rendered the same content as an earlier page and were skipped`);
+    }
+    for (const policy of robotsPolicies.values()) {
+      if (policy.status === 'unreachable') {
+        crawlLimitations.push(`${policy.url} could not be fetched; treated as disallowing all pages`);
+      }
+      if (policy.crawlDelay) {
+        crawlLimitations.push(`Honored Crawl-delay of ${Math.min(policy.crawlDelay, MAX_CRAWL_DELAY_SECONDS)}s from ${policy.url}`);
+      }
+    }
+    for (const url of robotsBlocked) {
+      crawlLimitations.push(`Blocked by robots.txt: ${url}`);
     }
 
   } finally {
@@ -219,12 +297,22 @@ export async function crawlWebsite(startUrl) {
     crawledAt: new Date().toISOString(),
     totalPages: snapshots.length,
     snapshots,
+    selections,
     crawlErrors,
     crawlLimitations,
-    config: {
-      maxDepth: MAX_DEPTH,
-      maxPages: MAX_PAGES
-    }
+    robots: {
+      userAgent: CRAWLER_USER_AGENT,
+      policies: [...robotsPolicies.values()].map(p => ({
+        url: p.url,
+        status: p.status,
+        crawlDelay: p.crawlDelay
+      })),
+      blocked: [...robotsBlocked]
+    },
+    sitemaps: sitemapSummary,
+    source: { type: 'live' },
+    config,
+    configAdjustments: adjustments
   };
 }
 
@@ -0,0 +1,262 @@
+/**
+ * Page Data Extraction
+ * One DOM walk shared by the live crawler (run inside Chromium via page.evaluate)
+ * and offline sources (run in Node against a linkedom document)
+ */
+
+import { parseHTML } from 'linkedom';
+import { createPageSnapshot } from '../models/PageSnapshot.js';
+
+/**
+ * Extract title, visible text, controls, links, client-side routes, headings, forms,
+ * meta tags, landmarks, page regions, scripts, iframes and structured data from a document.
+ * Must stay self-contained: Playwright serializes it into the page.
+ * Without a baseUrl it runs in a real browser and relies on layout (innerText,
+ * resolved href/type properties); with one it works from markup alone.
+ * @param {Document} [doc] - Document to read (the page's own when run in the browser)
+ * @param {string} [baseUrl] - URL the markup was served from (static documents only)
+ * @returns {Object} - Raw page data for createPageSnapshot()
+ */
+export function extractDocumentData(doc = document, baseUrl = undefined) {
+  const isStatic = baseUrl !== undefined;
+
+  // Approximates innerText for documents that were never laid out
+  const HIDDEN_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'SVG', 'IFRAME']);
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV',
+    'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+  ]);
+  const staticText = (node) => {
+    if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) return '';
+
+    const tag = (node.tagName || '').toUpperCase();
+    if (HIDDEN_TAGS.has(tag) || node.hasAttribute?.('hidden')) return '';
+    if (/display\s*:\s*none/i.test(node.getAttribute?.('style') || '')) return '';
+
+    const inner = Array.from(node.childNodes).map(staticText).join('');
+    return BLOCK_TAGS.has(tag) ? `\n${inner.trim()}\n` : inner;
+  };
+  const textOf = (el) => (isStatic
+    ? staticText(el).replace(/\s*\n\s*/g, '\n').trim()
+    : (el.innerText || el.textContent || '').trim());
+
+  const base = isStatic ? (() => {
+    try {
+      return new URL(doc.querySelector('base[href]')?.getAttribute('href') || baseUrl, baseUrl).href;
+    } catch {
+      return baseUrl;
+    }
+  })() : doc.baseURI;
+  const resolve = (value) => {
+    try {
+      return new URL(value, base).href;
+    } catch {
+      return '';
+    }
+  };
+  const hrefOf = (el) => (isStatic ? resolve(el.getAttribute('href')) : el.href || '');
+  const typeOf = (el, fallback) => (isStatic
+    ? (el.getAttribute('type') || fallback).toLowerCase()
+    : el.type || fallback);
+
+  const toInput = el => ({
+    type: el.tagName.toLowerCase() === 'textarea' ? 'textarea' :
+          el.tagName.toLowerCase() === 'select' ? 'select' :
+          typeOf(el, 'text'),
+    name: el.getAttribute('name') || el.getAttribute('id') || '',
+    placeholder: el.getAttribute('placeholder') || ''
+  });
+  const toButtons = root => [
+    ...Array.from(root.querySelectorAll('button')).map(el => ({
+      text: textOf(el),
+      type: typeOf(el, 'submit')
+    })),
+    ...Array.from(root.querySelectorAll('input[type="submit"], input[type="button"]')).map(el => ({
+      text: el.getAttribute('value') || '',
+      type: typeOf(el, 'submit')
+    }))
+  ];
+
+  // Get visible text (simplified)
+  const visibleText = doc.body ? textOf(doc.body) : '';
+
+  // Get all inputs
+  const inputs = Array.from(doc.querySelectorAll('input, textarea, select')).map(toInput);
+
+  // Get all buttons (including input[type=submit] and links styled as buttons)
+  const buttons = [
+    ...toButtons(doc),
+    // Also capture links that look like buttons (common CTAs)
+    ...Array.from(doc.querySelectorAll('a[role="button"], a.btn, a.button, a.cta')).map(el => ({
+      text: textOf(el),
+      type: 'link-button'
+    }))
+  ].filter(b => b.text.length > 0);
+
+  // Get all links
+  const links = Array.from(doc.querySelectorAll('a[href]')).map(el => ({
+    href: hrefOf(el),
+    text: textOf(el).substring(0, 100)
+  })).filter(l => l.href);
+
+  // Client-side routes: router attributes and onclick handlers that navigate,
+  // on elements that are not already real links
+  const ROUTE_ATTRIBUTES = ['routerlink', 'ng-reflect-router-link', 'data-href', 'data-to', 'data-route', 'data-url', 'data-link', 'to'];
+  const ONCLICK_ROUTE = /(?:location(?:\.href)?\s*=|location\.(?:assign|replace)\(|\b(?:navigate|navigateTo|navigateByUrl|push)\()\s*['"`]([^'"`]+)['"`]/g;
+  const isRoute = value => /^(\/|\.\/|#!?\/|https?:)/i.test(value);
+  const routeSelector = [...ROUTE_ATTRIBUTES.map(name => `[${name}]`), '[onclick]'].join(', ');
+  const routes = [];
+  const routeHrefs = new Set(links.map(l => l.href));
+  for (const el of Array.from(doc.querySelectorAll(routeSelector))) {
+    const link = el.closest('a[href]');
+    if (link && !/^(#|javascript:|$)/i.test(link.getAttribute('href').trim())) continue;
+    const values = [
+      ...ROUTE_ATTRIBUTES.map(name => el.getAttribute(name) || ''),
+      ...Array.from((el.getAttribute('onclick') || '').matchAll(ONCLICK_ROUTE), match => match[1])
+    ];
+    for (const value of values.map(v => v.trim()).filter(isRoute)) {
+      const href = resolve(value);
+      if (!href || routeHrefs.has(href)) continue;
+      routeHrefs.add(href);
+      routes.push({ href, text: textOf(el).substring(0, 100) });
+    }
+  }
+
+  // Headings h1-h3 in document order
+  const headings = Array.from(doc.querySelectorAll('h1, h2, h3')).map(el => ({
+    level: parseInt(el.tagName.substring(1), 10),
+    text: textOf(el).substring(0, 200)
+  })).filter(h => h.text.length > 0).slice(0, 100);
+
+  // Forms with the controls they contain
+  const forms = Array.from(doc.querySelectorAll('form')).map(el => ({
+    // A form without an action submits to the page itself
+    action: el.getAttribute('action') ? resolve(el.getAttribute('action')) : (isStatic ? baseUrl : doc.URL),
+    method: (el.getAttribute('method') || 'get').toLowerCase(),
+    inputs: Array.from(el.querySelectorAll('input, textarea, select')).map(toInput),
+    buttons: toButtons(el).filter(b => b.text.length > 0)
+  })).slice(0, 20);
+
+  // Meta description and generator plus Open Graph / Twitter card tags
+  const meta = { description: '', og: {}, generator: '' };
+  for (const el of Array.from(doc.querySelectorAll('meta[name], meta[property]'))) {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || '').toLowerCase();
+    const content = (el.getAttribute('content') || '').trim().substring(0, 300);
+    if (key === 'description') meta.description = content;
+    else if (key === 'generator' && !meta.generator) meta.generator = content;
+    else if (/^(og|twitter):/.test(key) && !(key in meta.og)) meta.og[key] = content;
+  }
+
+  // Landmarks (explicit roles and their implicit HTML elements) and other ARIA roles
+  const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'search', 'form', 'region'];
+  const IMPLICIT_ROLES = { HEADER: 'banner', NAV: 'navigation', MAIN: 'main', FOOTER: 'contentinfo', ASIDE: 'complementary', SEARCH: 'search' };
+  const landmarks = [];
+  const roles = new Set();
+  for (const el of Array.from(doc.querySelectorAll('[role], header, nav, main, footer, aside, search'))) {
+    const explicit = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/)[0];
+    const role = explicit || IMPLICIT_ROLES[el.tagName.toUpperCase()];
+    // header and footer are only landmarks at page level
+    if (!explicit && /^(HEADER|FOOTER)$/i.test(el.tagName) && el.closest('article, aside, main, nav, section')) continue;
+
+    if (LANDMARK_ROLES.includes(role)) {
+      const labelledBy = el.getAttribute('aria-labelledby');
+      const label = el.getAttribute('aria-label')
+        || (labelledBy && doc.getElementById(labelledBy) ? textOf(doc.getElementById(labelledBy)) : '');
+      landmarks.push({ role, label: label.substring(0, 100) });
+    } else if (role) {
+      roles.add(role);
+    }
+  }
+
+  // Text lines of the regions claims are weighted by: navigation (nav, and a
+  // page-level header without the h1), the page footer, and the hero - the
+  // h1's section or header, else the h1 and the few blocks that follow it
+  const linesOf = els => [...new Set(els.flatMap(el => textOf(el).split('\n')).map(l => l.trim()).filter(Boolean))]
+    .slice(0, 200);
+  const h1 = doc.querySelector('h1');
+  const heroSection = h1?.closest('[class*="hero"], section, header');
+  const hero = heroSection ? [heroSection] : h1 ? [h1] : [];
+  for (let el = h1?.nextElementSibling; !heroSection && el && hero.length <= 3; el = el.nextElementSibling) {
+    if (/^H[1-3]$/i.test(el.tagName) || el.querySelector('h1, h2, h3')) break;
+    hero.push(el);
+  }
+  const regions = {
+    hero: linesOf(hero),
+    nav: linesOf(Array.from(doc.querySelectorAll('nav, [role="navigation"], header, [role="banner"]'))
+      .filter(el => !el.contains(h1) && !el.closest('article, aside, main, section'))),
+    footer: linesOf(Array.from(doc.querySelectorAll('footer, [role="contentinfo"]'))
+      .filter(el => !el.closest('article, aside, main, nav, section')))
+  };
+
+  // External scripts, where third-party widgets and SDKs come from
+  const scripts = [...new Set(Array.from(doc.querySelectorAll('script[src]'))
+    .map(el => (isStatic ? resolve(el.getAttribute('src')) : el.src))
+    .filter(Boolean))].slice(0, 100);
+
+  // Embedded frames
+  const iframes = Array.from(doc.querySelectorAll('iframe')).map(el => ({
+    src: el.getAttribute('src') ? resolve(el.getAttribute('src')) : '',
+    title: el.getAttribute('title') || ''
+  })).slice(0, 20);
+
+  // Structured data: JSON-LD items (flattening @graph) and top-level microdata items
+  const schemaType = value => String(value).replace(/^https?:\/\/schema\.org\//i, '');
+  const structuredData = [];
+  for (const el of Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))) {
+    let data;
+    try {
+      data = JSON.parse(el.textContent);
+    } catch {
+      continue;
+    }
+    const items = (Array.isArray(data) ? data : [data]).flatMap(item => (item && item['@graph']) || [item]);
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || !item['@type']) continue;
+      for (const type of [].concat(item['@type'])) {
+        structuredData.push({ format: 'json-ld', type: schemaType(type), name: typeof item.name === 'string' ? item.name.substring(0, 100) : '' });
+      }
+    }
+  }
+  for (const el of Array.from(doc.querySelectorAll('[itemscope][itemtype]'))) {
+    if (el.parentElement?.closest('[itemscope]')) continue;
+    for (const type of el.getAttribute('itemtype').trim().split(/\s+/)) {
+      const name = el.querySelector('[itemprop="name"]');
+      structuredData.push({ format: 'microdata', type: schemaType(type), name: name ? textOf(name).substring(0, 100) : '' });
+    }
+  }
+
+  return {
+    title: (doc.title || '').trim(),
+    visibleText: visibleText.substring(0, 50000), // Limit text size
+    inputs,
+    buttons,
+    links,
+    routes: routes.slice(0, 100),
+    headings,
+    forms,
+    meta,
+    landmarks,
+    roles: [...roles],
+    regions,
+    scripts,
+    iframes,
+    structuredData: structuredData.slice(0, 50)
+  };
+}
+
+/**
+ * Build a PageSnapshot from saved HTML without a browser
+ * @param {string} html - Page markup
+ * @param {string} url - URL the page was served from
+ * @param {Object} [response] - What the source recorded about the response, if anything
+ * @param {string[]} [response.requestHosts] - Hosts the page loaded resources from
+ * @param {Object<string, string>} [response.headers] - Response headers
+ * @param {string[]} [response.cookies] - Cookie names
+ * @returns {import('../models/PageSnapshot.js').PageSnapshot}
+ */
+export function snapshotFromHtml(html, url, { requestHosts, headers, cookies } = {}) {
+  const { document } = parseHTML(html);
+  return createPageSnapshot({ url, ...extractDocumentData(document, url), requestHosts, headers, cookies });
+}
@@ -0,0 +1,210 @@
+/**
+ * Priority Crawl Frontier
+ * Ranks candidate links by how likely they are to reveal a distinct feature,
+ * replacing the plain BFS queue so the page budget is not spent on near-duplicates
+ */
+
+import { getPattern, getPatternIds } from '../engine/patterns.js';
+import { getHashRoute } from './urls.js';
+
+const NEW_PATTERN_BONUS = 20;
+const SEEN_PATTERN_PENALTY = 10;
+const SIMILAR_PATH_PENALTY = 15;
+const DEPTH_PENALTY = 5;
+const SITEMAP_BONUS = 5;
+
+/**
+ * @typedef {Object} FrontierEntry
+ * @property {string} url - URL to crawl
+ * @property {number} depth - Link depth from the start URL
+ * @property {string} source - 'start' | 'link' | 'route' (client-side router) | 'sitemap'
+ * @property {string} [text] - Link text the URL was found with
+ */
+
+/**
+ * @typedef {Object} Selection
+ * @property {string} url - Selected URL
+ * @property {number} depth - Link depth
+ * @property {string} source - Where the URL came from
+ * @property {number} score - Priority score when selected
+ * @property {string|null} patternId - Pattern the link looked like
+ * @property {string[]} reasons - Why this URL was picked
+ */
+
+/**
+ * Score a link against the `link_text` and `url` signals of every pattern
+ * @param {string} url
+ * @param {string} text - Link text
+ * @returns {{ patternId: string|null, score: number, reasons: string[] }} - Best matching pattern
+ */
+export function scoreLink(url, text = '') {
+  let best = { patternId: null, score: 0, reasons: [] };
+
+  for (const patternId of getPatternIds()) {
+    const pattern = getPattern(patternId);
+    let textWeight = 0;
+    let urlWeight = 0;
+
+    for (const signal of pattern.signals) {
+      if (signal.type === 'link_text' && text && signal.weight > textWeight && signal.pattern.test(text)) {
+        textWeight = signal.weight;
+      } else if (signal.type === 'url' && signal.weight > urlWeight && signal.pattern.test(url)) {
+        urlWeight = signal.weight;
+      }
+    }
+
+    const score = textWeight + urlWeight;
+    if (score > best.score) {
+      const reasons = [];
+      if (textWeight) reasons.push(`link text "${text}" matches ${pattern.name} (+${textWeight})`);
+      if (urlWeight) reasons.push(`path matches ${pattern.name} (+${urlWeight})`);
+      best = { patternId, score, reasons };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Path template used to spot near-duplicates: the last segment is replaced by *
+ * when it sits under a parent (/blog/post-1 and /blog/post-2 → /blog/*).
+ * Hash-routed apps use the route (/#/blog/post-1 → /blog/*).
+ */
+export function getPathTemplate(url) {
+  try {
+    const segments = (getHashRoute(url) || new URL(url).pathname).split('/').filter(Boolean);
+    if (segments.length < 2) return `/${segments.join('/')}`;
+    return `/${segments.slice(0, -1).join('/')}/*`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Create a crawl frontier
+ * @param {Object} options
+ * @param {Function} options.normalizeUrl - Dedup key for URLs
+ * @param {number} options.maxSize - Maximum number of pending candidates
+ * @returns {Object} - Frontier with add(), next(), markVisited() and size
+ */
+export function createFrontier({ normalizeUrl, maxSize }) {
+  const pending = new Map();
+  const patternCounts = new Map();
+  const templateCounts = new Map();
+
+  /**
+   * Score that depends on what has already been picked
+   */
+  function dynamicScore(entry) {
+    if (entry.source === 'start') {
+      return { score: entry.staticScore, reasons: entry.reasons };
+    }
+
+    const reasons = [...entry.reasons];
+    let score = entry.staticScore;
+
+    if (entry.patternId) {
+      const seen = patternCounts.get(entry.patternId) || 0;
+      if (seen === 0) {
+        score += NEW_PATTERN_BONUS;
+        reasons.push(`no ${getPattern(entry.patternId).name} picked yet (+${NEW_PATTERN_BONUS})`);
+      } else {
+        score -= seen * SEEN_PATTERN_PENALTY;
+        reasons.push(`${seen} ${getPattern(entry.patternId).name} page(s) already picked (-${seen * SEEN_PATTERN_PENALTY})`);
+      }
+    }
+
+    const similar = templateCounts.get(entry.template) || 0;
+    if (similar > 0) {
+      score -= similar * SIMILAR_PATH_PENALTY;
+      reasons.push(`${similar} similar path(s) under ${entry.template} already picked (-${similar * SIMILAR_PATH_PENALTY})`);
+    }
+
+    return { score, reasons };
+  }
+
+  return {
+    get size() {
+      return pending.size;
+    },
+
+    /**
+     * Add a candidate; a URL seen again keeps its best static score
+     * @param {FrontierEntry} candidate
+     * @returns {boolean} - Whether the URL is newly pending
+     */
+    add({ url, depth, source, text = '' }) {
+      const key = normalizeUrl(url);
+      const { patternId, score, reasons } = scoreLink(url, text);
+
+      let staticScore = score - depth * DEPTH_PENALTY;
+      const staticReasons = [...reasons];
+      if (depth > 0) staticReasons.push(`depth ${depth} (-${depth * DEPTH_PENALTY})`);
+      if (source === 'sitemap') {
+        staticScore += SITEMAP_BONUS;
+        staticReasons.push(`listed in sitemap (+${SITEMAP_BONUS})`);
+      }
+      if (source === 'start') {
+        staticScore = Infinity;
+        staticReasons.splice(0, staticReasons.length, 'start URL');
+      }
+
+      const existing = pending.get(key);
+      if (existing) {
+        if (staticScore > existing.staticScore) {
+          Object.assign(existing, { url, depth, source, patternId, staticScore, reasons: staticReasons });
+        }
+        return false;
+      }
+
+      if (pending.size >= maxSize) return false;
+
+      pending.set(key, {
+        url,
+        depth,
+        source,
+        patternId,
+        staticScore,
+        reasons: staticReasons,
+        template: getPathTemplate(url)
+      });
+      return true;
+    },
+
+    /**
+     * Remove and return the highest-priority candidate
+     * @returns {Selection|null}
+     */
+    next() {
+      let bestKey = null;
+      let best = null;
+
+      for (const [key, entry] of pending) {
+        const { score, reasons } = dynamicScore(entry);
+        if (!best || score > best.score) {
+          bestKey = key;
+          best = { url: entry.url, depth: entry.depth, source: entry.source, patternId: entry.patternId, score, reasons };
+        }
+      }
+
+      if (bestKey === null) return null;
+      pending.delete(bestKey);
+
+      // The start URL outranks everything; report it without a numeric score
+      if (!Number.isFinite(best.score)) best.score = null;
+      return best;
+    },
+
+    /**
+     * Record a selection as crawled so later scores account for it
+     * @param {Selection} selection
+     */
+    markVisited(selection) {
+      if (selection.patternId) {
+        patternCounts.set(selection.patternId, (patternCounts.get(selection.patternId) || 0) + 1);
+      }
+      const template = getPathTemplate(selection.url);
+      templateCounts.set(template, (templateCounts.get(template) || 0) + 1);
+    }
+  };
+}
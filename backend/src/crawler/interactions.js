@@ -0,0 +1,161 @@
+/**
+ * Page Interactions
+ * Login dialogs, hamburger menus, search overlays and tabbed pricing tables only
+ * render after a click. This opens such toggles one at a time on a loaded page
+ * and keeps each resulting DOM as an extra snapshot state. Clicks never leave
+ * the page: top-level navigations are aborted while the phase runs.
+ */
+
+import { normalizeUrl } from './urls.js';
+
+const TOGGLE_ATTRIBUTE = 'data-pagelens-toggle';
+const CLICK_TIMEOUT_MS = 2000;
+// Time for animations and lazy-rendered dialogs after a click
+const SETTLE_MS = 500;
+
+/**
+ * @typedef {Object} Interaction
+ * @property {string} kind - 'dialog', 'menu', 'search', 'tab' or 'disclosure'
+ * @property {string} label - Accessible name of the clicked element, e.g. 'Log in'
+ */
+
+/**
+ * Find visible toggles that open something in place, tag them with
+ * TOGGLE_ATTRIBUTE and describe them. Must stay self-contained: Playwright
+ * serializes it into the page.
+ * @param {{ max: number, attribute: string }} options
+ * @returns {(Interaction & { id: number })[]}
+ */
+function findToggles({ max, attribute }) {
+  const DIALOG_LABEL = /^(log\s*in|sign\s*in|sign\s*up|register|create\s*account|my\s*account|account)$/i;
+  const SEARCH_LABEL = /^(search|open\s*search)$/i;
+  const MENU_LABEL = /(^|\s)(menu|navigation)(\s|$)|^more$/i;
+
+  const labelOf = el => (el.getAttribute('aria-label') || el.innerText || el.getAttribute('title') || '')
+    .replace(/\s+/g, ' ').trim().substring(0, 60);
+
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+  };
+
+  // Links to other pages (hash routes included) and submit buttons are left to
+  // the crawler and the forms
+  const navigates = (el) => {
+    const link = el.closest('a[href]');
+    if (link) {
+      const href = link.getAttribute('href').trim();
+      if (href && !/^#(?!!?\/.)/.test(href) && !/^javascript:/i.test(href)) return true;
+    }
+    const button = el.closest('button, input');
+    return Boolean(button?.form && ['submit', 'image'].includes(button.type));
+  };
+
+  const kindOf = (el, label) => {
+    const popup = (el.getAttribute('aria-haspopup') || '').toLowerCase();
+    if (el.getAttribute('role') === 'tab') return 'tab';
+    if (popup === 'dialog' || DIALOG_LABEL.test(label)) return 'dialog';
+    if (SEARCH_LABEL.test(label)) return 'search';
+    if (['menu', 'true', 'listbox'].includes(popup) || MENU_LABEL.test(label)) return 'menu';
+    if (el.tagName === 'SUMMARY' || el.hasAttribute('aria-expanded')) return 'disclosure';
+    return null;
+  };
+
+  const candidates = new Set([
+    ...document.querySelectorAll('[aria-expanded="false"], [aria-haspopup]:not([aria-haspopup="false"])'),
+    ...document.querySelectorAll('[role="tab"]:not([aria-selected="true"])'),
+    ...document.querySelectorAll('details:not([open]) > summary'),
+    ...document.querySelectorAll('button, [role="button"], a[href^="#"], a[href=""], a:not([href])')
+  ]);
+
+  const toggles = [];
+  for (const el of candidates) {
+    if (toggles.length >= max) break;
+    if (!isVisible(el) || navigates(el) || el.closest('[disabled], [aria-disabled="true"]')) continue;
+
+    const label = labelOf(el);
+    const kind = label && kindOf(el, label);
+    if (!kind) continue;
+
+    el.setAttribute(attribute, String(toggles.length));
+    toggles.push({ id: toggles.length, kind, label });
+  }
+  return toggles;
+}
+
+/**
+ * Everything on a page a classifier could pick up, as comparable keys
+ * @param {Object} data - extractDocumentData() result
+ * @returns {Set<string>}
+ */
+function evidenceKeys(data) {
+  return new Set([
+    ...data.visibleText.split('\n').map(line => `text:${line.trim()}`),
+    ...data.inputs.map(input => `input:${input.type}:${input.name}`),
+    ...data.buttons.map(button => `button:${button.text}`),
+    ...data.links.map(link => `link:${link.href}`),
+    ...data.forms.map(form => `form:${form.action}:${form.inputs.length}`),
+    ...data.roles.map(role => `role:${role}`)
+  ]);
+}
+
+/**
+ * Click up to `max` toggles on a loaded page and keep the states that revealed
+ * something new. The page is left wherever the last click took it.
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {number} options.max - Toggles to try
+ * @param {Object} options.initialData - extractDocumentData() result before any click
+ * @param {Function} options.extract - Reads the page's current data
+ * @returns {Promise<{ interaction: Interaction, data: Object }[]>}
+ */
+export async function exploreInteractions(page, { max, initialData, extract }) {
+  // In-page anchors ("#features") don't change this; hash routes do
+  const pageUrl = normalizeUrl(page.url());
+  const toggles = await page.evaluate(findToggles, { max, attribute: TOGGLE_ATTRIBUTE });
+  if (toggles.length === 0) return [];
+
+  const seen = evidenceKeys(initialData);
+  const states = [];
+
+  const stayOnPage = (route) => {
+    const request = route.request();
+    return request.isNavigationRequest() && request.frame() === page.mainFrame()
+      ? route.abort()
+      : route.continue();
+  };
+  const closePopup = popup => popup.close().catch(() => {});
+  await page.route('**/*', stayOnPage);
+  page.on('popup', closePopup);
+
+  try {
+    for (const { id, kind, label } of toggles) {
+      try {
+        await page.locator(`[${TOGGLE_ATTRIBUTE}="${id}"]`).click({ timeout: CLICK_TIMEOUT_MS });
+        await page.waitForTimeout(SETTLE_MS);
+      } catch {
+        // Covered by an overlay, detached or not clickable; try the next one
+        continue;
+      }
+
+      // A client-side route change is a new page, not a toggle
+      if (normalizeUrl(page.url()) !== pageUrl) break;
+
+      const data = await extract();
+      const revealed = [...evidenceKeys(data)].filter(key => !seen.has(key));
+      if (revealed.length > 0) {
+        revealed.forEach(key => seen.add(key));
+        states.push({ interaction: { kind, label }, data });
+      }
+
+      // Close dialogs and menus before the next click
+      await page.keyboard.press('Escape').catch(() => {});
+    }
+  } finally {
+    page.off('popup', closePopup);
+    await page.unroute('**/*', stayOnPage);
+  }
+
+  return states;
+}
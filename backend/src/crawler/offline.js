@@ -0,0 +1,233 @@
+/**
+ * Offline Crawler
+ * Builds snapshots from a saved archive instead of a live browser, walking
+ * links with the same frontier, depth, page limits and path scope as crawlWebsite
+ */
+
+import path from 'node:path';
+import { resolveCrawlOptions, isPathInScope } from './options.js';
+import { createFrontier } from './frontier.js';
+import { snapshotFromHtml } from './extract.js';
+import { getContentFingerprint } from './spa.js';
+import { getBaseDomain, normalizeUrl, isInternalUrl, shouldSkipUrl } from './urls.js';
+import { SnapshotSourceError, loadHtmlDirectory, loadHar, loadWarc } from './archives.js';
+
+export { SnapshotSourceError };
+
+export const SNAPSHOT_SOURCE_TYPES = ['html', 'har', 'warc'];
+
+/**
+ * Directory API requests may read snapshot sources from
+ */
+export const SNAPSHOT_DIR = process.env.PAGELENS_SNAPSHOT_DIR
+  || path.resolve(process.env.PAGELENS_DATA_DIR || 'data', 'snapshots');
+
+const MAX_REDIRECT_HOPS = 10;
+
+/**
+ * @typedef {Object} SnapshotSource
+ * @property {string} type - 'html' (directory of saved pages) | 'har' | 'warc'
+ * @property {string} path - Resolved filesystem path
+ * @property {string} label - Path as requested, safe to show in reports
+ */
+
+/**
+ * Validate a requested snapshot source
+ * @param {Object} input - { type, path }
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Confine paths to this directory (API requests)
+ * @returns {SnapshotSource}
+ * @throws {SnapshotSourceError}
+ */
+export function resolveSnapshotSource(input, { rootDir } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new SnapshotSourceError('source must be an object');
+  }
+  if (!SNAPSHOT_SOURCE_TYPES.includes(input.type)) {
+    throw new SnapshotSourceError(`source.type must be one of: ${SNAPSHOT_SOURCE_TYPES.join(', ')}`);
+  }
+  if (typeof input.path !== 'string' || input.path.length === 0) {
+    throw new SnapshotSourceError('source.path must be a non-empty string');
+  }
+
+  if (!rootDir) {
+    return { type: input.type, path: path.resolve(input.path), label: input.path };
+  }
+
+  const resolved = path.resolve(rootDir, input.path);
+  const relative = path.relative(rootDir, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new SnapshotSourceError('source.path must be inside the snapshot directory');
+  }
+  return { type: input.type, path: resolved, label: relative };
+}
+
+/**
+ * Load a source's archive, reporting errors by the requested path rather than the server path
+ */
+async function loadArchive(source, startUrl) {
+  try {
+    return await readArchive(source, startUrl);
+  } catch (err) {
+    if (err instanceof SnapshotSourceError) err.message = err.message.replaceAll(source.path, source.label);
+    throw err;
+  }
+}
+
+function readArchive(source, startUrl) {
+  switch (source.type) {
+    case 'html':
+      if (!startUrl) {
+        throw new SnapshotSourceError('A URL is required to analyze a directory of HTML files');
+      }
+      return loadHtmlDirectory(source.path, getBaseDomain(startUrl));
+    case 'har':
+      return loadHar(source.path);
+    case 'warc':
+      return loadWarc(source.path);
+    default:
+      throw new SnapshotSourceError(`Unknown source type "${source.type}"`);
+  }
+}
+
+/**
+ * Archive lookup key: http and https copies of a page are the same page
+ */
+function archiveKey(url) {
+  return normalizeUrl(url).replace(/^https?:\/\//, '');
+}
+
+/**
+ * Crawl a saved archive
+ * @param {string|null} startUrl - URL to start from (defaults to the first archived page)
+ * @param {Object} options
+ * @param {SnapshotSource} options.source - Resolved snapshot source
+ * @param {Object} [options.crawlOptions] - Requested limits and scope (robots and sitemap options do not apply)
+ * @param {Function} [options.onProgress] - Same progress events as crawlWebsite
+ * @returns {Promise<Object>} - Crawl results in the same shape as crawlWebsite
+ */
+export async function crawlOffline(startUrl, { source, crawlOptions, onProgress } = {}) {
+  const { adjustments, ...config } = resolveCrawlOptions(crawlOptions);
+  const archive = await loadArchive(source, startUrl);
+
+  if (archive.pages.length === 0) {
+    throw new SnapshotSourceError(`No HTML pages found in ${source.label}`);
+  }
+
+  // The first copy of a URL wins, matching what a browser would have loaded first
+  const pages = new Map();
+  for (const page of archive.pages) {
+    if (!pages.has(archiveKey(page.url))) pages.set(archiveKey(page.url), page);
+  }
+  const redirects = new Map(archive.redirects.map(r => [archiveKey(r.from), r.to]));
+
+  const lookup = (url) => {
+    let key = archiveKey(url);
+    for (let hops = 0; !pages.has(key) && redirects.has(key) && hops < MAX_REDIRECT_HOPS; hops++) {
+      key = archiveKey(redirects.get(key));
+    }
+    return pages.get(key) || null;
+  };
+
+  startUrl = startUrl || archive.pages[0].url;
+  const startPage = lookup(startUrl);
+  if (!startPage) {
+    throw new SnapshotSourceError(`${startUrl} is not in ${source.label}`);
+  }
+  const baseDomain = getBaseDomain(startPage.url);
+
+  const visited = new Set();
+  const missing = new Set();
+  const frontier = createFrontier({ normalizeUrl, maxSize: config.maxPages * 10 });
+  frontier.add({ url: startPage.url, depth: 0, source: 'start' });
+  onProgress?.({ type: 'page_queued', url: startPage.url, depth: 0 });
+  const snapshots = [];
+  const selections = [];
+  const crawlErrors = [];
+  const seenContent = new Map();
+  const duplicates = [];
+  const crawlLimitations = [`Analyzed offline from ${source.type.toUpperCase()} source ${source.label}; robots.txt and sitemaps were not consulted`];
+
+  while (frontier.size > 0 && snapshots.length < config.maxPages) {
+    const selection = frontier.next();
+    const { url, depth } = selection;
+    const page = lookup(url);
+
+    // Redirects can lead two queued URLs to the same archived page
+    if (visited.has(normalizeUrl(page.url))) continue;
+    visited.add(normalizeUrl(page.url));
+
+    let snapshot;
+    try {
+      snapshot = snapshotFromHtml(page.html, page.url, page);
+    } catch (err) {
+      crawlErrors.push({ url, error: err.message });
+      onProgress?.({ type: 'page_failed', url, error: err.message });
+      continue;
+    }
+
+    const fingerprint = getContentFingerprint(snapshot);
+    if (fingerprint && seenContent.has(fingerprint)) {
+      duplicates.push(url);
+      onProgress?.({ type: 'page_duplicate', url, sameAs: seenContent.get(fingerprint) });
+      continue;
+    }
+    if (fingerprint) seenContent.set(fingerprint, snapshot.url);
+
+    snapshots.push(snapshot);
+    selections.push(selection);
+    frontier.markVisited(selection);
+    onProgress?.({ type: 'page_visited', url: snapshot.url, title: snapshot.title, depth });
+
+    if (depth < config.maxDepth) {
+      const newLinks = [
+        ...snapshot.links.map(link => ({ ...link, source: 'link' })),
+        ...snapshot.routes.map(route => ({ ...route, source: 'route' }))
+      ]
+        .filter(l => isInternalUrl(l.href, baseDomain, config.followSubdomains))
+        .filter(l => !shouldSkipUrl(l.href))
+        .filter(l => isPathInScope(l.href, config))
+        .filter(l => !visited.has(normalizeUrl(l.href)));
+
+      for (const link of newLinks) {
+        // Only pages that were archived can be visited
+        if (!lookup(link.href)) {
+          missing.add(normalizeUrl(link.href));
+          continue;
+        }
+        if (frontier.add({ url: link.href, depth: depth + 1, source: link.source, text: link.text })) {
+          onProgress?.({ type: 'page_queued', url: link.href, depth: depth + 1, source: link.source });
+        }
+      }
+    }
+  }
+
+  if (frontier.size > 0) {
+    crawlLimitations.push(`Stopped at ${config.maxPages} pages, ${frontier.size} URLs remaining in queue`);
+  }
+  if (duplicates.length > 0) {
+    crawlLimitations.push(`${duplicates.length} URL(s) rendered the same content as an earlier page and were skipped`);
+  }
+  if (missing.size > 0) {
+    crawlLimitations.push(`${missing.size} linked page(s) are not in the archive`);
+  }
+  if (config.interactions > 0) {
+    crawlLimitations.push('Saved pages cannot be clicked, so interactions were skipped');
+  }
+
+  return {
+    startUrl,
+    baseDomain,
+    crawledAt: new Date().toISOString(),
+    totalPages: snapshots.length,
+    snapshots,
+    selections,
+    crawlErrors,
+    crawlLimitations,
+    robots: { userAgent: null, policies: [], blocked: [] },
+    sitemaps: { sources: [], urlsFound: 0, seeded: [] },
+    source: { type: source.type, path: source.label },
+    config,
+    configAdjustments: adjustments
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Crawl Options
+ * Per-request crawl limits and scope, clamped to server-side caps
+ */
+
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 2,
+  maxPages: 15,
+  pageTimeout: 30000,
+  include: [],
+  exclude: [],
+  followSubdomains: false,
+  useSitemaps: true,
+  // Toggles (menus, dialogs, tabs) to click per page before snapshotting; 0 = off
+  interactions: 0,
+  // Milliseconds to wait for network idle and a quiet DOM after load (client-rendered pages)
+  settleTimeout: 5000
+};
+
+/**
+ * Server-side caps. Requested values outside these ranges are clamped.
+ */
+export const CRAWL_OPTION_LIMITS = {
+  maxDepth: { min: 0, max: parseInt(process.env.CRAWL_MAX_DEPTH_CAP, 10) || 5 },
+  maxPages: { min: 1, max: parseInt(process.env.CRAWL_MAX_PAGES_CAP, 10) || 100 },
+  pageTimeout: { min: 5000, max: 60000 },
+  interactions: { min: 0, max: 10 },
+  settleTimeout: { min: 0, max: 15000 },
+  globs: 20
+};
+
+/**
+ * Error thrown for malformed crawl options
+ */
+export class CrawlOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CrawlOptionsError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Resolve requested crawl options into the effective config
+ * @param {Object} [input] - Requested options (any subset of DEFAULT_CRAWL_OPTIONS)
+ * @returns {Object} - Effective options plus `adjustments` describing any clamping
+ * @throws {CrawlOptionsError} - When an option has the wrong type
+ */
+export function resolveCrawlOptions(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new CrawlOptionsError('crawlOptions must be an object');
+  }
+
+  const adjustments = [];
+  const options = { ...DEFAULT_CRAWL_OPTIONS };
+
+  for (const key of ['maxDepth', 'maxPages', 'pageTimeout', 'interactions', 'settleTimeout']) {
+    if (input[key] === undefined) continue;
+
+    const value = input[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new CrawlOptionsError(`crawlOptions.${key} must be a number`);
+    }
+
+    const { min, max } = CRAWL_OPTION_LIMITS[key];
+    const clamped = Math.min(Math.max(Math.floor(value), min), max);
+    if (clamped !== value) {
+      adjustments.push(`${key} ${value} adjusted to ${clamped} (allowed range ${min}-${max})`);
+    }
+    options[key] = clamped;
+  }
+
+  for (const key of ['include', 'exclude']) {
+    if (input[key] === undefined) continue;
+
+    const value = input[key];
+    if (!Array.isArray(value) || !value.every(g => typeof g === 'string' && g.length > 0)) {
+      throw new CrawlOptionsError(`crawlOptions.${key} must be an array of path globs`);
+    }
+    if (value.length > CRAWL_OPTION_LIMITS.globs) {
+      adjustments.push(`${key} truncated to the first ${CRAWL_OPTION_LIMITS.globs} globs`);
+    }
+    options[key] = value.slice(0, CRAWL_OPTION_LIMITS.globs);
+  }
+
+  for (const key of ['followSubdomains', 'useSitemaps']) {
+    if (input[key] === undefined) continue;
+
+    if (typeof input[key] !== 'boolean') {
+      throw new CrawlOptionsError(`crawlOptions.${key} must be a boolean`);
+    }
+    options[key] = input[key];
+  }
+
+  return { ...options, adjustments };
+}
+
+/**
+ * Convert a path glob to a RegExp
+ * `**` matches across slashes, `*` within one segment, `?` one character
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a URL's path is in scope for the include/exclude globs
+ * @param {string} url
+ * @param {Object} options - Resolved crawl options
+ * @returns {boolean}
+ */
+export function isPathInScope(url, { include, exclude }) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return false;
+  }
+
+  if (exclude.some(glob => globToRegExp(glob).test(pathname))) {
+    return false;
+  }
+  if (include.length > 0) {
+    return include.some(glob => globToRegExp(glob).test(pathname));
+  }
+  return true;
+}
@@ -0,0 +1,192 @@
+/**
+ * robots.txt Support
+ * Fetches and parses robots.txt (RFC 9309) for the PageLens user agent:
+ * Allow/Disallow with * and $ wildcards, longest-match precedence, Crawl-delay
+ */
+
+export const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT
+  || 'Mozilla/5.0 (compatible; PageLensBot/1.0; +https://github.com/short-int-ali/PageLens)';
+
+// Product token matched against robots.txt User-agent lines
+export const ROBOTS_AGENT = process.env.CRAWLER_ROBOTS_AGENT || 'PageLensBot';
+
+const ROBOTS_TIMEOUT = 10000;
+const MAX_ROBOTS_SIZE = 500 * 1024; // RFC 9309 minimum parse limit
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow - Allow or Disallow
+ * @property {string} path - Path pattern as written
+ * @property {RegExp} regex - Compiled pattern
+ */
+
+/**
+ * @typedef {Object} RobotsPolicy
+ * @property {string} url - robots.txt URL
+ * @property {'found'|'missing'|'unreachable'} status - Fetch outcome
+ * @property {RobotsRule[]} rules - Rules that apply to our agent
+ * @property {number|null} crawlDelay - Crawl-delay in seconds
+ * @property {string[]} sitemaps - Sitemap URLs listed in robots.txt
+ * @property {Function} isAllowed - (url) => boolean
+ */
+
+/**
+ * Parse robots.txt content into groups
+ * @param {string} text - robots.txt body
+ * @returns {{ groups: { agents: string[], rules: Object[], crawlDelay: number|null }[], sitemaps: string[] }}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    // Sitemap lines are not tied to any group
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value, regex: compileRobotsPattern(value) });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Compile a robots.txt path pattern (* = any sequence, trailing $ = end anchor)
+ */
+function compileRobotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = anchored ? path.slice(0, -1) : path;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Build a policy for one agent from parsed groups
+ * Groups naming the agent take precedence over the * group; matching groups are merged
+ * @param {Object} parsed - Result of parseRobotsTxt()
+ * @param {string} agent - Product token (e.g. PageLensBot)
+ * @returns {{ rules: RobotsRule[], crawlDelay: number|null }}
+ */
+export function selectRobotsGroup(parsed, agent) {
+  const token = agent.toLowerCase();
+  let matching = parsed.groups.filter(g => g.agents.includes(token));
+  if (matching.length === 0) {
+    matching = parsed.groups.filter(g => g.agents.includes('*'));
+  }
+
+  const delays = matching.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Check a path against rules: longest matching pattern wins, Allow wins ties
+ * @param {RobotsRule[]} rules
+ * @param {string} path - Path plus query string
+ * @returns {boolean}
+ */
+export function isPathAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.regex.test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch robots.txt for an origin and build the policy for our agent
+ * Missing (4xx) robots.txt allows everything; unreachable (5xx / network error) disallows everything
+ * @param {string} origin - e.g. https://example.com
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent header for the request
+ * @param {string} [options.agent] - Product token to match groups against
+ * @returns {Promise<RobotsPolicy>}
+ */
+export async function fetchRobotsPolicy(origin, { userAgent = CRAWLER_USER_AGENT, agent = ROBOTS_AGENT } = {}) {
+  const url = `${origin}/robots.txt`;
+  let status = 'found';
+  let text = '';
+
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': userAgent },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(ROBOTS_TIMEOUT)
+    });
+
+    if (response.ok) {
+      text = (await response.text()).slice(0, MAX_ROBOTS_SIZE);
+    } else if (response.status >= 400 && response.status < 500) {
+      status = 'missing';
+    } else {
+      status = 'unreachable';
+    }
+  } catch {
+    status = 'unreachable';
+  }
+
+  const parsed = parseRobotsTxt(text);
+  const { rules, crawlDelay } = status === 'unreachable'
+    ? { rules: [{ allow: false, path: '/', regex: /^\// }], crawlDelay: null }
+    : selectRobotsGroup(parsed, agent);
+
+  return {
+    url,
+    status,
+    rules,
+    crawlDelay,
+    sitemaps: parsed.sitemaps,
+    isAllowed(target) {
+      try {
+        const parsed = new URL(target);
+        return isPathAllowed(rules, `${parsed.pathname}${parsed.search}`);
+      } catch {
+        return false;
+      }
+    }
+  };
+}
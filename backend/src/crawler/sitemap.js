@@ -0,0 +1,212 @@
+/**
+ * Sitemap Discovery
+ * Finds sitemaps (robots.txt Sitemap: lines, /sitemap.xml), follows sitemap indexes,
+ * handles gzip, and ranks the listed URLs by how relevant their paths are to the active patterns
+ */
+
+import { gunzipSync } from 'node:zlib';
+import { getPattern, getPatternIds } from '../engine/patterns.js';
+import { CRAWLER_USER_AGENT } from './robots.js';
+import { isInternalUrl } from './urls.js';
+
+const SITEMAP_TIMEOUT = 10000;
+const MAX_SITEMAP_FILES = 10;
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+const MAX_SITEMAP_URLS = 5000;
+
+/**
+ * Decode the XML entities that appear in sitemap <loc> values
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml
+ * @returns {{ type: 'index'|'urlset', locs: string[] }}
+ */
+export function parseSitemapXml(xml) {
+  const type = /<sitemapindex[\s>]/i.test(xml) ? 'index' : 'urlset';
+  const locs = [];
+  const locPattern = /<loc>\s*([\s\S]*?)\s*<\/loc>/gi;
+
+  let match;
+  while ((match = locPattern.exec(xml)) !== null) {
+    locs.push(decodeXmlEntities(match[1].trim()));
+  }
+
+  return { type, locs };
+}
+
+/**
+ * Read a response body, giving up as soon as it passes `maxBytes` so a huge or
+ * endless sitemap is never held in memory
+ */
+async function readBody(response, maxBytes) {
+  if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+    await response.body?.cancel();
+    throw new Error('Sitemap too large');
+  }
+  if (!response.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw new Error('Sitemap too large');
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a sitemap body, gunzipping .gz files and gzip payloads
+ */
+async function fetchSitemap(url, maxBytes) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(SITEMAP_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  let body = await readBody(response, maxBytes);
+
+  // gzip magic bytes (servers often send .xml.gz without Content-Encoding)
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = gunzipSync(body, { maxOutputLength: maxBytes });
+  }
+
+  return body.toString('utf8');
+}
+
+/**
+ * Score a URL path against the `url` signals of every pattern
+ * @param {string} url
+ * @returns {{ score: number, patternId: string|null }} - Best matching pattern and its signal weight
+ */
+export function scoreSitemapUrl(url) {
+  let best = { score: 0, patternId: null };
+
+  for (const patternId of getPatternIds()) {
+    for (const signal of getPattern(patternId).signals) {
+      if (signal.type === 'url' && signal.weight > best.score && signal.pattern.test(url)) {
+        best = { score: signal.weight, patternId };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Discover sitemaps for an origin and collect the URLs they list
+ * Sitemap indexes are only followed to sitemaps on the site itself, so a site
+ * cannot make the crawler fetch arbitrary hosts
+ * @param {string} origin - e.g. https://example.com
+ * @param {Object} [options]
+ * @param {string[]} [options.robotsSitemaps] - Sitemap URLs from robots.txt
+ * @param {Function} [options.isAllowed] - robots.txt check for the default /sitemap.xml location
+ * @param {boolean} [options.followSubdomains] - Also follow index entries on subdomains
+ * @param {number} [options.maxFiles] - Maximum sitemap fetches, indexes included
+ * @param {number} [options.maxBytes] - Size cap per sitemap file, compressed and uncompressed
+ * @returns {Promise<{ sources: Object[], urls: string[] }>}
+ */
+export async function discoverSitemapUrls(origin, {
+  robotsSitemaps = [],
+  isAllowed = () => true,
+  followSubdomains = false,
+  maxFiles = MAX_SITEMAP_FILES,
+  maxBytes = MAX_SITEMAP_BYTES
+} = {}) {
+  const defaultSitemap = `${origin}/sitemap.xml`;
+  const pending = [...new Set(robotsSitemaps)];
+  if (!pending.includes(defaultSitemap) && isAllowed(defaultSitemap)) {
+    pending.push(defaultSitemap);
+  }
+
+  const seen = new Set();
+  const sources = [];
+  const urls = new Set();
+
+  while (pending.length > 0 && seen.size < maxFiles && urls.size < MAX_SITEMAP_URLS) {
+    const sitemapUrl = pending.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    try {
+      const { type, locs } = parseSitemapXml(await fetchSitemap(sitemapUrl, maxBytes));
+      sources.push({ url: sitemapUrl, type, entries: locs.length });
+
+      if (type === 'index') {
+        for (const loc of locs) {
+          if (seen.size + pending.length >= maxFiles) break;
+          if (isInternalUrl(loc, origin, followSubdomains) && !seen.has(loc) && !pending.includes(loc)) {
+            pending.push(loc);
+          }
+        }
+      } else {
+        for (const loc of locs) {
+          if (urls.size >= MAX_SITEMAP_URLS) break;
+          urls.add(loc);
+        }
+      }
+    } catch (err) {
+      sources.push({ url: sitemapUrl, type: null, entries: 0, error: err.message });
+    }
+  }
+
+  return { sources, urls: [...urls] };
+}
+
+/**
+ * Pick sitemap URLs to seed the crawl with
+ * Only URLs that match a pattern's url signals are kept, taken round-robin across
+ * patterns so a single section (e.g. hundreds of /products/*) cannot fill the budget
+ * @param {string[]} urls - Candidate URLs (already filtered for scope)
+ * @param {number} limit - Maximum seeds
+ * @returns {{ url: string, patternId: string, score: number }[]}
+ */
+export function selectSitemapSeeds(urls, limit) {
+  const byPattern = new Map();
+
+  for (const url of urls) {
+    const { score, patternId } = scoreSitemapUrl(url);
+    if (!patternId) continue;
+
+    if (!byPattern.has(patternId)) byPattern.set(patternId, []);
+    byPattern.get(patternId).push({ url, patternId, score });
+  }
+
+  // Shortest paths first within a pattern (/pricing before /pricing/enterprise/faq)
+  const buckets = [...byPattern.values()]
+    .map(bucket => bucket.sort((a, b) => b.score - a.score || a.url.length - b.url.length))
+    .sort((a, b) => b[0].score - a[0].score);
+
+  const seeds = [];
+  while (seeds.length < limit && buckets.some(b => b.length > 0)) {
+    for (const bucket of buckets) {
+      if (bucket.length > 0 && seeds.length < limit) {
+        seeds.push(bucket.shift());
+      }
+    }
+  }
+
+  return seeds;
+}
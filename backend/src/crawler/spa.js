@@ -0,0 +1,111 @@
+/**
+ * Single-Page App Support
+ * Client-rendered sites fill the page after `domcontentloaded` and change routes
+ * with history.pushState instead of links. These helpers wait for rendering to
+ * settle within a budget, record client-side route changes, and spot routes that
+ * render the same content as a page already crawled.
+ */
+
+import { createHash } from 'node:crypto';
+
+// A DOM without mutations for this long counts as rendered
+const DOM_QUIET_MS = 500;
+const ROUTES_GLOBAL = '__pagelensRoutes';
+
+/**
+ * Resolve once the DOM has had no mutations for `quietMs`, or after `timeout`.
+ * Must stay self-contained: Playwright serializes it into the page.
+ */
+function waitForDomQuiet({ quietMs, timeout }) {
+  return new Promise((resolve) => {
+    let quiet;
+    let limit;
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(quiet);
+      clearTimeout(limit);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(quiet);
+      quiet = setTimeout(done, quietMs);
+    });
+    observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    quiet = setTimeout(done, quietMs);
+    limit = setTimeout(done, timeout);
+  });
+}
+
+/**
+ * Wait for client-side rendering: network idle first, then a quiet DOM,
+ * both within `budget` milliseconds in total
+ * @param {import('playwright').Page} page
+ * @param {number} budget - Milliseconds; 0 skips waiting
+ */
+export async function waitForSettled(page, budget) {
+  if (budget <= 0) return;
+  const deadline = Date.now() + budget;
+
+  // Pages that poll or stream never reach network idle; the budget caps that
+  await page.waitForLoadState('networkidle', { timeout: budget }).catch(() => {});
+
+  const remaining = deadline - Date.now();
+  if (remaining > 0) {
+    await page.evaluate(waitForDomQuiet, { quietMs: Math.min(DOM_QUIET_MS, remaining), timeout: remaining })
+      .catch(() => {});
+  }
+}
+
+/**
+ * Init script: record every URL the page moves to with pushState, replaceState
+ * or a hash change. Must stay self-contained.
+ */
+function recordRouteChanges(globalName) {
+  const routes = [];
+  Object.defineProperty(window, globalName, { value: routes });
+
+  const record = (url) => {
+    try {
+      routes.push(new URL(url, location.href).href);
+    } catch {
+      // Not a URL
+    }
+  };
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      if (url !== undefined && url !== null) record(url);
+      return original.apply(this, arguments);
+    };
+  }
+  window.addEventListener('hashchange', () => record(location.href));
+}
+
+/**
+ * Start recording client-side route changes on every page of a context
+ * @param {import('playwright').BrowserContext} context
+ */
+export async function captureRouteChanges(context) {
+  await context.addInitScript(recordRouteChanges, ROUTES_GLOBAL);
+}
+
+/**
+ * URLs the page routed to on the client since it loaded, without repeats
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string[]>}
+ */
+export async function readRouteChanges(page) {
+  const routes = await page.evaluate(name => window[name] || [], ROUTES_GLOBAL).catch(() => []);
+  return [...new Set(routes)];
+}
+
+/**
+ * Fingerprint of what a page shows. SPAs often answer unknown or aliased routes
+ * with the same view, which should not use up the page budget twice.
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @returns {string|null} - null for pages without text, which are never treated as duplicates
+ */
+export function getContentFingerprint(snapshot) {
+  if (!snapshot.visibleText.trim()) return null;
+  return createHash('sha1').update(`${snapshot.title}\n${snapshot.visibleText}`).digest('hex');
+}
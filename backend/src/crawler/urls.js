@@ -0,0 +1,81 @@
+/**
+ * Crawl URL Helpers
+ * Shared by the live crawler and offline snapshot sources
+ */
+
+/**
+ * Extract base domain from URL
+ */
+export function getBaseDomain(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Route of a hash-routed SPA URL (#/pricing or #!/pricing → /pricing),
+ * or null for plain in-page anchors
+ */
+export function getHashRoute(url) {
+  try {
+    const route = /^#!?(\/[^?]*)/.exec(new URL(url).hash)?.[1].replace(/\/$/, '');
+    return route || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize URL for deduplication
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    // Remove trailing slash, hash, and common tracking params; keep hash routes
+    let normalized = `${parsed.origin}${parsed.pathname}`.replace(/\/$/, '');
+    const hashRoute = getHashRoute(url);
+    if (hashRoute) normalized += `#${hashRoute}`;
+    return normalized.toLowerCase();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Check if URL is internal to the base domain
+ * With followSubdomains, any subdomain of the base host (minus "www.") counts as internal
+ */
+export function isInternalUrl(url, baseDomain, followSubdomains = false) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.origin === baseDomain) return true;
+    if (!followSubdomains || !/^https?:$/.test(parsed.protocol)) return false;
+
+    const baseHost = new URL(baseDomain).hostname.replace(/^www\./, '');
+    return parsed.hostname === baseHost || parsed.hostname.endsWith(`.${baseHost}`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if URL should be skipped
+ */
+export function shouldSkipUrl(url) {
+  const skipPatterns = [
+    /\.(pdf|zip|doc|docx|xls|xlsx|ppt|pptx|exe|dmg)$/i,
+    /\.(jpg|jpeg|png|gif|svg|webp|ico)$/i,
+    /\.(mp3|mp4|avi|mov|wav)$/i,
+    /\.(css|js|json|xml)$/i,
+    /^mailto:/i,
+    /^tel:/i,
+    /^javascript:/i,
+    /#$/,
+    /\/(logout|signout|sign-out)/i
+  ];
+
+  return skipPatterns.some(pattern => pattern.test(url));
+}
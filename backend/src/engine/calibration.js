@@ -0,0 +1,140 @@
+/**
+ * Confidence Curves
+ * Maps a pattern's raw score (sum of matched signal weights) to a 0-1 confidence
+ * with a per-pattern logistic curve, so scores can be compared across patterns.
+ * The curves are hand-set defaults, not measured probabilities: the default curve
+ * matches the old fixed thresholds, and `npm run calibrate` only shifts it towards
+ * the handful of synthetic labelled fixtures per pattern (stored in calibration.json).
+ */
+
+import { readFileSync } from 'node:fs';
+
+const CALIBRATION_PATH = new URL('./calibration.json', import.meta.url);
+
+// Raw 50 → 0.6 and raw 25 → 0.3, the old STRONG / WEAK cut-offs
+const DEFAULT_CURVE = { midpoint: 42, scale: 20 };
+
+export const DEFAULT_THRESHOLDS = {
+  STRONG: 0.6,
+  WEAK: 0.3
+};
+
+// Pulls sparse fits back towards the default curve
+const PRIOR_STRENGTH = 0.05;
+const FIT_ITERATIONS = 5000;
+const LEARNING_RATE = 0.5;
+
+/**
+ * @typedef {Object} Curve
+ * @property {number} midpoint - Raw score that maps to 0.5
+ * @property {number} scale - Raw points per logistic unit (higher = flatter)
+ */
+
+/**
+ * @typedef {Object} Sample
+ * @property {number} score - Raw score of the pattern on a labelled page (0 if unmatched)
+ * @property {boolean} label - Whether the page really is an instance of the pattern
+ */
+
+function loadCurves() {
+  try {
+    return JSON.parse(readFileSync(CALIBRATION_PATH, 'utf8')).patterns;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`[Calibration] Using default curves, cannot read calibration.json: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+const curves = loadCurves();
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Curve used for a pattern
+ * @param {string} patternId
+ * @returns {Curve}
+ */
+export function getCurve(patternId) {
+  return curves[patternId] || DEFAULT_CURVE;
+}
+
+/**
+ * Normalize a raw score to 0-1, rounded to two decimals
+ * @param {string} patternId
+ * @param {number} rawScore
+ * @returns {number}
+ */
+export function normalizeScore(patternId, rawScore) {
+  if (rawScore <= 0) return 0;
+  const { midpoint, scale } = getCurve(patternId);
+  return Math.round(sigmoid((rawScore - midpoint) / scale) * 100) / 100;
+}
+
+/**
+ * Strong / weak cut-offs the comparison engine uses for a pattern,
+ * from the pattern's `thresholds` or the defaults
+ * @param {Object} [pattern] - Pattern definition
+ * @returns {{ STRONG: number, WEAK: number }}
+ */
+export function getThresholds(pattern) {
+  const thresholds = pattern?.thresholds || {};
+  return {
+    STRONG: thresholds.strong ?? DEFAULT_THRESHOLDS.STRONG,
+    WEAK: thresholds.weak ?? DEFAULT_THRESHOLDS.WEAK
+  };
+}
+
+/**
+ * Fit a logistic curve to labelled samples, regularized towards the default curve
+ * With a few samples per pattern this mostly moves the midpoint
+ * @param {Sample[]} samples
+ * @returns {Curve}
+ */
+export function fitCurve(samples) {
+  // Work in hundreds of raw points so both parameters are of similar size
+  const prior = { w: 100 / DEFAULT_CURVE.scale, b: -DEFAULT_CURVE.midpoint / DEFAULT_CURVE.scale };
+  let { w, b } = prior;
+
+  for (let i = 0; i < FIT_ITERATIONS; i++) {
+    let gradW = PRIOR_STRENGTH * (w - prior.w);
+    let gradB = PRIOR_STRENGTH * (b - prior.b);
+
+    for (const { score, label } of samples) {
+      const x = score / 100;
+      const error = sigmoid(w * x + b) - (label ? 1 : 0);
+      gradW += (error * x) / samples.length;
+      gradB += error / samples.length;
+    }
+
+    w -= LEARNING_RATE * gradW;
+    b -= LEARNING_RATE * gradB;
+    // A higher score must never mean lower confidence
+    w = Math.max(w, 0.5);
+  }
+
+  return {
+    midpoint: Math.round((-b / w) * 100 * 10) / 10,
+    scale: Math.round((100 / w) * 10) / 10
+  };
+}
+
+/**
+ * Fit curves for every pattern with at least one positive and one negative sample
+ * @param {Object<string, Sample[]>} samplesByPattern
+ * @returns {Object<string, Curve & { positives: number, negatives: number }>}
+ */
+export function fitCalibration(samplesByPattern) {
+  const fitted = {};
+
+  for (const [patternId, samples] of Object.entries(samplesByPattern)) {
+    const positives = samples.filter(s => s.label).length;
+    const negatives = samples.length - positives;
+    if (positives === 0 || negatives === 0) continue;
+
+    fitted[patternId] = { ...fitCurve(samples), positives, negatives };
+  }
+
+  return fitted;
+}
@@ -3,134 +3,519 @@
  * Deterministic pattern matching with weighted signals
  */
 
-import { PATTERNS, getPatternIds } from './patterns.js';
+import { getActivePatterns } from './patterns.js';
+import { normalizeScore, getThresholds } from './calibration.js';
+import { detectThirdParties, getThirdPartyUrls } from './thirdParties.js';
 
 /**
  * @typedef {Object} SignalMatch
- * @property {string} signalType - Type of signal matched
- * @property {string} matchedValue - The value that matched
- * @property {number} weight - Weight of this signal
+ * @property {string} signalType - Type of signal matched ('all', 'any' or 'not' for combinators)
+ * @property {string} matchedValue - The value that matched, or why the combinator held
+ * @property {number} weight - Raw score contributed (weight × matches; negative for penalties)
+ * @property {boolean} [required] - The signal gates its pattern
+ * @property {string} [revealedBy] - Interaction that made it visible, e.g. 'dialog "Log in"'
  */
 
+/**
+ * @typedef {Object} FormClassification
+ * @property {number} index - Position of the form on the page
+ * @property {string} action - Form action URL
+ * @property {string} method - Form method
+ * @property {PatternMatch[]} classifications - Patterns the form alone matches, sorted by confidence
+ * @property {string} [revealedBy] - Interaction that made the form visible (index is then within that state)
+ */
+
+/**
+ * Leaf signal types and the fields they match with; a signal needs at least one
+ * of the listed fields ('value' = exact string, 'pattern' = RegExp)
+ */
+export const SIGNAL_TYPES = {
+  input_type: ['value'],
+  input_name: ['pattern'],
+  input_placeholder: ['pattern'],
+  button_text: ['pattern'],
+  link_text: ['pattern'],
+  link_href: ['pattern'],
+  visible_text: ['pattern'],
+  url: ['pattern'],
+  heading_text: ['pattern'],
+  form_action: ['pattern'],
+  form_method: ['value'],
+  meta_tag: ['pattern'],
+  landmark: ['value'],
+  aria_role: ['value'],
+  iframe_src: ['pattern'],
+  structured_data: ['value', 'pattern'],
+  third_party: ['value', 'pattern']
+};
+
+/**
+ * Signal types that can be evaluated against a single form
+ */
+export const FORM_SIGNAL_TYPES = new Set(['input_type', 'input_name', 'input_placeholder', 'button_text', 'form_action', 'form_method', 'form']);
+
+export const COMBINATORS = ['all', 'any', 'not'];
+
 /**
  * @typedef {Object} PatternMatch
  * @property {string} patternId - Pattern ID
  * @property {string} patternName - Human-readable pattern name
- * @property {number} confidence - Total confidence score (sum of weights)
+ * @property {number} confidence - Confidence from 0 to 1 on the pattern's curve (see calibration.js)
+ * @property {number} rawScore - Sum of matched weights, penalties included
  * @property {SignalMatch[]} evidence - List of matched signals
  */
 
 /**
- * Check if a signal matches against the page snapshot
- * @param {Object} signal - Signal definition
+ * Find what a leaf signal matches on the page, up to `limit` elements
+ *
+ * Leaf signal types and the fields they use:
+ *   input_type (value), input_name, input_placeholder, button_text, link_text,
+ *   link_href, visible_text, url (pattern)
+ *   heading_text (pattern, optional level 1-3)
+ *   form_action (pattern on the absolute action URL), form_method (value)
+ *   meta_tag (pattern, optional key: 'description', 'og:type', 'twitter:card', ...)
+ *   landmark (value = ARIA landmark role, optional pattern on its label)
+ *   aria_role (value = any other explicit role, e.g. 'dialog')
+ *   iframe_src (pattern)
+ *   structured_data (value = schema.org type, case-insensitive, or pattern)
+ *   third_party (value = fingerprint ID or category from thirdParties.js, e.g.
+ *     'intercom' or 'chat'; or pattern on the raw script/iframe/form/request URLs)
+ *
+ * @param {Object} signal - Leaf signal definition
  * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot - Page snapshot
- * @returns {SignalMatch|null}
+ * @param {number} limit - Stop after this many matches
+ * @returns {string[]} - Description of each matched element
  */
-function checkSignal(signal, snapshot) {
-  const { type, value, pattern, weight } = signal;
+function findMatches(signal, snapshot, limit) {
+  const { type, value, pattern, level, key } = signal;
+  const found = [];
+
+  const collect = (items, test, describe) => {
+    for (const item of items) {
+      if (found.length >= limit) break;
+      if (test(item)) found.push(describe(item));
+    }
+  };
 
   switch (type) {
     case 'input_type':
-      for (const input of snapshot.inputs) {
-        if (input.type === value) {
-          return { signalType: type, matchedValue: `input[type="${value}"]`, weight };
-        }
-      }
+      collect(snapshot.inputs, input => input.type === value, () => `input[type="${value}"]`);
       break;
 
     case 'input_name':
-      for (const input of snapshot.inputs) {
-        if (pattern.test(input.name)) {
-          return { signalType: type, matchedValue: `input[name="${input.name}"]`, weight };
-        }
-      }
+      collect(snapshot.inputs, input => pattern.test(input.name), input => `input[name="${input.name}"]`);
       break;
 
     case 'input_placeholder':
-      for (const input of snapshot.inputs) {
-        if (pattern.test(input.placeholder)) {
-          return { signalType: type, matchedValue: `placeholder: "${input.placeholder}"`, weight };
-        }
-      }
+      collect(snapshot.inputs, input => pattern.test(input.placeholder), input => `placeholder: "${input.placeholder}"`);
       break;
 
     case 'button_text':
-      for (const button of snapshot.buttons) {
-        if (pattern.test(button.text)) {
-          return { signalType: type, matchedValue: `button: "${button.text}"`, weight };
-        }
-      }
+      collect(snapshot.buttons, button => pattern.test(button.text), button => `button: "${button.text}"`);
       break;
 
     case 'link_text':
-      for (const link of snapshot.links) {
-        if (pattern.test(link.text)) {
-          return { signalType: type, matchedValue: `link: "${link.text}"`, weight };
-        }
-      }
+      collect(snapshot.links, link => pattern.test(link.text), link => `link: "${link.text}"`);
       break;
 
     case 'link_href':
-      for (const link of snapshot.links) {
-        if (pattern.test(link.href)) {
-          return { signalType: type, matchedValue: `href: "${link.href}"`, weight };
-        }
-      }
+      collect(snapshot.links, link => pattern.test(link.href), link => `href: "${link.href}"`);
       break;
 
-    case 'visible_text':
-      if (pattern.test(snapshot.visibleText)) {
-        const match = snapshot.visibleText.match(pattern);
-        const excerpt = match ? match[0].substring(0, 50) : '';
-        return { signalType: type, matchedValue: `text: "${excerpt}"`, weight };
-      }
+    case 'visible_text': {
+      const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+      collect(snapshot.visibleText.matchAll(global), () => true, match => `text: "${match[0].substring(0, 50)}"`);
       break;
+    }
 
     case 'url':
-      if (pattern.test(snapshot.url)) {
-        return { signalType: type, matchedValue: `url: "${snapshot.url}"`, weight };
+      collect([snapshot.url], url => pattern.test(url), url => `url: "${url}"`);
+      break;
+
+    case 'heading_text':
+      collect(
+        snapshot.headings,
+        heading => (!level || heading.level === level) && pattern.test(heading.text),
+        heading => `h${heading.level}: "${heading.text.substring(0, 50)}"`
+      );
+      break;
+
+    case 'form_action':
+      collect(snapshot.forms, form => pattern.test(form.action), form => `form action: "${form.action}"`);
+      break;
+
+    case 'form_method':
+      collect(snapshot.forms, form => form.method === value, () => `form[method="${value}"]`);
+      break;
+
+    case 'meta_tag':
+      collect(
+        [['description', snapshot.meta.description], ...Object.entries(snapshot.meta.og)],
+        ([name, content]) => (!key || name === key) && content && pattern.test(content),
+        ([name, content]) => `meta ${name}: "${content.substring(0, 50)}"`
+      );
+      break;
+
+    case 'landmark':
+      collect(
+        snapshot.landmarks,
+        landmark => landmark.role === value && (!pattern || pattern.test(landmark.label)),
+        landmark => `landmark: ${value}${landmark.label ? ` "${landmark.label}"` : ''}`
+      );
+      break;
+
+    case 'aria_role':
+      collect(snapshot.roles, role => role === value, () => `[role="${value}"]`);
+      break;
+
+    case 'iframe_src':
+      collect(snapshot.iframes, iframe => pattern.test(iframe.src), iframe => `iframe: "${iframe.src}"`);
+      break;
+
+    case 'structured_data':
+      collect(
+        snapshot.structuredData,
+        item => (value ? item.type.toLowerCase() === value.toLowerCase() : pattern.test(item.type)),
+        item => `${item.format}: ${item.type}`
+      );
+      break;
+
+    case 'third_party':
+      if (value) {
+        collect(
+          detectThirdParties(snapshot),
+          vendor => vendor.id === value || vendor.category === value,
+          vendor => `${vendor.source}: ${vendor.name}`
+        );
+      } else {
+        collect(getThirdPartyUrls(snapshot), item => pattern.test(item.url), item => `${item.source}: "${item.url}"`);
       }
       break;
   }
 
-  return null;
+  return found;
+}
+
+/**
+ * Which combinator a signal uses, if any
+ */
+function getCombinator(signal) {
+  return COMBINATORS.find(name => signal[name] !== undefined) || null;
+}
+
+/**
+ * Short description of a signal definition, used to explain `not` matches
+ */
+function describeSignal(signal) {
+  const combinator = getCombinator(signal);
+  if (combinator === 'not') return `not(${describeSignal(signal.not)})`;
+  if (combinator) return `${combinator}(${signal[combinator].map(describeSignal).join(', ')})`;
+
+  const qualifier = signal.key ? ` ${signal.key}` : signal.level ? ` h${signal.level}` : '';
+  return `${signal.type}${qualifier} ${signal.value ?? signal.pattern}`;
+}
+
+/**
+ * Evaluate a combinator
+ * @returns {string|null} - Why it held (e.g. "all(input[type=\"password\"] + url: ...)"), or null
+ */
+function checkCombinator(combinator, signal, snapshot) {
+  switch (combinator) {
+    case 'all': {
+      const matches = signal.all.map(inner => checkSignal(inner, snapshot));
+      return matches.every(Boolean) ? `all(${matches.map(m => m.matchedValue).join(' + ')})` : null;
+    }
+
+    case 'any':
+      for (const inner of signal.any) {
+        const match = checkSignal(inner, snapshot);
+        if (match) return `any(${match.matchedValue})`;
+      }
+      return null;
+
+    case 'not':
+      return checkSignal(signal.not, snapshot) ? null : `not(${describeSignal(signal.not)})`;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check if a signal matches against the page snapshot
+ *
+ * A signal is a leaf (see findMatches) or a combinator:
+ *   { all: [signals] }  every signal matches
+ *   { any: [signals] }  at least one signal matches
+ *   { not: signal }     the signal does not match
+ *   { type: 'form', all | any | not }  the combinator holds inside a single form
+ * Any signal may also set:
+ *   weight      added to the raw score when it matches; negative weights subtract
+ *   maxMatches  count every matching element up to this many times (leaf signals)
+ *   required    the pattern is not reported unless this signal matches
+ * Weights of signals nested in a combinator are ignored; only the outer weight counts.
+ *
+ * @param {Object} signal - Signal definition
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot - Page snapshot
+ * @returns {SignalMatch|null}
+ */
+function checkSignal(signal, snapshot) {
+  const weight = signal.weight || 0;
+  const combinator = getCombinator(signal);
+
+  if (signal.type === 'form') {
+    for (const form of snapshot.forms) {
+      const reason = checkCombinator(combinator, signal, getFormView(snapshot, form));
+      if (reason) {
+        return { signalType: 'form', matchedValue: `${describeForm(form)}: ${reason}`, weight };
+      }
+    }
+    return null;
+  }
+
+  if (combinator) {
+    const reason = checkCombinator(combinator, signal, snapshot);
+    return reason ? { signalType: combinator, matchedValue: reason, weight } : null;
+  }
+
+  const found = findMatches(signal, snapshot, signal.maxMatches || 1);
+  if (found.length === 0) return null;
+
+  return {
+    signalType: signal.type,
+    matchedValue: found.length > 1 ? `${found.join(', ')} (×${found.length})` : found[0],
+    weight: weight * found.length
+  };
+}
+
+/**
+ * Whether a signal can be evaluated against a single form
+ */
+function isFormSignal(signal) {
+  const combinator = getCombinator(signal);
+  if (signal.type === 'form' || !combinator) return FORM_SIGNAL_TYPES.has(signal.type);
+  return [].concat(signal[combinator]).every(isFormSignal);
+}
+
+/**
+ * A snapshot narrowed to one form, so input/button signals only see that form's controls
+ */
+function getFormView(snapshot, form) {
+  return { ...snapshot, inputs: form.inputs, buttons: form.buttons, forms: [form] };
+}
+
+/**
+ * Short label for a form in evidence, e.g. form(/session)
+ */
+function describeForm(form) {
+  try {
+    const { pathname, search } = new URL(form.action);
+    return `form(${pathname}${search})`;
+  } catch {
+    return 'form';
+  }
+}
+
+/**
+ * Score a snapshot against one pattern
+ * @param {Object} pattern - Pattern definition (see patterns.js)
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot - Page snapshot
+ * @param {Object[]} [signals] - Subset of the pattern's signals to check
+ * @returns {PatternMatch|null} - null when a required signal is missing or the total is not positive
+ */
+export function matchPattern(pattern, snapshot, signals = pattern.signals) {
+  const evidence = [];
+  let rawScore = 0;
+
+  for (const signal of signals) {
+    const match = checkSignal(signal, snapshot);
+    if (!match) {
+      // A missing required signal rules the pattern out
+      if (signal.required) return null;
+      continue;
+    }
+
+    evidence.push(signal.required ? { ...match, required: true } : match);
+    rawScore += match.weight;
+  }
+
+  if (rawScore <= 0) return null;
+
+  return {
+    patternId: pattern.id,
+    patternName: pattern.name,
+    confidence: normalizeScore(pattern.id, rawScore),
+    rawScore,
+    evidence
+  };
+}
+
+/**
+ * Sort order for matches: confidence, then raw score for ties
+ */
+function byConfidence(a, b) {
+  return b.confidence - a.confidence || b.rawScore - a.rawScore;
+}
+
+/**
+ * Short label for an interaction in evidence, e.g. dialog "Log in"
+ */
+function describeInteraction({ kind, label }) {
+  return `${kind} "${label}"`;
+}
+
+/**
+ * A page with what one more interaction state showed added to it. Lists keep
+ * the page's own items first and gain only items the page lacks, so counts
+ * (maxMatches) grow only by what was actually revealed. Page-level data (URL,
+ * meta, headers, request hosts, ...) is the page's.
+ */
+function mergeState(page, state) {
+  const union = (items, extra) => {
+    const seen = new Set(items.map(item => JSON.stringify(item)));
+    return [...items, ...extra.filter(item => !seen.has(JSON.stringify(item)))];
+  };
+  const lines = new Set(page.visibleText.split('\n'));
+
+  return {
+    ...page,
+    visibleText: [page.visibleText, ...state.visibleText.split('\n').filter(line => !lines.has(line))].join('\n'),
+    inputs: union(page.inputs, state.inputs),
+    buttons: union(page.buttons, state.buttons),
+    links: union(page.links, state.links),
+    headings: union(page.headings, state.headings),
+    forms: union(page.forms, state.forms),
+    landmarks: union(page.landmarks, state.landmarks),
+    roles: [...new Set([...page.roles, ...state.roles])],
+    iframes: union(page.iframes, state.iframes),
+    structuredData: union(page.structuredData, state.structuredData),
+    scripts: [...new Set([...page.scripts, ...state.scripts])],
+    states: []
+  };
+}
+
+// Pages are scored against every pattern, so build each page's merged states once
+const revealSteps = new WeakMap();
+
+/**
+ * The page after each interaction, cumulatively: step i holds everything the
+ * page and states 0..i showed; the last step is the whole page
+ */
+function getRevealSteps(snapshot) {
+  if (!revealSteps.has(snapshot)) {
+    const steps = [];
+    for (const state of snapshot.states || []) {
+      steps.push(mergeState(steps[steps.length - 1] || snapshot, state.snapshot));
+    }
+    revealSteps.set(snapshot, steps);
+  }
+  return revealSteps.get(snapshot);
+}
+
+/**
+ * Score a page together with the states its interactions revealed against one
+ * pattern, so on-load and revealed evidence add up. Evidence the page doesn't
+ * show on load (or shows fewer times) is attributed to the interaction after
+ * which it first appears in full.
+ * @returns {PatternMatch|null}
+ */
+function matchPageStates(pattern, snapshot) {
+  const steps = getRevealSteps(snapshot);
+  if (steps.length === 0) return matchPattern(pattern, snapshot);
+
+  const whole = steps[steps.length - 1];
+  const match = matchPattern(pattern, whole);
+  if (!match) return null;
+
+  // matchPattern keeps one evidence item per matched signal, in signal order
+  const matchedSignals = pattern.signals.filter(signal => checkSignal(signal, whole));
+  const evidence = match.evidence.map((item, i) => {
+    const signal = matchedSignals[i];
+    if (checkSignal(signal, snapshot)?.matchedValue === item.matchedValue) return item;
+    const index = steps.findIndex(step => checkSignal(signal, step)?.matchedValue === item.matchedValue);
+    return { ...item, revealedBy: describeInteraction(snapshot.states[index].interaction) };
+  });
+
+  return { ...match, evidence };
 }
 
 /**
  * Classify a single page against all patterns
  * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot - Page snapshot
+ * @param {Object[]} [patterns] - Pattern definitions (default: the active patterns)
  * @returns {PatternMatch[]} - All patterns with confidence > 0, sorted by confidence
  */
-export function classifyPage(snapshot) {
+export function classifyPage(snapshot, patterns = getActivePatterns()) {
   const matches = [];
 
-  for (const patternId of getPatternIds()) {
-    const pattern = PATTERNS[patternId];
-    const evidence = [];
-    let totalConfidence = 0;
+  for (const pattern of patterns) {
+    const match = matchPageStates(pattern, snapshot);
+    if (match) matches.push(match);
+  }
+
+  matches.sort(byConfidence);
+
+  return matches;
+}
+
+/**
+ * Classify each form on a page on its own, using only the signals that apply
+ * to a form (inputs, buttons, action, method and form-scoped signals)
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @param {Object[]} [patterns] - Pattern definitions (default: the active patterns)
+ * @returns {FormClassification[]} - Forms that match at least one pattern
+ */
+export function classifyForms(snapshot, patterns = getActivePatterns()) {
+  const results = [];
+  const seen = new Set();
+
+  // Forms on the page itself, then forms only a dialog or menu showed
+  const sources = [{ snapshot }, ...(snapshot.states || [])];
+  for (const { snapshot: source, interaction } of sources) {
+    source.forms.forEach((form, index) => {
+      const key = `${form.action} ${form.method} ${form.inputs.map(i => `${i.type}:${i.name}`).join(',')}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const scoped = getFormView(source, form);
+      const classifications = [];
 
-    for (const signal of pattern.signals) {
-      const match = checkSignal(signal, snapshot);
-      if (match) {
-        evidence.push(match);
-        totalConfidence += match.weight;
+      for (const pattern of patterns) {
+        const formSignals = pattern.signals.filter(isFormSignal);
+        const match = formSignals.length > 0 && matchPattern(pattern, scoped, formSignals);
+        if (match) classifications.push(match);
       }
-    }
 
-    if (totalConfidence > 0) {
-      matches.push({
-        patternId: pattern.id,
-        patternName: pattern.name,
-        confidence: totalConfidence,
-        evidence
-      });
-    }
+      if (classifications.length > 0) {
+        classifications.sort(byConfidence);
+        const result = { index, action: form.action, method: form.method, classifications };
+        results.push(interaction ? { ...result, revealedBy: describeInteraction(interaction) } : result);
+      }
+    });
   }
 
-  // Sort by confidence descending
-  matches.sort((a, b) => b.confidence - a.confidence);
+  return results;
+}
 
-  return matches;
+/**
+ * What each interaction on a page revealed that a pattern used as evidence
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @param {PatternMatch[]} matches - classifyPage() result
+ * @param {FormClassification[]} forms - classifyForms() result
+ * @returns {{ kind: string, label: string, revealed: { pattern: string, evidence: string }[] }[]}
+ */
+function summarizeInteractions(snapshot, matches, forms) {
+  return (snapshot.states || []).map(({ interaction }) => {
+    const label = describeInteraction(interaction);
+    const revealed = [
+      ...matches.flatMap(match => match.evidence
+        .filter(e => e.revealedBy === label)
+        .map(e => ({ pattern: match.patternId, evidence: e.matchedValue }))),
+      ...forms.filter(form => form.revealedBy === label)
+        .map(form => ({ pattern: form.classifications[0].patternId, evidence: describeForm(form) }))
+    ];
+    return { ...interaction, revealed };
+  });
 }
 
 /**
@@ -146,21 +531,35 @@ export function getPrimaryClassification(snapshot) {
 /**
  * Classify multiple pages and aggregate results
  * @param {import('../models/PageSnapshot.js').PageSnapshot[]} snapshots
- * @returns {Object} - Aggregated classification results
+ * @param {Object[]} [patterns] - Pattern definitions (default: the active patterns)
+ * @returns {Object} - Aggregated classification results; each detected feature
+ *   carries the strong/weak thresholds of its pattern for the comparison engine
  */
-export function classifyAllPages(snapshots) {
+export function classifyAllPages(snapshots, patterns = getActivePatterns()) {
   const pageClassifications = [];
   const detectedFeatures = {};
+  const thirdParties = {};
+  const patternsById = new Map(patterns.map(p => [p.id, p]));
 
   for (const snapshot of snapshots) {
-    const matches = classifyPage(snapshot);
+    const matches = classifyPage(snapshot, patterns);
+    const forms = classifyForms(snapshot, patterns);
+    const vendors = detectThirdParties(snapshot);
     
     pageClassifications.push({
       url: snapshot.url,
       title: snapshot.title,
-      classifications: matches
+      classifications: matches,
+      forms,
+      thirdParties: vendors,
+      interactions: summarizeInteractions(snapshot, matches, forms)
     });
 
+    for (const vendor of vendors) {
+      thirdParties[vendor.id] ??= { id: vendor.id, name: vendor.name, category: vendor.category, pages: [] };
+      thirdParties[vendor.id].pages.push({ url: snapshot.url, source: vendor.source, evidence: vendor.url });
+    }
+
     // Aggregate features across all pages
     for (const match of matches) {
       if (!detectedFeatures[match.patternId]) {
@@ -168,6 +567,8 @@ export function classifyAllPages(snapshots) {
           patternId: match.patternId,
           patternName: match.patternName,
           maxConfidence: 0,
+          maxRawScore: 0,
+          thresholds: getThresholds(patternsById.get(match.patternId)),
           totalOccurrences: 0,
           evidencePages: []
         };
@@ -178,9 +579,11 @@ export function classifyAllPages(snapshots) {
       if (match.confidence > feature.maxConfidence) {
         feature.maxConfidence = match.confidence;
       }
+      feature.maxRawScore = Math.max(feature.maxRawScore, match.rawScore);
       feature.evidencePages.push({
         url: snapshot.url,
         confidence: match.confidence,
+        rawScore: match.rawScore,
         topEvidence: match.evidence.slice(0, 3) // Top 3 signals
       });
     }
@@ -188,7 +591,8 @@ export function classifyAllPages(snapshots) {
 
   return {
     pageClassifications,
-    detectedFeatures: Object.values(detectedFeatures).sort((a, b) => b.maxConfidence - a.maxConfidence)
+    detectedFeatures: Object.values(detectedFeatures).sort((a, b) => b.maxConfidence - a.maxConfidence),
+    thirdParties: Object.values(thirdParties)
   };
 }
 
@@ -0,0 +1,403 @@
+/**
+ * Custom Pattern Packs
+ * Loads additional or overriding page patterns from JSON/YAML - a file named by
+ * PAGELENS_PATTERNS_FILE, or a pack saved through PUT /patterns - validates them
+ * and activates them next to the built-in patterns.
+ *
+ * Pack format (JSON or the same structure in YAML):
+ *   { "patterns": { "CAREERS_PAGE": { "name": "Careers Page", "signals": [
+ *       { "type": "url", "pattern": "/(careers|jobs)\\b", "weight": 30 } ] } } }
+ * Regexes are given as a `pattern` source string plus optional `flags` (default "i").
+ * A pack replaces the previous one as a whole; an ID that is also built in
+ * replaces the built-in definition.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+import { setCustomPatterns, getActivePatterns, getPattern, getPatternIds, getPatternSource } from './patterns.js';
+import { SIGNAL_TYPES, FORM_SIGNAL_TYPES, COMBINATORS } from './classifier.js';
+
+export const PATTERNS_FILE = process.env.PAGELENS_PATTERNS_FILE || null;
+
+const ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const MAX_PATTERNS = 50;
+const MAX_SIGNALS = 100;
+const MAX_WEIGHT = 500;
+const MAX_PATTERN_LENGTH = 300;
+const DEFAULT_FLAGS = 'i';
+
+const PATTERN_FIELDS = new Set(['name', 'description', 'thresholds', 'signals']);
+const SIGNAL_FIELDS = new Set(['type', 'value', 'pattern', 'flags', 'level', 'key', 'weight', 'maxMatches', 'required', ...COMBINATORS]);
+
+/**
+ * Error for a pack that does not parse or fails the schema
+ */
+export class PatternValidationError extends Error {
+  /**
+   * @param {string[]} errors - One message per problem, prefixed with its path
+   */
+  constructor(errors) {
+    const shown = errors.slice(0, 3).join('; ');
+    super(`Invalid pattern pack: ${shown}${errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''}`);
+    this.name = 'PatternValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+// Raw definitions of the active pack, as loaded or saved
+let activePack = { patterns: {} };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a regex source repeats a group that itself contains a quantifier,
+ * e.g. (a+)+ or (\w+\s?)* - the shapes that backtrack catastrophically.
+ * Pack regexes run against the text of every crawled page, so one of these
+ * could stall the server for all jobs.
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function hasNestedQuantifier(source) {
+  // One entry per open group: whether anything inside it is quantified
+  const groups = [{ quantified: false }];
+  const isRepeat = at => source[at] === '*' || source[at] === '+' || /^\{\d*,/.test(source.slice(at));
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifier characters inside it are literal
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+      if (source[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : { quantified: false };
+      if (group.quantified && isRepeat(i + 1)) return true;
+      groups[groups.length - 1].quantified ||= group.quantified || isRepeat(i + 1);
+    } else if (isRepeat(i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a signal and compile its regex
+ * @param {*} signal - Signal definition from the pack
+ * @param {string} at - Path used in error messages
+ * @param {string[]} errors - Collects problems
+ * @param {{ nested: boolean, inForm: boolean }} context
+ * @returns {Object|null} - Signal with a RegExp `pattern`, or null when invalid
+ */
+function compileSignal(signal, at, errors, { nested, inForm }) {
+  if (!isObject(signal)) {
+    errors.push(`${at}: must be an object`);
+    return null;
+  }
+
+  const startErrors = errors.length;
+  const compiled = {};
+
+  for (const field of Object.keys(signal)) {
+    if (!SIGNAL_FIELDS.has(field)) errors.push(`${at}.${field}: unknown field`);
+  }
+
+  if (!nested) {
+    if (typeof signal.weight !== 'number' || !Number.isFinite(signal.weight) || Math.abs(signal.weight) > MAX_WEIGHT) {
+      errors.push(`${at}.weight: must be a number between -${MAX_WEIGHT} and ${MAX_WEIGHT}`);
+    }
+    compiled.weight = signal.weight;
+  } else if (signal.weight !== undefined || signal.required !== undefined) {
+    errors.push(`${at}: weight and required only apply to top-level signals`);
+  }
+  if (signal.required !== undefined) {
+    if (typeof signal.required !== 'boolean') errors.push(`${at}.required: must be a boolean`);
+    compiled.required = signal.required;
+  }
+
+  const combinators = COMBINATORS.filter(name => signal[name] !== undefined);
+  if (combinators.length > 1) {
+    errors.push(`${at}: use only one of ${COMBINATORS.join(', ')}`);
+    return null;
+  }
+  const [combinator] = combinators;
+
+  if (signal.type === 'form' || combinator) {
+    if (signal.type === 'form' && inForm) errors.push(`${at}: form signals cannot be nested`);
+    if (signal.type !== undefined && signal.type !== 'form') {
+      errors.push(`${at}.type: combinators take no type except "form"`);
+    }
+    if (!combinator) {
+      errors.push(`${at}: form signals need one of ${COMBINATORS.join(', ')}`);
+      return null;
+    }
+
+    const context = { nested: true, inForm: inForm || signal.type === 'form' };
+    if (signal.type === 'form') compiled.type = 'form';
+
+    if (combinator === 'not') {
+      compiled.not = compileSignal(signal.not, `${at}.not`, errors, context);
+    } else if (!Array.isArray(signal[combinator]) || signal[combinator].length === 0) {
+      errors.push(`${at}.${combinator}: must be a non-empty list of signals`);
+    } else {
+      compiled[combinator] = signal[combinator].map((inner, i) => compileSignal(inner, `${at}.${combinator}[${i}]`, errors, context));
+    }
+
+    return errors.length === startErrors ? compiled : null;
+  }
+
+  const fields = SIGNAL_TYPES[signal.type];
+  if (!fields) {
+    errors.push(`${at}.type: unknown signal type "${signal.type}" (expected form or one of: ${Object.keys(SIGNAL_TYPES).join(', ')})`);
+    return null;
+  }
+  if (inForm && !FORM_SIGNAL_TYPES.has(signal.type)) {
+    errors.push(`${at}.type: ${signal.type} cannot be checked inside a form`);
+  }
+  compiled.type = signal.type;
+
+  if (!fields.some(field => signal[field] !== undefined)) {
+    errors.push(`${at}: ${signal.type} needs ${fields.join(' or ')}`);
+  }
+
+  if (signal.value !== undefined) {
+    if (typeof signal.value !== 'string' || !signal.value) errors.push(`${at}.value: must be a non-empty string`);
+    compiled.value = signal.value;
+  }
+
+  if (signal.pattern !== undefined) {
+    const flags = signal.flags ?? DEFAULT_FLAGS;
+    if (typeof signal.pattern !== 'string' || typeof flags !== 'string') {
+      errors.push(`${at}.pattern: must be a regex source string (with optional string flags)`);
+    } else if (/[gy]/.test(flags)) {
+      errors.push(`${at}.flags: the g and y flags are not supported`);
+    } else if (signal.pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`${at}.pattern: must be at most ${MAX_PATTERN_LENGTH} characters`);
+    } else if (hasNestedQuantifier(signal.pattern)) {
+      errors.push(`${at}.pattern: nested quantifiers like (a+)+ are not allowed (they can backtrack catastrophically)`);
+    } else {
+      try {
+        compiled.pattern = new RegExp(signal.pattern, flags);
+      } catch (err) {
+        errors.push(`${at}.pattern: ${err.message}`);
+      }
+    }
+  } else if (signal.flags !== undefined) {
+    errors.push(`${at}.flags: only valid with a pattern`);
+  }
+
+  if (signal.level !== undefined) {
+    if (![1, 2, 3].includes(signal.level)) errors.push(`${at}.level: must be 1, 2 or 3`);
+    compiled.level = signal.level;
+  }
+  if (signal.key !== undefined) {
+    if (typeof signal.key !== 'string' || !signal.key) errors.push(`${at}.key: must be a non-empty string`);
+    compiled.key = signal.key;
+  }
+  if (signal.maxMatches !== undefined) {
+    if (!Number.isInteger(signal.maxMatches) || signal.maxMatches < 1) errors.push(`${at}.maxMatches: must be a positive integer`);
+    compiled.maxMatches = signal.maxMatches;
+  }
+
+  return errors.length === startErrors ? compiled : null;
+}
+
+/**
+ * Validate one pattern definition
+ * @returns {Object} - Pattern with compiled signals
+ */
+function compilePattern(id, definition, errors) {
+  const at = `patterns.${id}`;
+
+  if (!ID_PATTERN.test(id)) {
+    errors.push(`${at}: IDs must be UPPER_SNAKE_CASE`);
+  }
+  if (!isObject(definition)) {
+    errors.push(`${at}: must be an object`);
+    return null;
+  }
+
+  for (const field of Object.keys(definition)) {
+    if (!PATTERN_FIELDS.has(field)) errors.push(`${at}.${field}: unknown field`);
+  }
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    errors.push(`${at}.name: must be a non-empty string`);
+  }
+  if (definition.description !== undefined && typeof definition.description !== 'string') {
+    errors.push(`${at}.description: must be a string`);
+  }
+
+  const { thresholds } = definition;
+  if (thresholds !== undefined) {
+    const inRange = value => value === undefined || (typeof value === 'number' && value >= 0 && value <= 1);
+    if (!isObject(thresholds) || !inRange(thresholds.strong) || !inRange(thresholds.weak)) {
+      errors.push(`${at}.thresholds: strong and weak must be numbers from 0 to 1`);
+    } else if (thresholds.strong !== undefined && thresholds.weak !== undefined && thresholds.weak > thresholds.strong) {
+      errors.push(`${at}.thresholds: weak must not be above strong`);
+    }
+  }
+
+  const { signals } = definition;
+  if (!Array.isArray(signals) || signals.length === 0 || signals.length > MAX_SIGNALS) {
+    errors.push(`${at}.signals: must be a list of 1 to ${MAX_SIGNALS} signals`);
+    return null;
+  }
+
+  return {
+    id,
+    name: definition.name,
+    description: definition.description || '',
+    ...(thresholds && { thresholds }),
+    signals: signals.map((signal, i) => compileSignal(signal, `${at}.signals[${i}]`, errors, { nested: false, inForm: false }))
+  };
+}
+
+/**
+ * Validate a pack and compile its patterns
+ * @param {*} pack - Parsed pack ({ patterns: { ID: definition } })
+ * @returns {Object<string, Object>} - Compiled patterns by ID
+ * @throws {PatternValidationError}
+ */
+export function validatePatternPack(pack) {
+  if (!isObject(pack) || !isObject(pack.patterns)) {
+    throw new PatternValidationError(['patterns: must be an object of pattern definitions keyed by ID']);
+  }
+
+  const ids = Object.keys(pack.patterns);
+  if (ids.length > MAX_PATTERNS) {
+    throw new PatternValidationError([`patterns: at most ${MAX_PATTERNS} patterns per pack`]);
+  }
+
+  const errors = [];
+  const compiled = {};
+  for (const id of ids) {
+    compiled[id] = compilePattern(id, pack.patterns[id], errors);
+  }
+
+  if (errors.length > 0) throw new PatternValidationError(errors);
+  return compiled;
+}
+
+/**
+ * Parse pack text
+ * @param {string} text
+ * @param {'json'|'yaml'} format
+ * @returns {Object}
+ * @throws {PatternValidationError}
+ */
+export function parsePatternPack(text, format = 'json') {
+  try {
+    return format === 'yaml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new PatternValidationError([`Cannot parse ${format.toUpperCase()}: ${err.message}`]);
+  }
+}
+
+/**
+ * Read a pack file; .yaml and .yml files are parsed as YAML, anything else as JSON
+ * @param {string} file
+ * @returns {Promise<Object>} - Parsed, not yet validated pack
+ */
+export async function readPatternFile(file) {
+  const format = /\.ya?ml$/i.test(file) ? 'yaml' : 'json';
+  return parsePatternPack(await readFile(path.resolve(file), 'utf8'), format);
+}
+
+/**
+ * Validate a pack and make it the active one
+ * @param {Object} pack
+ * @returns {string[]} - IDs of the patterns the pack defines
+ * @throws {PatternValidationError}
+ */
+export function activatePatternPack(pack) {
+  const compiled = validatePatternPack(pack);
+  setCustomPatterns(compiled);
+  activePack = { patterns: { ...pack.patterns } };
+  return Object.keys(compiled);
+}
+
+/**
+ * The active patterns with a draft pack laid over them, without activating it
+ * (used to re-classify stored snapshots while authoring patterns)
+ * @param {Object} pack - Draft pack; its IDs replace or add to the active patterns
+ * @returns {Object[]} - Pattern definitions for classifyAllPages()
+ * @throws {PatternValidationError}
+ */
+export function applyDraftPatterns(pack) {
+  const draft = validatePatternPack(pack);
+  const patterns = getActivePatterns().map(pattern => draft[pattern.id] || pattern);
+  return [...patterns, ...Object.values(draft).filter(pattern => !getPattern(pattern.id))];
+}
+
+/**
+ * The active pack as it was loaded or saved
+ */
+export function getActivePatternPack() {
+  return activePack;
+}
+
+/**
+ * A signal in pack form: RegExps become `pattern` + `flags` strings
+ */
+function serializeSignal(signal) {
+  const serialized = {};
+  for (const [field, value] of Object.entries(signal)) {
+    if (value instanceof RegExp) {
+      serialized.pattern = value.source;
+      serialized.flags = value.flags;
+    } else if (Array.isArray(value)) {
+      serialized[field] = value.map(serializeSignal);
+    } else if (field === 'not') {
+      serialized.not = serializeSignal(value);
+    } else {
+      serialized[field] = value;
+    }
+  }
+  return serialized;
+}
+
+/**
+ * Every active pattern in pack form, so built-ins can be copied into a pack
+ * @returns {Object[]} - { id, source, name, description, thresholds?, signals }
+ */
+export function listActivePatterns() {
+  return getPatternIds().map(id => {
+    const { name, description, thresholds, signals } = getPattern(id);
+    return {
+      id,
+      source: getPatternSource(id),
+      name,
+      description,
+      ...(thresholds && { thresholds }),
+      signals: signals.map(serializeSignal)
+    };
+  });
+}
+
+/**
+ * Activate the pack saved through the API, or else PAGELENS_PATTERNS_FILE
+ * @param {import('../storage/reportStore.js').ReportStore} store
+ */
+export async function loadCustomPatterns(store) {
+  const saved = await store.getPatternPack();
+  if (saved) {
+    try {
+      const ids = activatePatternPack(saved);
+      console.log(`[Patterns] Loaded ${ids.length} custom pattern(s) saved via the API`);
+      return;
+    } catch (err) {
+      console.warn(`[Patterns] Ignoring the saved pattern pack: ${err.message}`);
+    }
+  }
+
+  if (PATTERNS_FILE) {
+    const ids = activatePatternPack(await readPatternFile(PATTERNS_FILE));
+    console.log(`[Patterns] Loaded ${ids.length} custom pattern(s) from ${PATTERNS_FILE}`);
+  }
+}
@@ -1,6 +1,12 @@
 /**
  * Pattern Definitions for Page Classification
  * Each pattern has signals with weights. Total confidence = sum of matched weights.
+ * Signals can be combined with all/any/not, carry negative weights, count repeated
+ * matches (maxMatches) or gate the whole pattern (required) - see classifier.js.
+ * The raw sum is mapped to a 0-1 confidence (calibration.js); a pattern may set
+ * its own `thresholds: { strong, weak }` for the comparison engine.
+ * Custom pattern packs add to or replace these at runtime, so read patterns
+ * through getPattern() / getPatternIds() rather than PATTERNS.
  */
 
 export const PATTERNS = {
@@ -11,13 +17,29 @@ export const PATTERNS = {
     signals: [
       // Input signals
       { type: 'input_type', value: 'password', weight: 30 },
-      { type: 'input_type', value: 'email', weight: 15 },
-      { type: 'input_name', pattern: /^(email|username|user|login)$/i, weight: 15 },
       { type: 'input_name', pattern: /^(password|pass|pwd)$/i, weight: 20 },
       
+      // Form signals - an email field or "Sign up" button only counts next to a password
+      // field in the same form, so newsletter boxes don't look like login forms
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'password' },
+          { type: 'button_text', pattern: /^(log\s*in|sign\s*in|login|signin|sign\s*up|register|create\s*(an\s*)?account|continue)$/i }
+        ],
+        weight: 30
+      },
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'password' },
+          { type: 'input_name', pattern: /^(email|username|user|login)$/i }
+        ],
+        weight: 20
+      },
+      
       // Button signals
       { type: 'button_text', pattern: /^(log\s*in|sign\s*in|login|signin)$/i, weight: 25 },
-      { type: 'button_text', pattern: /^(sign\s*up|register|create\s*account)$/i, weight: 25 },
       { type: 'button_text', pattern: /^(forgot\s*password|reset\s*password)$/i, weight: 20 },
       
       // Link signals
@@ -29,6 +51,10 @@ export const PATTERNS = {
       { type: 'visible_text', pattern: /don'?t\s*have\s*an?\s*account/i, weight: 15 },
       { type: 'visible_text', pattern: /already\s*have\s*an?\s*account/i, weight: 15 },
       
+      // Structure signals
+      { type: 'heading_text', pattern: /^(log\s*in|sign\s*(in|up)|create\s*(an\s*)?account|welcome\s*back|reset\s*(your\s*)?password)/i, weight: 20 },
+      { type: 'form_action', pattern: /\/(login|signin|session|auth|signup|register)/i, weight: 20 },
+      
       // URL signals
       { type: 'url', pattern: /\/(login|signin|auth|signup|register)/i, weight: 25 }
     ]
@@ -55,9 +81,17 @@ export const PATTERNS = {
       { type: 'visible_text', pattern: /filter\s*by/i, weight: 20 },
       { type: 'visible_text', pattern: /sort\s*by/i, weight: 15 },
       
+      // Structure signals
+      { type: 'landmark', value: 'search', weight: 25 },
+      { type: 'form_action', pattern: /\/(search|find)\b/i, weight: 20 },
+      { type: 'structured_data', value: 'SearchResultsPage', weight: 25 },
+      
       // URL signals
       { type: 'url', pattern: /\/(search|find|results|browse)/i, weight: 20 },
-      { type: 'url', pattern: /[?&](q|query|search)=/i, weight: 25 }
+      { type: 'url', pattern: /[?&](q|query|search)=/i, weight: 25 },
+
+      // Third-party signals - hosted search (Algolia, DocSearch)
+      { type: 'third_party', value: 'search', weight: 20 }
     ]
   },
 
@@ -83,6 +117,10 @@ export const PATTERNS = {
       // Link signals  
       { type: 'link_text', pattern: /^(pricing|features?|about|blog|contact)$/i, weight: 15 },
       
+      // Structure signals
+      { type: 'meta_tag', key: 'og:type', pattern: /^website$/i, weight: 10 },
+      { type: 'iframe_src', pattern: /youtube(-nocookie)?\.com\/embed|player\.vimeo\.com|wistia/i, weight: 10 },
+      
       // URL signals (homepage indicators)
       { type: 'url', pattern: /^https?:\/\/[^\/]+\/?$/i, weight: 25 },
       { type: 'url', pattern: /\/(home|landing|welcome)$/i, weight: 20 }
@@ -105,6 +143,13 @@ export const PATTERNS = {
       { type: 'link_text', pattern: /^(next|prev(ious)?|\d+|»|«|>|<)$/i, weight: 15 },
       { type: 'link_href', pattern: /[?&]page=\d+/i, weight: 20 },
       
+      // Every "Read more" link is another teaser, up to three
+      { type: 'link_text', pattern: /^(read\s*more|continue\s*reading)\b/i, weight: 10, maxMatches: 3 },
+      
+      // Structure signals
+      { type: 'structured_data', pattern: /^(Blog|ItemList|CollectionPage)$/i, weight: 25 },
+      { type: 'aria_role', value: 'feed', weight: 20 },
+      
       // URL signals
       { type: 'url', pattern: /\/(products?|items?|listings?|catalog|articles?|posts?|blog)/i, weight: 20 },
       { type: 'url', pattern: /\/category\//i, weight: 15 }
@@ -122,6 +167,16 @@ export const PATTERNS = {
       { type: 'input_name', pattern: /^(message|subject|inquiry|question)$/i, weight: 20 },
       { type: 'input_type', value: 'textarea', weight: 15 },
       
+      // Form signals
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'textarea' },
+          { type: 'input_name', pattern: /^(email|e-mail)$/i }
+        ],
+        weight: 25
+      },
+      
       // Button signals
       { type: 'button_text', pattern: /^(send|submit|contact\s*us)$/i, weight: 20 },
       { type: 'button_text', pattern: /^(get\s*help|ask\s*a?\s*question)$/i, weight: 20 },
@@ -133,8 +188,17 @@ export const PATTERNS = {
       { type: 'visible_text', pattern: /phone|telephone|address|location/i, weight: 15 },
       { type: 'visible_text', pattern: /business\s*hours|office\s*hours/i, weight: 15 },
       
+      // Structure signals
+      { type: 'heading_text', pattern: /^(contact(\s*us)?|get\s*in\s*touch|how\s*can\s*we\s*help)/i, weight: 20 },
+      { type: 'form_action', pattern: /\/(contact|support|feedback)/i, weight: 20 },
+      { type: 'structured_data', pattern: /^(ContactPage|FAQPage)$/i, weight: 30 },
+      { type: 'iframe_src', pattern: /google\.[a-z.]+\/maps|maps\.google/i, weight: 15 },
+      
       // URL signals
-      { type: 'url', pattern: /\/(contact|support|help|faq|reach-us)/i, weight: 25 }
+      { type: 'url', pattern: /\/(contact|support|help|faq|reach-us)/i, weight: 25 },
+
+      // Third-party signals - embedded form builders
+      { type: 'third_party', value: 'forms', weight: 15 }
     ]
   },
 
@@ -158,8 +222,18 @@ export const PATTERNS = {
       // Link signals
       { type: 'link_text', pattern: /^(cart|checkout|shop|store)$/i, weight: 20 },
       
+      // Structure signals
+      { type: 'structured_data', value: 'Product', weight: 30 },
+      { type: 'structured_data', pattern: /^(Offer|AggregateOffer)$/i, weight: 20 },
+      { type: 'meta_tag', key: 'og:type', pattern: /^product/i, weight: 25 },
+      { type: 'form_action', pattern: /\/(cart|checkout)/i, weight: 25 },
+      
       // URL signals
-      { type: 'url', pattern: /\/(shop|store|cart|checkout|product)/i, weight: 25 }
+      { type: 'url', pattern: /\/(shop|store|cart|checkout|product)/i, weight: 25 },
+
+      // Third-party signals - payment SDKs and hosted storefronts
+      { type: 'third_party', value: 'payments', weight: 25 },
+      { type: 'third_party', value: 'ecommerce', weight: 25 }
     ]
   },
 
@@ -168,6 +242,18 @@ export const PATTERNS = {
     name: 'Dashboard / App Page',
     description: 'Application dashboards and user portals',
     signals: [
+      // Gate - marketing pages talk about "dashboards" and "analytics" too, so only
+      // pages that look signed-in or live under an app path qualify
+      {
+        any: [
+          { type: 'url', pattern: /\/(dashboard|app|portal|admin|account)(\/|$)/i },
+          { type: 'visible_text', pattern: /log\s*out|sign\s*out/i },
+          { type: 'link_text', pattern: /^(log\s*out|logout|sign\s*out)$/i }
+        ],
+        required: true,
+        weight: 0
+      },
+      
       // Text signals
       { type: 'visible_text', pattern: /dashboard|overview|analytics/i, weight: 25 },
       { type: 'visible_text', pattern: /welcome\s*back|hello,?\s*\w+/i, weight: 20 },
@@ -178,6 +264,9 @@ export const PATTERNS = {
       // Link signals
       { type: 'link_text', pattern: /^(dashboard|settings|profile|account|logout)$/i, weight: 20 },
       
+      // Structure signals
+      { type: 'heading_text', pattern: /^(dashboard|overview|my\s*account)$/i, weight: 20 },
+      
       // URL signals
       { type: 'url', pattern: /\/(dashboard|app|portal|admin|account|settings)/i, weight: 25 }
     ]
@@ -200,8 +289,17 @@ export const PATTERNS = {
       { type: 'button_text', pattern: /^(choose|select|get)\s*(this\s*)?(plan|started)$/i, weight: 25 },
       { type: 'button_text', pattern: /^(upgrade|subscribe|start\s*free\s*trial)$/i, weight: 25 },
       
+      // Structure signals
+      { type: 'heading_text', pattern: /pricing|plans/i, weight: 20 },
+      
       // URL signals
-      { type: 'url', pattern: /\/(pricing|plans|subscribe)/i, weight: 30 }
+      { type: 'url', pattern: /\/(pricing|plans|subscribe)/i, weight: 30 },
+      
+      // Penalty - a page that mentions pricing but shows no prices is usually just linking to it
+      {
+        not: { type: 'visible_text', pattern: /[$€£]\s*\d+|\d+\s*(USD|EUR|GBP)\b|free\s*plan|contact\s*sales/i },
+        weight: -25
+      }
     ]
   },
 
@@ -214,6 +312,16 @@ export const PATTERNS = {
       { type: 'input_type', value: 'file', weight: 40 },
       { type: 'input_name', pattern: /^(file|upload|attachment|document|media|image|video|photo)s?$/i, weight: 25 },
       
+      // Form signals
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'file' },
+          { type: 'button_text', pattern: /^(upload|submit|send|publish|post|save|import)/i }
+        ],
+        weight: 20
+      },
+      
       // Button signals
       { type: 'button_text', pattern: /^(upload|upload\s*file|upload\s*files?)$/i, weight: 30 },
       { type: 'button_text', pattern: /^(choose\s*file|select\s*file|browse\s*files?)$/i, weight: 25 },
@@ -230,24 +338,245 @@ export const PATTERNS = {
       { type: 'visible_text', pattern: /\.(jpg|jpeg|png|gif|pdf|doc|docx|mp4|mov|zip)/i, weight: 15 },
       { type: 'visible_text', pattern: /click\s*(here\s*)?to\s*(upload|browse|select)/i, weight: 20 },
       
+      // Structure signals
+      { type: 'heading_text', pattern: /^(upload|submit|import)\b/i, weight: 15 },
+      
       // URL signals
       { type: 'url', pattern: /\/(upload|submit|import|add-file|new-post|create|share)/i, weight: 25 },
       { type: 'url', pattern: /\/(media|files?|documents?|attachments?)/i, weight: 20 }
     ]
+  },
+
+  NEWSLETTER_SIGNUP: {
+    id: 'NEWSLETTER_SIGNUP',
+    name: 'Newsletter Signup',
+    description: 'Email subscription forms for newsletters and mailing lists',
+    signals: [
+      // Form signals - an email box with a subscribe button and no password field
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'email' },
+          { type: 'button_text', pattern: /subscribe|sign\s*up|join|notify\s*me|keep\s*me\s*posted/i },
+          { not: { type: 'input_type', value: 'password' } }
+        ],
+        weight: 40
+      },
+      { type: 'input_name', pattern: /newsletter|subscribe|mailing.?list/i, weight: 25 },
+      { type: 'form_action', pattern: /list-manage\.com|convertkit|substack|buttondown|mailerlite|\/(newsletter|subscribe)/i, weight: 30 },
+
+      // Button signals
+      { type: 'button_text', pattern: /subscribe(\s*to\s*(our\s*)?newsletter)?$/i, weight: 20 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /newsletter|mailing\s*list/i, weight: 15 },
+      { type: 'visible_text', pattern: /unsubscribe\s*at\s*any\s*time|no\s*spam/i, weight: 15 },
+
+      // Third-party signals - mailing list providers
+      { type: 'third_party', value: 'newsletter', weight: 25 }
+    ]
+  },
+
+  API_DOCS: {
+    id: 'API_DOCS',
+    name: 'Developer Docs / API Reference',
+    description: 'API references, SDK guides and developer documentation',
+    signals: [
+      // Structure signals
+      { type: 'heading_text', pattern: /api\s*reference|endpoints?|sdks?|authentication|rate\s*limits?|webhooks?/i, weight: 30 },
+      { type: 'heading_text', pattern: /^(documentation|docs|developers?|getting\s*started|quick\s*start)$/i, weight: 20 },
+      { type: 'structured_data', pattern: /^(TechArticle|APIReference|SoftwareSourceCode)$/i, weight: 25 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /\b(GET|POST|PUT|PATCH|DELETE)\s+\/[\w/{}:-]+/, weight: 25 },
+      { type: 'visible_text', pattern: /api\s*keys?|access\s*tokens?|bearer\b|curl\s+-/i, weight: 20 },
+      { type: 'visible_text', pattern: /request\s*body|response\s*(body|codes?)|query\s*param(eter)?s?/i, weight: 20 },
+
+      // Link signals
+      { type: 'link_text', pattern: /^(api(\s*reference|\s*docs)?|sdks?|changelog|developers?)$/i, weight: 10 },
+
+      // URL signals
+      { type: 'url', pattern: /\/(docs|api|developers?|reference)(\/|$)/i, weight: 25 },
+      { type: 'url', pattern: /^https?:\/\/(docs|developers?|api)\./i, weight: 25 }
+    ]
+  },
+
+  MOBILE_APP_BADGES: {
+    id: 'MOBILE_APP_BADGES',
+    name: 'Mobile App Links',
+    description: 'App Store and Google Play badges or links',
+    signals: [
+      // Link signals
+      { type: 'link_href', pattern: /apps\.apple\.com|itunes\.apple\.com/i, weight: 40 },
+      { type: 'link_href', pattern: /play\.google\.com\/store\/apps/i, weight: 40 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /download\s*on\s*the\s*app\s*store|get\s*it\s*on\s*google\s*play/i, weight: 25 },
+      { type: 'link_text', pattern: /app\s*store|google\s*play/i, weight: 20 },
+
+      // Structure signals
+      { type: 'structured_data', value: 'MobileApplication', weight: 30 },
+      { type: 'meta_tag', key: 'twitter:app:id:iphone', pattern: /.+/, weight: 25 }
+    ]
+  },
+
+  BLOG_LISTING: {
+    id: 'BLOG_LISTING',
+    name: 'Blog / Article Listing',
+    description: 'Blog indexes, news pages and article archives',
+    signals: [
+      // Text signals - bylines and reading times repeat per post
+      { type: 'visible_text', pattern: /\d+\s*min(ute)?s?\s*read/i, weight: 20 },
+      { type: 'visible_text', pattern: /\b(posted|published)\s*(on\s*)?(\w+\s+\d|\d)/i, weight: 15 },
+      { type: 'visible_text', pattern: /categories|tags|archives?/i, weight: 10 },
+
+      // Every "Read more" link is another post teaser, up to three
+      { type: 'link_text', pattern: /^(read\s*more|continue\s*reading)\b/i, weight: 10, maxMatches: 3 },
+
+      // Structure signals
+      { type: 'heading_text', pattern: /^(blog|news|articles|latest\s*(posts|articles|news)|insights)$/i, weight: 25 },
+      { type: 'structured_data', pattern: /^(Blog|BlogPosting|NewsArticle)$/i, weight: 25 },
+      { type: 'aria_role', value: 'feed', weight: 15 },
+
+      // URL signals
+      { type: 'url', pattern: /\/(blog|news|articles|insights|posts)\/?$/i, weight: 30 },
+
+      // Penalty - a single article is not a listing
+      { type: 'meta_tag', key: 'og:type', pattern: /^article$/i, weight: -30 }
+    ]
+  },
+
+  OAUTH_LOGIN: {
+    id: 'OAUTH_LOGIN',
+    name: 'Social Login',
+    description: 'Sign-in buttons for Google, GitHub, Apple and other OAuth providers',
+    signals: [
+      // Button signals
+      { type: 'button_text', pattern: /(continue|sign\s*(in|up)|log\s*in)\s*with\s*(google|github|apple|microsoft|facebook|gitlab|linkedin|slack|sso)/i, weight: 50 },
+
+      // Link signals
+      { type: 'link_text', pattern: /(continue|sign\s*(in|up)|log\s*in)\s*with\s*(google|github|apple|microsoft|facebook|gitlab|linkedin|slack|sso)/i, weight: 45 },
+      { type: 'link_href', pattern: /accounts\.google\.com\/o\/oauth2|github\.com\/login\/oauth|appleid\.apple\.com\/auth|login\.microsoftonline\.com|facebook\.com\/[\w.]+\/dialog\/oauth/i, weight: 40 },
+      { type: 'link_href', pattern: /\/(auth|oauth|login|connect)\/(google|github|apple|microsoft|facebook|gitlab)/i, weight: 35 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /or\s*(continue|sign\s*in)\s*with/i, weight: 15 },
+
+      // Third-party signals - provider SDKs (Google Identity, Sign in with Apple, Auth0)
+      { type: 'third_party', value: 'auth', weight: 35 }
+    ]
+  },
+
+  CHAT_WIDGET: {
+    id: 'CHAT_WIDGET',
+    name: 'Live Chat Widget',
+    description: 'Embedded live chat or support messenger',
+    signals: [
+      // Gate - "chat with us" in marketing copy is a claim, not a widget
+      {
+        any: [
+          { type: 'iframe_src', pattern: /intercom|drift|crisp\.chat|zopim|zendesk|tawk\.to|livechatinc|hubspot.*(conversations|messages)|olark|freshchat|tidio/i },
+          { type: 'iframe_src', pattern: /chat|messenger/i },
+          { type: 'button_text', pattern: /^(chat(\s*(with\s*us|now))?|live\s*chat|start\s*(a\s*)?chat|open\s*chat|message\s*us)$/i },
+          { type: 'aria_role', value: 'log' },
+          { type: 'third_party', value: 'chat' }
+        ],
+        required: true,
+        weight: 0
+      },
+
+      // Structure signals
+      { type: 'iframe_src', pattern: /intercom|drift|crisp\.chat|zopim|zendesk|tawk\.to|livechatinc|hubspot.*(conversations|messages)|olark|freshchat|tidio/i, weight: 45 },
+      { type: 'iframe_src', pattern: /chat|messenger/i, weight: 20 },
+      { type: 'aria_role', value: 'log', weight: 15 },
+
+      // Third-party signals - chat vendors usually inject the widget from a script
+      { type: 'third_party', value: 'chat', weight: 55 },
+
+      // Button signals
+      { type: 'button_text', pattern: /^(chat(\s*(with\s*us|now))?|live\s*chat|start\s*(a\s*)?chat|open\s*chat|message\s*us)$/i, weight: 30 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /we('re|\s*are)\s*online|typically\s*replies|live\s*chat/i, weight: 15 }
+    ]
+  },
+
+  TEAM_INVITE: {
+    id: 'TEAM_INVITE',
+    name: 'Team / Invite UI',
+    description: 'Inviting teammates, member lists and workspace sharing',
+    signals: [
+      // Gate - only actual invite or member-management UI, not "built for teams" copy
+      {
+        any: [
+          { type: 'url', pattern: /\/(team|members|invite|invitations|workspace|people)(\/|$|\?)/i },
+          { type: 'button_text', pattern: /invite|add\s*(a\s*)?(member|teammate|user|people)|share\s*workspace/i },
+          { type: 'input_name', pattern: /invite|teammate|member_?emails?/i }
+        ],
+        required: true,
+        weight: 0
+      },
+
+      // Form signals
+      {
+        type: 'form',
+        all: [
+          { type: 'input_type', value: 'email' },
+          { type: 'button_text', pattern: /invite|send\s*invitations?|add\s*(member|teammate)/i }
+        ],
+        weight: 40
+      },
+
+      // Button signals
+      { type: 'button_text', pattern: /invite\s*(members|teammates|users|people|your\s*team)?|add\s*(a\s*)?(member|teammate)/i, weight: 30 },
+
+      // Text signals
+      { type: 'visible_text', pattern: /pending\s*invitations?|(owner|admin|member|viewer|editor)\s*role|remove\s*member/i, weight: 20 },
+      { type: 'heading_text', pattern: /^(team|members|people|invite|workspace\s*settings)/i, weight: 20 },
+
+      // URL signals
+      { type: 'url', pattern: /\/(team|members|invite|invitations|workspace|people)(\/|$|\?)/i, weight: 25 }
+    ]
   }
 };
 
+// Custom patterns (see customPatterns.js), keyed by ID; an ID that is also
+// built in replaces the built-in definition
+let customPatterns = {};
+
+/**
+ * Replace the active custom patterns
+ * @param {Object<string, Object>} patterns - Compiled pattern definitions
+ */
+export function setCustomPatterns(patterns) {
+  customPatterns = { ...patterns };
+}
+
+/**
+ * Where a pattern definition comes from: 'builtin', 'custom' or 'override'
+ */
+export function getPatternSource(id) {
+  if (!customPatterns[id]) return PATTERNS[id] ? 'builtin' : null;
+  return PATTERNS[id] ? 'override' : 'custom';
+}
+
 /**
- * Get all pattern IDs
+ * Get all pattern IDs, built-in first, then custom
  */
 export function getPatternIds() {
-  return Object.keys(PATTERNS);
+  return [...new Set([...Object.keys(PATTERNS), ...Object.keys(customPatterns)])];
+}
+
+/**
+ * Get every active pattern definition, in getPatternIds() order
+ */
+export function getActivePatterns() {
+  return getPatternIds().map(getPattern);
 }
 
 /**
  * Get pattern by ID
  */
 export function getPattern(id) {
-  return PATTERNS[id] || null;
+  return customPatterns[id] || PATTERNS[id] || null;
 }
-
@@ -0,0 +1,185 @@
+/**
+ * Technology Fingerprints
+ * Recognizes what a site is built with (framework, CMS, analytics, CDN, hosting,
+ * payment provider) from the evidence the crawler records: response headers,
+ * the meta generator, script URLs, cookie names, probed JavaScript globals and
+ * the third-party vendors found by thirdParties.js.
+ */
+
+import { detectThirdParties } from './thirdParties.js';
+
+/**
+ * @typedef {Object} Technology
+ * @property {string} id - Stable ID, e.g. 'nextjs'
+ * @property {string} name - Product name
+ * @property {string} category - framework, cms, ecommerce, analytics, payments, cdn, hosting or server
+ * @property {Object<string, RegExp>} [headers] - Lowercase response header name → value pattern
+ * @property {RegExp} [generator] - Matched against the meta generator
+ * @property {RegExp} [scripts] - Matched against script URLs
+ * @property {RegExp} [cookies] - Matched against cookie names
+ * @property {string[]} [globals] - JavaScript globals only this technology defines
+ * @property {string} [thirdParty] - Fingerprint ID from thirdParties.js that implies it
+ */
+
+/** @type {Technology[]} */
+export const TECHNOLOGIES = [
+  // Frameworks
+  { id: 'nextjs', name: 'Next.js', category: 'framework', headers: { 'x-powered-by': /next\.js/i, 'x-nextjs-cache': /./ }, scripts: /\/_next\/static\//, globals: ['__NEXT_DATA__', 'next'] },
+  { id: 'nuxt', name: 'Nuxt', category: 'framework', headers: { 'x-powered-by': /nuxt/i }, scripts: /\/_nuxt\//, globals: ['__NUXT__', '$nuxt'] },
+  { id: 'gatsby', name: 'Gatsby', category: 'framework', generator: /^gatsby/i, globals: ['___gatsby'] },
+  { id: 'astro', name: 'Astro', category: 'framework', generator: /^astro/i, scripts: /\/_astro\// },
+  { id: 'sveltekit', name: 'SvelteKit', category: 'framework', scripts: /\/_app\/immutable\// },
+  { id: 'remix', name: 'Remix', category: 'framework', globals: ['__remixContext'] },
+  { id: 'react', name: 'React', category: 'framework', scripts: /\/react(-dom)?(@[\d.]+)?(\/umd)?\/react(-dom)?\.(production|development)/i, globals: ['React'] },
+  { id: 'vue', name: 'Vue.js', category: 'framework', scripts: /\/vue(@[\d.]+)?\/dist\/|\/vue(\.global|\.runtime)?(\.prod)?(\.min)?\.js/i, globals: ['Vue', '__VUE__'] },
+  { id: 'angular', name: 'Angular', category: 'framework', globals: ['ng', 'getAllAngularRootElements'] },
+  { id: 'angularjs', name: 'AngularJS', category: 'framework', scripts: /\/angular(\.min)?\.js/i, globals: ['angular'] },
+  { id: 'jquery', name: 'jQuery', category: 'framework', scripts: /jquery([.-][\d.]+)?(\.min)?\.js|code\.jquery\.com\//i, globals: ['jQuery'] },
+  { id: 'docusaurus', name: 'Docusaurus', category: 'framework', generator: /^docusaurus/i },
+  { id: 'hugo', name: 'Hugo', category: 'framework', generator: /^hugo/i },
+  { id: 'jekyll', name: 'Jekyll', category: 'framework', generator: /^jekyll/i },
+  { id: 'express', name: 'Express', category: 'server', headers: { 'x-powered-by': /^express/i } },
+  { id: 'php', name: 'PHP', category: 'server', headers: { 'x-powered-by': /php/i }, cookies: /^PHPSESSID$/ },
+  { id: 'aspnet', name: 'ASP.NET', category: 'server', headers: { 'x-powered-by': /asp\.net/i, 'x-aspnet-version': /./ }, cookies: /^ASP\.NET_SessionId$/ },
+  { id: 'laravel', name: 'Laravel', category: 'server', cookies: /^laravel_session$/ },
+  { id: 'django', name: 'Django', category: 'server', cookies: /^(csrftoken|django_language)$/ },
+  { id: 'nginx', name: 'nginx', category: 'server', headers: { server: /^nginx/i } },
+  { id: 'apache', name: 'Apache', category: 'server', headers: { server: /^apache/i } },
+
+  // Content management and shop systems
+  { id: 'wordpress', name: 'WordPress', category: 'cms', generator: /^wordpress/i, scripts: /\/wp-(content|includes)\//, cookies: /^(wordpress_|wp-settings-)/, globals: ['wp'] },
+  { id: 'drupal', name: 'Drupal', category: 'cms', generator: /^drupal/i, headers: { 'x-generator': /drupal/i, 'x-drupal-cache': /./ }, globals: ['Drupal'] },
+  { id: 'joomla', name: 'Joomla', category: 'cms', generator: /^joomla/i },
+  { id: 'ghost', name: 'Ghost', category: 'cms', generator: /^ghost/i },
+  { id: 'webflow', name: 'Webflow', category: 'cms', generator: /^webflow/i, scripts: /website-files\.com\/|webflow\.[\w.]*js/i, globals: ['Webflow'] },
+  { id: 'wix', name: 'Wix', category: 'cms', generator: /^wix\.com/i, headers: { 'x-wix-request-id': /./ }, scripts: /static\.parastorage\.com\// },
+  { id: 'squarespace', name: 'Squarespace', category: 'cms', generator: /squarespace/i, scripts: /(assets|static1)\.squarespace\.com\//, globals: ['Squarespace'] },
+  { id: 'shopify', name: 'Shopify', category: 'ecommerce', headers: { 'x-shopify-stage': /./, 'x-shopid': /./ }, cookies: /^_shopify_/, globals: ['Shopify'], thirdParty: 'shopify' },
+  { id: 'woocommerce', name: 'WooCommerce', category: 'ecommerce', generator: /^woocommerce/i, scripts: /\/plugins\/woocommerce\//, cookies: /^woocommerce_/ },
+  { id: 'bigcommerce', name: 'BigCommerce', category: 'ecommerce', scripts: /cdn\d*\.bigcommerce\.com\// },
+
+  // Analytics
+  { id: 'google_analytics', name: 'Google Analytics', category: 'analytics', cookies: /^_ga(_|$)/, globals: ['gtag', 'ga'], thirdParty: 'google_analytics' },
+  { id: 'google_tag_manager', name: 'Google Tag Manager', category: 'analytics', scripts: /googletagmanager\.com\/gtm\.js/, globals: ['google_tag_manager'] },
+  { id: 'segment', name: 'Segment', category: 'analytics', cookies: /^ajs_(anonymous_)?id$/, thirdParty: 'segment' },
+  { id: 'plausible', name: 'Plausible', category: 'analytics', scripts: /plausible\.io\/js\//, globals: ['plausible'] },
+  { id: 'fathom', name: 'Fathom', category: 'analytics', scripts: /cdn\.usefathom\.com\// },
+  { id: 'mixpanel', name: 'Mixpanel', category: 'analytics', scripts: /cdn\.mxpnl\.com\//, cookies: /^mp_/, globals: ['mixpanel'] },
+  { id: 'posthog', name: 'PostHog', category: 'analytics', scripts: /(\.i\.posthog\.com|posthog\.com\/static)\//, cookies: /^ph_/, globals: ['posthog'] },
+  { id: 'hotjar', name: 'Hotjar', category: 'analytics', scripts: /static\.hotjar\.com\//, cookies: /^_hj/, globals: ['hj'] },
+  { id: 'meta_pixel', name: 'Meta Pixel', category: 'analytics', scripts: /connect\.facebook\.net\/[\w_]+\/fbevents\.js/, cookies: /^_fbp$/, globals: ['fbq'] },
+
+  // Payment providers
+  { id: 'stripe', name: 'Stripe', category: 'payments', cookies: /^__stripe_(mid|sid)$/, globals: ['Stripe'], thirdParty: 'stripe' },
+  { id: 'paypal', name: 'PayPal', category: 'payments', globals: ['paypal'], thirdParty: 'paypal' },
+  { id: 'paddle', name: 'Paddle', category: 'payments', globals: ['Paddle'], thirdParty: 'paddle' },
+
+  // CDNs and hosting
+  { id: 'cloudflare', name: 'Cloudflare', category: 'cdn', headers: { server: /^cloudflare/i, 'cf-ray': /./ }, scripts: /\/cdn-cgi\//, cookies: /^(__cf_bm|cf_clearance|__cflb)$/ },
+  { id: 'cloudfront', name: 'Amazon CloudFront', category: 'cdn', headers: { 'x-amz-cf-id': /./, via: /cloudfront/i }, scripts: /\.cloudfront\.net\// },
+  { id: 'fastly', name: 'Fastly', category: 'cdn', headers: { 'x-fastly-request-id': /./, 'x-served-by': /^cache-/ } },
+  { id: 'akamai', name: 'Akamai', category: 'cdn', headers: { server: /akamai/i, 'x-akamai-transformed': /./ } },
+  { id: 'jsdelivr', name: 'jsDelivr', category: 'cdn', scripts: /cdn\.jsdelivr\.net\// },
+  { id: 'unpkg', name: 'unpkg', category: 'cdn', scripts: /unpkg\.com\// },
+  { id: 'cdnjs', name: 'cdnjs', category: 'cdn', scripts: /cdnjs\.cloudflare\.com\// },
+  { id: 'vercel', name: 'Vercel', category: 'hosting', headers: { server: /^vercel/i, 'x-vercel-id': /./ } },
+  { id: 'netlify', name: 'Netlify', category: 'hosting', headers: { server: /^netlify/i, 'x-nf-request-id': /./ } },
+  { id: 'github_pages', name: 'GitHub Pages', category: 'hosting', headers: { server: /^github\.com/i, 'x-github-request-id': /./ } }
+];
+
+export const TECHNOLOGY_CATEGORIES = ['framework', 'cms', 'ecommerce', 'analytics', 'payments', 'cdn', 'hosting', 'server'];
+
+/**
+ * Every global the crawler probes for on a live page
+ */
+export const TECHNOLOGY_GLOBALS = [...new Set(TECHNOLOGIES.flatMap(t => t.globals || []))];
+
+// Enough to show where a technology came from without repeating it for every page
+const MAX_EVIDENCE = 10;
+
+/**
+ * @typedef {Object} TechnologyEvidence
+ * @property {string} type - 'header', 'generator', 'script', 'cookie', 'global' or 'third_party'
+ * @property {string} value - What matched, e.g. 'x-powered-by: Next.js' or a script URL
+ * @property {string} url - Page it was seen on
+ */
+
+/**
+ * @typedef {Object} DetectedTechnology
+ * @property {string} id
+ * @property {string} name
+ * @property {string} category
+ * @property {string[]} pages - URLs of pages it was seen on
+ * @property {TechnologyEvidence[]} evidence - Distinct evidence, first page first
+ */
+
+/**
+ * Evidence for one technology on one page
+ * @param {Technology} technology
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @returns {{ type: string, value: string }[]}
+ */
+function matchTechnology(technology, snapshot) {
+  const found = [];
+  const { headers = {}, cookies = [], globals = [], scripts = [] } = snapshot;
+
+  for (const [name, pattern] of Object.entries(technology.headers || {})) {
+    if (headers[name] !== undefined && pattern.test(headers[name])) {
+      found.push({ type: 'header', value: `${name}: ${headers[name]}` });
+    }
+  }
+
+  const generator = snapshot.meta?.generator || '';
+  if (technology.generator && technology.generator.test(generator)) {
+    found.push({ type: 'generator', value: generator });
+  }
+
+  const script = technology.scripts && scripts.find(url => technology.scripts.test(url));
+  if (script) found.push({ type: 'script', value: script });
+
+  for (const cookie of technology.cookies ? cookies.filter(name => technology.cookies.test(name)) : []) {
+    found.push({ type: 'cookie', value: cookie });
+  }
+
+  for (const name of (technology.globals || []).filter(name => globals.includes(name))) {
+    found.push({ type: 'global', value: `window.${name}` });
+  }
+
+  const vendor = technology.thirdParty && detectThirdParties(snapshot).find(v => v.id === technology.thirdParty);
+  if (vendor) found.push({ type: 'third_party', value: `${vendor.source}: ${vendor.url}` });
+
+  return found;
+}
+
+/**
+ * Detect the technologies a site is built with, across all crawled pages
+ * @param {import('../models/PageSnapshot.js').PageSnapshot[]} snapshots
+ * @returns {DetectedTechnology[]} - Ordered by category, then by how many pages show them
+ */
+export function detectTechnologies(snapshots) {
+  const detected = new Map();
+
+  for (const snapshot of snapshots) {
+    for (const technology of TECHNOLOGIES) {
+      const found = matchTechnology(technology, snapshot);
+      if (found.length === 0) continue;
+
+      if (!detected.has(technology.id)) {
+        const { id, name, category } = technology;
+        detected.set(id, { id, name, category, pages: [], evidence: [] });
+      }
+      const entry = detected.get(technology.id);
+      entry.pages.push(snapshot.url);
+
+      for (const item of found) {
+        const seen = entry.evidence.some(e => e.type === item.type && e.value === item.value);
+        if (!seen && entry.evidence.length < MAX_EVIDENCE) entry.evidence.push({ ...item, url: snapshot.url });
+      }
+    }
+  }
+
+  return [...detected.values()].sort((a, b) =>
+    TECHNOLOGY_CATEGORIES.indexOf(a.category) - TECHNOLOGY_CATEGORIES.indexOf(b.category) ||
+    b.pages.length - a.pages.length
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * Third-Party Fingerprints
+ * Widgets and integrations (chat, payments, sign-in, search, forms) are usually
+ * delivered by vendor scripts that never show up in the page text. This catalogue
+ * recognizes them from a snapshot's script URLs, iframes, form actions and
+ * network request hosts; the `third_party` signal type matches against it.
+ */
+
+/**
+ * @typedef {Object} Fingerprint
+ * @property {string} id - Stable ID used by `third_party` signals, e.g. 'intercom'
+ * @property {string} name - Vendor name
+ * @property {string} category - chat, payments, auth, search, forms, newsletter, scheduling, ecommerce or analytics
+ * @property {RegExp} pattern - Matched against script, iframe and form URLs and `https://<host>/` of each request
+ */
+
+/** @type {Fingerprint[]} */
+export const FINGERPRINTS = [
+  // Chat and support widgets
+  { id: 'intercom', name: 'Intercom', category: 'chat', pattern: /\/\/(widget|js|api-iam)\.intercom\.io\/|\/\/[\w.-]*intercomcdn\.com\//i },
+  { id: 'zendesk', name: 'Zendesk', category: 'chat', pattern: /\/\/static\.zdassets\.com\/|\/\/[\w-]+\.zendesk\.com\/|\/\/[\w.-]*zopim\.com\//i },
+  { id: 'drift', name: 'Drift', category: 'chat', pattern: /\/\/js\.driftt\.com\/|\/\/[\w.-]*\.drift\.com\//i },
+  { id: 'crisp', name: 'Crisp', category: 'chat', pattern: /\/\/client\.crisp\.chat\//i },
+  { id: 'tawk', name: 'tawk.to', category: 'chat', pattern: /\/\/embed\.tawk\.to\//i },
+  { id: 'livechat', name: 'LiveChat', category: 'chat', pattern: /\/\/cdn\.livechatinc\.com\//i },
+  { id: 'hubspot_chat', name: 'HubSpot Chat', category: 'chat', pattern: /\/\/js\.usemessages\.com\//i },
+
+  // Payments and checkout
+  { id: 'stripe', name: 'Stripe', category: 'payments', pattern: /\/\/(js|checkout|m)\.stripe\.(com|network)\//i },
+  { id: 'paypal', name: 'PayPal', category: 'payments', pattern: /\/\/www\.paypal\.com\/sdk\/|\/\/[\w.-]*paypalobjects\.com\//i },
+  { id: 'paddle', name: 'Paddle', category: 'payments', pattern: /\/\/cdn\.paddle\.com\//i },
+  { id: 'shopify', name: 'Shopify', category: 'ecommerce', pattern: /\/\/cdn\.shopify\.com\/|\/\/[\w-]+\.myshopify\.com\//i },
+
+  // Sign-in providers
+  { id: 'google_identity', name: 'Google Identity Services', category: 'auth', pattern: /\/\/accounts\.google\.com\/gsi\/|\/\/apis\.google\.com\/js\/platform/i },
+  { id: 'apple_signin', name: 'Sign in with Apple', category: 'auth', pattern: /\/\/appleid\.cdn-apple\.com\//i },
+  { id: 'auth0', name: 'Auth0', category: 'auth', pattern: /\/\/cdn\.auth0\.com\/|\/\/[\w-]+\.auth0\.com\//i },
+  { id: 'clerk', name: 'Clerk', category: 'auth', pattern: /\/\/[\w.-]+\.clerk\.accounts\.dev\/|\/\/clerk\.[\w.-]+\/npm\/@clerk/i },
+
+  // Search
+  { id: 'algolia', name: 'Algolia', category: 'search', pattern: /\/\/[\w-]+(-dsn)?\.algolia(net)?\.(com|net|io)\/|\/algoliasearch|\/@docsearch\//i },
+
+  // Forms, newsletters and scheduling
+  { id: 'hubspot_forms', name: 'HubSpot Forms', category: 'forms', pattern: /\/\/js\.hsforms\.net\/|\/\/forms\.hubspot\.com\/|\/\/[\w.-]*hsforms\.com\//i },
+  { id: 'typeform', name: 'Typeform', category: 'forms', pattern: /\/\/[\w.-]*typeform\.com\//i },
+  { id: 'mailchimp', name: 'Mailchimp', category: 'newsletter', pattern: /\/\/[\w.-]*list-manage\.com\/|\/\/chimpstatic\.com\//i },
+  { id: 'convertkit', name: 'ConvertKit', category: 'newsletter', pattern: /\/\/[\w.-]*convertkit\.com\/|\/\/[\w.-]*ck\.page\//i },
+  { id: 'calendly', name: 'Calendly', category: 'scheduling', pattern: /\/\/(assets\.)?calendly\.com\//i },
+
+  // Analytics
+  { id: 'google_analytics', name: 'Google Analytics', category: 'analytics', pattern: /\/\/www\.googletagmanager\.com\/gtag\/|\/\/www\.google-analytics\.com\//i },
+  { id: 'segment', name: 'Segment', category: 'analytics', pattern: /\/\/cdn\.segment\.com\//i }
+];
+
+export const THIRD_PARTY_CATEGORIES = [...new Set(FINGERPRINTS.map(f => f.category))];
+
+/**
+ * @typedef {Object} ThirdParty
+ * @property {string} id - Fingerprint ID
+ * @property {string} name - Vendor name
+ * @property {string} category - Fingerprint category
+ * @property {string} source - 'script', 'iframe', 'form' or 'request'
+ * @property {string} url - URL or host it was recognized from
+ */
+
+/**
+ * Every third-party URL a page referenced, with where it came from
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @returns {{ source: string, url: string }[]}
+ */
+export function getThirdPartyUrls(snapshot) {
+  // Snapshots stored before scripts and request hosts were recorded have neither
+  const { scripts = [], requestHosts = [] } = snapshot;
+  return [
+    ...scripts.map(url => ({ source: 'script', url })),
+    ...snapshot.iframes.map(iframe => ({ source: 'iframe', url: iframe.src })),
+    ...snapshot.forms.map(form => ({ source: 'form', url: form.action })),
+    ...requestHosts.map(host => ({ source: 'request', url: `https://${host}/` }))
+  ].filter(item => item.url);
+}
+
+// Snapshots are classified against every pattern, so remember each page's result
+const detected = new WeakMap();
+
+/**
+ * Recognize third-party widgets and integrations on a page, one entry per vendor
+ * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
+ * @returns {ThirdParty[]}
+ */
+export function detectThirdParties(snapshot) {
+  if (detected.has(snapshot)) return detected.get(snapshot);
+
+  const urls = getThirdPartyUrls(snapshot);
+  const found = [];
+  for (const { id, name, category, pattern } of FINGERPRINTS) {
+    const hit = urls.find(item => pattern.test(item.url));
+    if (hit) found.push({ id, name, category, source: hit.source, url: hit.url });
+  }
+
+  detected.set(snapshot, found);
+  return found;
+}
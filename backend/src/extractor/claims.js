@@ -1,13 +1,13 @@
 /**
  * Claim Extraction Module
- * Extracts what a website claims to offer based on homepage content
+ * Extracts what a website claims to offer from its homepage and marketing pages
  * Uses keyword matching (no ML)
  */
 
 /**
  * Feature claim keywords - maps claim categories to detection patterns
  */
-const CLAIM_PATTERNS = {
+export const CLAIM_PATTERNS = {
   SEARCH_FUNCTIONALITY: {
     keywords: [/search/i, /find\s+(your|what|the)/i, /look\s*up/i, /discover/i, /browse/i],
     label: 'Search functionality'
@@ -29,7 +29,7 @@ const CLAIM_PATTERNS = {
     label: 'Newsletter subscription'
   },
   FREE_TRIAL: {
-    keywords: [/free\s*trial/i, /try\s*(it\s*)?free/i, /start\s*free/i, /no\s*credit\s*card/i, /free\s*plan/i],
+    keywords: [/free\s*trial/i, /try\s*(it\s*)?free/i, /start\s*free/i, /free\s*plan/i],
     label: 'Free trial'
   },
   DEMO: {
@@ -91,56 +91,245 @@ const CTA_PATTERNS = [
 ];
 
 /**
- * Extract claimed features from a page snapshot (typically homepage)
+ * Page types scanned for claims in addition to the homepage
+ * (comma-separated pattern IDs in CLAIM_PAGE_PATTERNS)
+ */
+export const CLAIM_PAGE_PATTERNS = (process.env.CLAIM_PAGE_PATTERNS || 'LANDING_PAGE,PRICING_PAGE')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// How much a keyword counts by where on the page it was found
+const LOCATION_WEIGHTS = {
+  hero: 1.5,
+  body: 1,
+  nav: 0.5,
+  footer: 0.4
+};
+
+// Claims on the homepage count more than the same claim on a sub-page
+const HOMEPAGE_WEIGHT = 1;
+const SUBPAGE_WEIGHT = 0.6;
+
+const POINTS_PER_KEYWORD = 25;
+const MAX_SENTENCES_PER_PAGE = 3;
+const MAX_SENTENCE_LENGTH = 200;
+
+// A negation up to three words before the keyword ("no mobile app", "don't have a
+// mobile app") or a deferral in the keyword's clause means the feature is not offered;
+// "no-code" and the like are not negations
+const NEGATION_BEFORE = /\b(?:no|not|without|never|don'?t|doesn'?t|isn'?t|aren'?t|won'?t|can'?t|cannot)\b(?!-)(?:\W+\w+){0,3}\W*$/i;
+const DEFERRAL = /\b(?:coming\s+soon|not\s+yet|in\s+the\s+works|on\s+(?:our|the)\s+roadmap)\b/i;
+const CLAUSE_BOUNDARY = /[,;:\u2013\u2014]|\s-\s|\b(?:and|but|while|whereas|although|though)\b/gi;
+
+/**
+ * @typedef {Object} ClaimSentence
+ * @property {string} text - Full sentence (or heading, button or link text)
+ * @property {string} location - hero, nav, body or footer
+ */
+
+/**
+ * @typedef {Object} ClaimMatch
+ * @property {string} keyword - Matched text
+ * @property {ClaimSentence} sentence - Where it was found
+ * @property {number} weight - Location weight × page weight
+ */
+
+/**
+ * Split a page into sentences, each tagged with the region its line belongs to
+ * Nav and footer lines are split into their link texts; buttons whose text is not
+ * part of the visible text (input values) are added as body.
+ */
+function getSentences(snapshot) {
+  const { hero, nav, footer } = snapshot.regions;
+  const regions = [['nav', new Set(nav)], ['footer', new Set(footer)], ['hero', new Set(hero)]];
+  const locate = line => regions.find(([, lines]) => lines.has(line))?.[0] || 'body';
+
+  const linkTexts = [...new Set(snapshot.links.map(l => l.text).filter(Boolean))];
+
+  const sentences = snapshot.visibleText
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .flatMap((line) => {
+      const location = locate(line);
+      // Menus run their link texts together ("FeaturesPricingBlog"), so use the links
+      const items = location === 'nav' || location === 'footer' ? linkTexts.filter(t => line.includes(t)) : [];
+      const texts = items.length > 0 ? items : line.split(/(?<=[.!?])\s+/);
+      return texts.map(text => ({ text, location }));
+    });
+
+  const extraButtons = snapshot.buttons
+    .filter(b => b.text && !snapshot.visibleText.includes(b.text))
+    .map(b => ({ text: b.text, location: 'body' }));
+
+  return [...sentences, ...extraButtons];
+}
+
+/**
+ * The clause of a sentence around a keyword occurrence
+ * ("Our API is live today, the mobile app is coming soon." has two)
+ */
+function getClause(sentence, index, length) {
+  let start = 0;
+  let end = sentence.length;
+  for (const boundary of sentence.matchAll(CLAUSE_BOUNDARY)) {
+    if (boundary.index + boundary[0].length <= index) start = boundary.index + boundary[0].length;
+    else if (boundary.index >= index + length) {
+      end = boundary.index;
+      break;
+    }
+  }
+  return sentence.substring(start, end);
+}
+
+/**
+ * Whether a keyword occurrence is negated within its sentence or deferred within its clause
+ */
+function isNegated(sentence, index, length) {
+  return NEGATION_BEFORE.test(sentence.substring(0, index)) || DEFERRAL.test(getClause(sentence, index, length));
+}
+
+/**
+ * Find claim keywords on one page, sentence by sentence
  * @param {import('../models/PageSnapshot.js').PageSnapshot} snapshot
- * @returns {Object} - Extracted claims with evidence
+ * @param {number} pageWeight - HOMEPAGE_WEIGHT or SUBPAGE_WEIGHT
+ * @returns {{ url: string, matches: Object<string, ClaimMatch[]>, negated: Object<string, ClaimSentence[]>, ctaActions: string[] }}
  */
-export function extractClaims(snapshot) {
-  const claims = [];
-  const text = snapshot.visibleText;
-  const buttonTexts = snapshot.buttons.map(b => b.text).join(' ');
-  const linkTexts = snapshot.links.map(l => l.text).join(' ');
-  const combinedText = `${text} ${buttonTexts} ${linkTexts}`;
+export function extractPageClaims(snapshot, pageWeight = HOMEPAGE_WEIGHT) {
+  const sentences = getSentences(snapshot);
+  const matches = {};
+  const negated = {};
 
-  // Check each claim pattern
   for (const [claimId, config] of Object.entries(CLAIM_PATTERNS)) {
-    const matchedKeywords = [];
-    
+    const found = [];
+    const denied = new Set();
+
+    // Each keyword is credited to its most prominent non-negated occurrence
     for (const pattern of config.keywords) {
-      if (pattern.test(combinedText)) {
-        const match = combinedText.match(pattern);
-        if (match) {
-          matchedKeywords.push(match[0]);
+      const global = new RegExp(pattern.source, `${pattern.flags}g`);
+      let best = null;
+
+      for (const sentence of sentences) {
+        for (const match of sentence.text.matchAll(global)) {
+          if (isNegated(sentence.text, match.index, match[0].length)) {
+            denied.add(sentence);
+            continue;
+          }
+          const weight = LOCATION_WEIGHTS[sentence.location] * pageWeight;
+          if (!best || weight > best.weight) {
+            best = {
+              keyword: match[0].trim(),
+              sentence: { text: sentence.text.substring(0, MAX_SENTENCE_LENGTH), location: sentence.location },
+              weight
+            };
+          }
+          break;
         }
       }
+
+      if (best) found.push(best);
     }
 
-    if (matchedKeywords.length > 0) {
-      claims.push({
-        id: claimId,
-        label: config.label,
-        confidence: Math.min(matchedKeywords.length * 25, 100),
-        evidence: matchedKeywords.slice(0, 3)
-      });
+    if (found.length > 0) {
+      matches[claimId] = found;
+    } else if (denied.size > 0) {
+      negated[claimId] = [...denied].map(s => ({ text: s.text.substring(0, MAX_SENTENCE_LENGTH), location: s.location }));
     }
   }
 
   // Check CTAs in buttons and prominent links
-  const ctaClaims = [];
-  for (const cta of CTA_PATTERNS) {
-    if (cta.pattern.test(buttonTexts) || cta.pattern.test(linkTexts)) {
-      ctaClaims.push(cta.claim);
+  const buttonTexts = snapshot.buttons.map(b => b.text).join(' ');
+  const linkTexts = snapshot.links.map(l => l.text).join(' ');
+  const ctaActions = CTA_PATTERNS
+    .filter(cta => cta.pattern.test(buttonTexts) || cta.pattern.test(linkTexts))
+    .map(cta => cta.claim);
+
+  return { url: snapshot.url, matches, negated, ctaActions };
+}
+
+/**
+ * Pages to extract claims from: the homepage plus every page classified as one
+ * of the claim page patterns at or above that pattern's weak threshold
+ */
+function selectClaimPages(snapshots, classificationResult, pagePatterns) {
+  const thresholds = new Map(classificationResult.detectedFeatures.map(f => [f.patternId, f.thresholds]));
+
+  return snapshots.filter((snapshot, i) => {
+    if (i === 0) return true;
+    const page = classificationResult.pageClassifications.find(pc => pc.url === snapshot.url);
+    return page?.classifications.some(c =>
+      pagePatterns.includes(c.patternId) && c.confidence >= thresholds.get(c.patternId).WEAK
+    );
+  });
+}
+
+/**
+ * Extract claimed features from the homepage and the site's marketing pages
+ * Each keyword counts once, at its most prominent occurrence: a hero sentence on
+ * the homepage outweighs a footer link on a pricing page. Features that are only
+ * mentioned negated ("no mobile app yet") are listed separately, not claimed.
+ * @param {import('../models/PageSnapshot.js').PageSnapshot[]} snapshots - Crawled pages, homepage first
+ * @param {Object} classificationResult - Result from classifyAllPages()
+ * @param {Object} [options]
+ * @param {string[]} [options.pagePatterns] - Page types to scan besides the homepage
+ * @returns {Object} - Extracted claims with evidence and the pages they came from
+ */
+export function extractClaims(snapshots, classificationResult, { pagePatterns = CLAIM_PAGE_PATTERNS } = {}) {
+  const pages = selectClaimPages(snapshots, classificationResult, pagePatterns)
+    .map((snapshot, i) => extractPageClaims(snapshot, i === 0 ? HOMEPAGE_WEIGHT : SUBPAGE_WEIGHT));
+
+  const claims = [];
+  const negatedClaims = [];
+  for (const [claimId, config] of Object.entries(CLAIM_PATTERNS)) {
+    const bestByKeyword = new Map();
+    const sources = [];
+
+    for (const page of pages) {
+      const found = page.matches[claimId];
+      if (!found) continue;
+
+      for (const match of found) {
+        const key = match.keyword.toLowerCase();
+        if (!bestByKeyword.has(key) || match.weight > bestByKeyword.get(key).weight) {
+          bestByKeyword.set(key, match);
+        }
+      }
+      const unique = new Map(found.map(m => [m.sentence.text, m.sentence]));
+      sources.push({ url: page.url, sentences: [...unique.values()].slice(0, MAX_SENTENCES_PER_PAGE) });
+    }
+
+    if (sources.length === 0) {
+      const denied = pages.filter(p => p.negated[claimId]);
+      if (denied.length > 0) {
+        negatedClaims.push({
+          id: claimId,
+          label: config.label,
+          sources: denied.map(p => ({ url: p.url, sentences: p.negated[claimId].slice(0, MAX_SENTENCES_PER_PAGE) }))
+        });
+      }
+      continue;
     }
-  }
 
-  // Extract potential product/service description from first visible text
-  const description = extractDescription(text);
+    const best = [...bestByKeyword.values()].sort((a, b) => b.weight - a.weight);
+    const score = best.reduce((sum, m) => sum + m.weight * POINTS_PER_KEYWORD, 0);
+    claims.push({
+      id: claimId,
+      label: config.label,
+      confidence: Math.min(Math.round(score), 100),
+      location: best[0].sentence.location,
+      evidence: [...new Set(best.map(m => m.sentence.text))].slice(0, 3),
+      keywords: best.map(m => m.keyword),
+      sources
+    });
+  }
 
   return {
-    url: snapshot.url,
+    pages: pages.map(p => p.url),
     claims: claims.sort((a, b) => b.confidence - a.confidence),
-    ctaActions: [...new Set(ctaClaims)],
-    description
+    negatedClaims,
+    ctaActions: [...new Set(pages.flatMap(p => p.ctaActions))],
+    description: extractDescription(snapshots[0].visibleText)
   };
 }
 
@@ -174,16 +363,38 @@ function extractDescription(text) {
 
 /**
  * Map claim IDs to pattern IDs for comparison
+ * Every claim category needs at least one pattern, or it can never be verified
  */
 export const CLAIM_TO_PATTERN_MAP = {
   SEARCH_FUNCTIONALITY: ['SEARCH_PAGE'],
   USER_ACCOUNTS: ['AUTH_PAGE', 'DASHBOARD'],
   ECOMMERCE: ['ECOMMERCE', 'PRICING_PAGE'],
   CONTACT_SUPPORT: ['CONTACT_SUPPORT'],
+  NEWSLETTER: ['NEWSLETTER_SIGNUP'],
   PRICING_TIERS: ['PRICING_PAGE'],
   ANALYTICS: ['DASHBOARD'],
   FREE_TRIAL: ['LANDING_PAGE', 'PRICING_PAGE'],
   DEMO: ['LANDING_PAGE', 'CONTACT_SUPPORT'],
+  API: ['API_DOCS'],
+  MOBILE_APP: ['MOBILE_APP_BADGES'],
+  BLOG: ['BLOG_LISTING', 'CONTENT_LISTING'],
+  SOCIAL_LOGIN: ['OAUTH_LOGIN'],
+  CHAT_SUPPORT: ['CHAT_WIDGET'],
+  TEAM_COLLABORATION: ['TEAM_INVITE'],
   FILE_UPLOAD: ['UPLOAD_PAGE']
 };
 
+/**
+ * Map claim IDs to the third-party categories (see engine/thirdParties.js) that
+ * back them up, e.g. a chat vendor's script for "live chat"
+ */
+export const CLAIM_TO_THIRD_PARTY_MAP = {
+  SEARCH_FUNCTIONALITY: ['search'],
+  USER_ACCOUNTS: ['auth'],
+  ECOMMERCE: ['payments', 'ecommerce'],
+  CONTACT_SUPPORT: ['chat', 'forms'],
+  NEWSLETTER: ['newsletter'],
+  DEMO: ['scheduling'],
+  SOCIAL_LOGIN: ['auth'],
+  CHAT_SUPPORT: ['chat']
+};
@@ -6,6 +6,13 @@
 import express from 'express';
 import cors from 'cors';
 import analyzeRouter from './routes/analyze.js';
+import jobsRouter from './routes/jobs.js';
+import reportsRouter from './routes/reports.js';
+import schedulesRouter from './routes/schedules.js';
+import patternsRouter from './routes/patterns.js';
+import { getScheduler } from './scheduler/scheduler.js';
+import { loadCustomPatterns } from './engine/customPatterns.js';
+import { getReportStore } from './storage/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,7 +22,7 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN 
     ? process.env.CORS_ORIGIN.split(',').map(o => o.trim())
     : '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type'],
 };
 
@@ -31,6 +38,10 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/analyze', analyzeRouter);
+app.use('/jobs', jobsRouter);
+app.use('/reports', reportsRouter);
+app.use('/schedules', schedulesRouter);
+app.use('/patterns', patternsRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -43,7 +54,22 @@ app.get('/', (req, res) => {
     name: 'PageLens API',
     version: '1.0.0',
     endpoints: {
-      'POST /analyze': 'Analyze a website URL',
+      'POST /analyze': 'Analyze a website URL (pass async: true to get a job ID)',
+      'GET /jobs/:id': 'Job status, current step and pages crawled so far',
+      'GET /jobs/:id/events': 'Live progress of a job (Server-Sent Events)',
+      'GET /jobs/:id/report': 'Report of a finished job',
+      'GET /reports': 'List saved reports (?domain=example.com for one site\'s history)',
+      'GET /reports/domains': 'Analyzed domains with report counts',
+      'GET /reports/diff?base=&target=': 'Compare two saved reports',
+      'GET /reports/:id': 'Get a saved report',
+      'DELETE /reports/:id': 'Delete a saved report',
+      'POST /schedules': 'Register a URL for periodic re-analysis with webhook alerts',
+      'GET /schedules': 'List schedules',
+      'GET /schedules/:id': 'Get a schedule',
+      'DELETE /schedules/:id': 'Delete a schedule',
+      'POST /schedules/:id/run': 'Run a schedule now',
+      'GET /patterns': 'Active page patterns and the custom pattern pack',
+      'PUT /patterns': 'Replace the custom pattern pack (JSON or YAML)',
       'GET /health': 'Health check'
     }
   });
@@ -55,10 +81,17 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Custom patterns must be active before the first analysis
+await loadCustomPatterns(getReportStore());
+
 // Start server
 app.listen(PORT, () => {
   console.log(`PageLens backend running on http://localhost:${PORT}`);
   console.log(`API documentation at http://localhost:${PORT}/`);
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    getScheduler().start();
+  }
 });
 
 //Test commit before deployment to Render
\ No newline at end of file
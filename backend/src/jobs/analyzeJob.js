@@ -0,0 +1,43 @@
+/**
+ * Analysis Job Task
+ * Runs the pipeline for a queued job and persists the report
+ */
+
+import { runAnalysis } from '../pipeline/analysis.js';
+import { publishJobEvent } from './jobQueue.js';
+import { getReportStore } from '../storage/index.js';
+
+/**
+ * Run the pipeline for a job, keeping its step and crawled pages up to date
+ * and relaying every progress event to the job's subscribers.
+ * The finished report is persisted; a storage failure is logged but does not fail the job.
+ * @param {import('./jobQueue.js').Job} job
+ * @param {Object} [options]
+ * @param {Object} [options.crawlOptions]
+ * @param {import('../crawler/offline.js').SnapshotSource} [options.source] - Analyze a saved archive instead
+ * @returns {Promise<Object>} - Report (with meta.reportId once saved)
+ */
+export async function analyzeJob(job, { crawlOptions, source } = {}) {
+  const { report, snapshots } = await runAnalysis(job.url, {
+    crawlOptions,
+    source,
+    onStep: step => {
+      job.step = step;
+      publishJobEvent(job, { type: 'step', step });
+    },
+    onProgress: event => {
+      if (event.type === 'page_visited') {
+        job.pagesCrawled.push({ url: event.url, title: event.title });
+      }
+      publishJobEvent(job, event);
+    }
+  });
+
+  try {
+    const record = await getReportStore().saveReport(report, snapshots);
+    return record.report;
+  } catch (error) {
+    console.error('[Analyze] Failed to save report:', error);
+    return report;
+  }
+}
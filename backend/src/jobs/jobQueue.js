@@ -0,0 +1,203 @@
+/**
+ * In-process Analysis Job Queue
+ * Bounded FIFO queue with a concurrency limit so only a few Chromium instances run at once
+ */
+
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS, 10) || 20;
+const JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for one hour
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job ID
+ * @property {string} url - URL being analyzed
+ * @property {'queued'|'running'|'completed'|'failed'} status - Current status
+ * @property {string|null} step - Current pipeline step (crawl, classify, claims, compare)
+ * @property {Object[]} pagesCrawled - Pages crawled so far ({ url, title })
+ * @property {Object|null} report - Finished report
+ * @property {Object|null} error - Failure details ({ message, statusCode, details })
+ * @property {Object[]} events - Progress events published so far, replayed to late subscribers
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {string|null} finishedAt - ISO timestamp
+ */
+
+const jobs = new Map();
+const pending = [];
+const completions = new Map();
+let runningCount = 0;
+
+// Progress events are emitted under the job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Error thrown when the queue cannot accept more jobs
+ */
+export class QueueFullError extends Error {
+  constructor() {
+    super(`Analysis queue is full (${MAX_QUEUED_JOBS} jobs waiting). Try again later.`);
+    this.name = 'QueueFullError';
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} url - URL to analyze
+ * @param {Function} task - async (job) => report; may update job.step / job.pagesCrawled
+ * @returns {Job}
+ */
+export function enqueueJob(url, task) {
+  pruneFinishedJobs();
+
+  if (pending.length >= MAX_QUEUED_JOBS) {
+    throw new QueueFullError();
+  }
+
+  const job = {
+    id: randomUUID(),
+    url,
+    status: 'queued',
+    step: null,
+    pagesCrawled: [],
+    report: null,
+    error: null,
+    events: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  let resolve;
+  const done = new Promise(r => { resolve = r; });
+  completions.set(job.id, { done, resolve });
+
+  jobs.set(job.id, job);
+  pending.push({ job, task });
+  publishJobEvent(job, { type: 'status', status: job.status });
+  drainQueue();
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id
+ * @returns {Job|null}
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Wait until a job has completed or failed
+ * @param {Job} job
+ * @returns {Promise<Job>}
+ */
+export function waitForJob(job) {
+  const completion = completions.get(job.id);
+  return completion ? completion.done : Promise.resolve(job);
+}
+
+/**
+ * Record a progress event on a job and notify subscribers
+ * @param {Job} job
+ * @param {Object} event - Event with a `type` field
+ */
+export function publishJobEvent(job, event) {
+  const stamped = { ...event, at: new Date().toISOString() };
+  job.events.push(stamped);
+  jobEvents.emit(job.id, stamped);
+}
+
+/**
+ * Listen for progress events on a job
+ * @param {Job} job
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToJob(job, listener) {
+  jobEvents.on(job.id, listener);
+  return () => jobEvents.off(job.id, listener);
+}
+
+/**
+ * Whether a job has completed or failed
+ * @param {Job} job
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * Public status view of a job (without the report body)
+ * @param {Job} job
+ * @returns {Object}
+ */
+export function getJobStatus(job) {
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    step: job.step,
+    queuePosition: job.status === 'queued' ? pending.findIndex(p => p.job === job) + 1 : 0,
+    pagesCrawled: job.pagesCrawled,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Start queued jobs while there is spare capacity
+ */
+function drainQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const { job, task } = pending.shift();
+    runJob(job, task);
+  }
+}
+
+async function runJob(job, task) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  publishJobEvent(job, { type: 'status', status: job.status });
+
+  try {
+    job.report = await task(job);
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = {
+      message: error.message,
+      statusCode: error.statusCode || 500,
+      details: error.details || null
+    };
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    runningCount--;
+    publishJobEvent(job, { type: 'done', status: job.status, error: job.error });
+    completions.get(job.id)?.resolve(job);
+    completions.delete(job.id);
+    drainQueue();
+  }
+}
+
+/**
+ * Drop finished jobs older than JOB_TTL_MS
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
@@ -22,6 +22,59 @@
  * @property {string} text - Link visible text
  */
 
+/**
+ * @typedef {Object} Heading
+ * @property {number} level - 1, 2 or 3
+ * @property {string} text - Heading text
+ */
+
+/**
+ * @typedef {Object} FormElement
+ * @property {string} action - Absolute submit URL
+ * @property {string} method - 'get' | 'post' | 'dialog'
+ * @property {InputElement[]} inputs - Inputs inside the form
+ * @property {ButtonElement[]} buttons - Buttons inside the form
+ */
+
+/**
+ * @typedef {Object} PageMeta
+ * @property {string} description - Meta description
+ * @property {Object<string, string>} og - Open Graph and Twitter card tags, e.g. { 'og:type': 'product' }
+ * @property {string} generator - Meta generator, e.g. 'WordPress 6.4'
+ */
+
+/**
+ * @typedef {Object} Landmark
+ * @property {string} role - banner, navigation, main, contentinfo, complementary, search, form or region
+ * @property {string} label - aria-label / aria-labelledby text
+ */
+
+/**
+ * @typedef {Object} PageRegions
+ * @property {string[]} hero - Text lines of the h1 and its section
+ * @property {string[]} nav - Text lines of navigation and the page header
+ * @property {string[]} footer - Text lines of the page footer
+ */
+
+/**
+ * @typedef {Object} IframeElement
+ * @property {string} src - Absolute frame URL
+ * @property {string} title - Frame title
+ */
+
+/**
+ * @typedef {Object} StructuredDataItem
+ * @property {string} format - 'json-ld' | 'microdata'
+ * @property {string} type - schema.org type, e.g. 'Product'
+ * @property {string} name - Item name, if given
+ */
+
+/**
+ * @typedef {Object} SnapshotState
+ * @property {{ kind: string, label: string }} interaction - What was clicked, e.g. { kind: 'dialog', label: 'Log in' }
+ * @property {PageSnapshot} snapshot - The whole page as it looked afterwards
+ */
+
 /**
  * @typedef {Object} PageSnapshot
  * @property {string} url - Page URL
@@ -30,10 +83,50 @@
  * @property {InputElement[]} inputs - Form inputs found
  * @property {ButtonElement[]} buttons - Buttons found
  * @property {LinkElement[]} links - Links found
+ * @property {LinkElement[]} routes - Client-side routes from router attributes, onclick handlers and pushState
+ * @property {Heading[]} headings - h1-h3 headings in document order
+ * @property {FormElement[]} forms - Forms with their own inputs and buttons
+ * @property {PageMeta} meta - Meta description and social tags
+ * @property {Landmark[]} landmarks - ARIA landmarks
+ * @property {string[]} roles - Other explicit ARIA roles on the page (dialog, tablist, ...)
+ * @property {PageRegions} regions - Text of the hero, navigation and footer (the rest is body)
+ * @property {string[]} scripts - Absolute URLs of external scripts
+ * @property {string[]} requestHosts - Hosts the page sent network requests to (live crawls and HARs)
+ * @property {Object<string, string>} headers - Response headers of the page, lowercase names, without cookies
+ * @property {string[]} cookies - Names of the cookies set for the page (never values)
+ * @property {string[]} globals - Probed JavaScript globals that exist on the page (live crawls only)
+ * @property {SnapshotState[]} states - The page after clicking toggles (live crawls with interactions only)
+ * @property {IframeElement[]} iframes - Embedded frames
+ * @property {StructuredDataItem[]} structuredData - JSON-LD and microdata items
  */
 
+function createInput(input) {
+  return {
+    type: input.type || 'text',
+    name: input.name || '',
+    placeholder: input.placeholder || ''
+  };
+}
+
+// Cookie values can hold session tokens; snapshots are stored
+const PRIVATE_HEADERS = new Set(['set-cookie', 'cookie', 'authorization']);
+
+function createHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value)])
+    .filter(([name]) => !PRIVATE_HEADERS.has(name)));
+}
+
+function createButton(button) {
+  return {
+    text: button.text || '',
+    type: button.type || 'button'
+  };
+}
+
 /**
  * Creates a PageSnapshot object
+ * Fields missing from older recordings default to empty
  * @param {Object} data - Raw page data
  * @returns {PageSnapshot}
  */
@@ -42,18 +135,58 @@ export function createPageSnapshot(data) {
     url: data.url || '',
     title: data.title || '',
     visibleText: data.visibleText || '',
-    inputs: (data.inputs || []).map(input => ({
-      type: input.type || 'text',
-      name: input.name || '',
-      placeholder: input.placeholder || ''
-    })),
-    buttons: (data.buttons || []).map(button => ({
-      text: button.text || '',
-      type: button.type || 'button'
-    })),
+    inputs: (data.inputs || []).map(createInput),
+    buttons: (data.buttons || []).map(createButton),
     links: (data.links || []).map(link => ({
       href: link.href || '',
       text: link.text || ''
+    })),
+    routes: (data.routes || []).map(route => ({
+      href: route.href || '',
+      text: route.text || ''
+    })),
+    headings: (data.headings || []).map(heading => ({
+      level: heading.level || 1,
+      text: heading.text || ''
+    })),
+    forms: (data.forms || []).map(form => ({
+      action: form.action || '',
+      method: form.method || 'get',
+      inputs: (form.inputs || []).map(createInput),
+      buttons: (form.buttons || []).map(createButton)
+    })),
+    meta: {
+      description: data.meta?.description || '',
+      og: { ...data.meta?.og },
+      generator: data.meta?.generator || ''
+    },
+    landmarks: (data.landmarks || []).map(landmark => ({
+      role: landmark.role || '',
+      label: landmark.label || ''
+    })),
+    roles: [...(data.roles || [])],
+    regions: {
+      hero: [...(data.regions?.hero || [])],
+      nav: [...(data.regions?.nav || [])],
+      footer: [...(data.regions?.footer || [])]
+    },
+    scripts: [...(data.scripts || [])],
+    requestHosts: [...(data.requestHosts || [])],
+    headers: createHeaders(data.headers),
+    cookies: [...new Set(data.cookies || [])],
+    globals: [...(data.globals || [])],
+    states: (data.states || []).map(state => ({
+      interaction: { kind: state.interaction?.kind || '', label: state.interaction?.label || '' },
+      snapshot: createPageSnapshot(state.snapshot || {})
+    })),
+    iframes: (data.iframes || []).map(iframe => ({
+      src: iframe.src || '',
+      title: iframe.title || ''
+    })),
+    structuredData: (data.structuredData || []).map(item => ({
+      format: item.format || 'json-ld',
+      type: item.type || '',
+      name: item.name || ''
     }))
   };
 }
@@ -0,0 +1,80 @@
+/**
+ * Webhook Notifications
+ * POSTs JSON payloads to a URL, optionally signed with HMAC-SHA256, retrying
+ * network errors and 5xx/429 responses with exponential backoff
+ */
+
+import { createHmac } from 'node:crypto';
+import { CRAWLER_USER_AGENT } from '../crawler/robots.js';
+
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_RETRIES = 2;
+const WEBHOOK_RETRY_DELAY = 1000;
+
+/**
+ * Whether a failed delivery is worth trying again: the receiver was unreachable,
+ * overloaded or broken, not rejecting the payload
+ */
+function isRetryable(result) {
+  return result.status === null || result.status === 429 || result.status >= 500;
+}
+
+/**
+ * @typedef {Object} WebhookSender
+ * @property {(url: string, payload: Object) => Promise<{ ok: boolean, status: number|null, attempts: number, error?: string }>} send
+ */
+
+/**
+ * Create a webhook sender
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Signs the body into X-PageLens-Signature (sha256=<hex>)
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+ * @param {number} [options.timeoutMs] - Per attempt
+ * @param {number} [options.retries] - Extra attempts after a retryable failure
+ * @param {number} [options.retryDelayMs] - Wait before the first retry, doubled for each next one
+ * @returns {WebhookSender}
+ */
+export function createWebhookSender({
+  secret = process.env.WEBHOOK_SECRET,
+  fetchImpl = fetch,
+  timeoutMs = WEBHOOK_TIMEOUT,
+  retries = WEBHOOK_RETRIES,
+  retryDelayMs = WEBHOOK_RETRY_DELAY
+} = {}) {
+  const attempt = async (url, headers, body) => {
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      return { ok: response.ok, status: response.status };
+    } catch (error) {
+      return { ok: false, status: null, error: error.message };
+    }
+  };
+
+  return {
+    async send(url, payload) {
+      const body = JSON.stringify(payload);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': CRAWLER_USER_AGENT,
+        'X-PageLens-Event': payload.event || 'unknown'
+      };
+      if (secret) {
+        headers['X-PageLens-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      let result = await attempt(url, headers, body);
+      let attempts = 1;
+      while (!result.ok && isRetryable(result) && attempts <= retries) {
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempts - 1)));
+        result = await attempt(url, headers, body);
+        attempts++;
+      }
+      return { ...result, attempts };
+    }
+  };
+}
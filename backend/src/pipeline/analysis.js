@@ -0,0 +1,221 @@
+/**
+ * Analysis Pipeline
+ * crawl → classify → extract claims → compare, shared by the HTTP routes and the job queue
+ */
+
+import { crawlWebsite } from '../crawler/crawler.js';
+import { crawlOffline } from '../crawler/offline.js';
+import { classifyAllPages } from '../engine/classifier.js';
+import { detectTechnologies } from '../engine/technologies.js';
+import { extractClaims } from '../extractor/claims.js';
+import { compareClaimsVsDetections } from '../analyzer/comparison.js';
+
+/**
+ * Normalize URL to use HTTPS and ensure proper format
+ */
+export function normalizeUrl(input) {
+  let url = input.trim();
+  
+  // Add https:// if no protocol specified
+  if (!url.match(/^https?:\/\//i)) {
+    url = 'https://' + url;
+  }
+  
+  // Upgrade http to https
+  if (url.startsWith('http://')) {
+    url = url.replace('http://', 'https://');
+  }
+  
+  return url;
+}
+
+/**
+ * Validate URL format
+ */
+export function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the full analysis pipeline for a URL
+ * @param {string|null} url - Normalized HTTPS URL (optional for HAR/WARC sources)
+ * @param {Object} [options]
+ * @param {Object} [options.crawlOptions] - Per-request crawl limits and scope
+ * @param {import('../crawler/offline.js').SnapshotSource} [options.source] - Saved archive to analyze instead of the live site
+ * @param {Function} [options.onStep] - Called with the step name ('crawl', 'classify', 'claims', 'compare')
+ * @param {Function} [options.onProgress] - Forwarded to the crawler for per-page progress
+ * @param {Function} [options.log] - Receives each pipeline log line (default console.log)
+ * @returns {Promise<{ report: Object, snapshots: Object[] }>} - Structured report and the crawled snapshots
+ */
+export async function runAnalysis(url, { crawlOptions, source, onStep, onProgress, log = console.log } = {}) {
+  const startTime = Date.now();
+
+  log(`[Analyze] Starting analysis for: ${url || source.label}`);
+
+  // Step 1: Crawl the website (or the saved archive)
+  log(source ? `[Analyze] Step 1: Reading ${source.type} snapshots...` : '[Analyze] Step 1: Crawling website...');
+  onStep?.('crawl');
+  const crawlResult = source
+    ? await crawlOffline(url, { source, crawlOptions, onProgress })
+    : await crawlWebsite(url, { crawlOptions, onProgress });
+  log(`[Analyze] Crawled ${crawlResult.totalPages} pages`);
+
+  if (crawlResult.totalPages === 0) {
+    const error = new Error('Could not crawl any pages from the provided URL');
+    error.statusCode = 422;
+    error.details = {
+      crawlErrors: crawlResult.crawlErrors,
+      crawlLimitations: crawlResult.crawlLimitations
+    };
+    throw error;
+  }
+
+  const report = analyzeCrawlResult(crawlResult, { onStep, startTime, log });
+  log(`[Analyze] Complete in ${report.meta.analysisTimeMs}ms`);
+
+  return { report, snapshots: crawlResult.snapshots };
+}
+
+/**
+ * Run the classify → claims → compare steps on a finished crawl
+ * Used by runAnalysis and to replay recorded fixtures
+ * @param {Object} crawlResult - Result of crawlWebsite() or crawlOffline()
+ * @param {Object} [options]
+ * @param {Function} [options.onStep] - Called with the step name
+ * @param {number} [options.startTime] - When the analysis started (for analysisTimeMs)
+ * @param {Object[]} [options.patterns] - Pattern definitions to classify with (default: the active patterns)
+ * @param {Function} [options.log] - Receives each pipeline log line (default console.log)
+ * @returns {Object} - Structured report
+ */
+export function analyzeCrawlResult(crawlResult, { onStep, startTime = Date.now(), patterns, log = console.log } = {}) {
+  // Step 2: Classify all pages
+  log('[Analyze] Step 2: Classifying pages and detecting technologies...');
+  onStep?.('classify');
+  const classificationResult = classifyAllPages(crawlResult.snapshots, patterns);
+  const technologies = detectTechnologies(crawlResult.snapshots);
+
+  // Step 3: Extract claims from the homepage and marketing pages
+  log('[Analyze] Step 3: Extracting claims...');
+  onStep?.('claims');
+  const claimsResult = extractClaims(crawlResult.snapshots, classificationResult);
+  log(`[Analyze] Extracted ${claimsResult.claims.length} claim(s) from ${claimsResult.pages.length} page(s)`);
+
+  // Step 4: Compare claims vs detections
+  log('[Analyze] Step 4: Comparing claims vs detections...');
+  onStep?.('compare');
+  const comparisonResult = compareClaimsVsDetections(claimsResult, classificationResult);
+
+  // Build final report
+  return buildReport({
+    url: crawlResult.startUrl,
+    crawlResult,
+    classificationResult,
+    claimsResult,
+    comparisonResult,
+    technologies,
+    duration: Date.now() - startTime
+  });
+}
+
+/**
+ * Build the final structured report
+ */
+export function buildReport({ url, crawlResult, classificationResult, claimsResult, comparisonResult, technologies, duration }) {
+  return {
+    meta: {
+      analyzedUrl: url,
+      baseDomain: crawlResult.baseDomain,
+      analyzedAt: crawlResult.crawledAt,
+      analysisTimeMs: duration
+    },
+
+    crawl: {
+      totalPages: crawlResult.totalPages,
+      maxDepth: crawlResult.config.maxDepth,
+      maxPages: crawlResult.config.maxPages,
+      source: crawlResult.source,
+      config: crawlResult.config,
+      configAdjustments: crawlResult.configAdjustments,
+      pages: crawlResult.snapshots.map((s, i) => ({
+        url: s.url,
+        title: s.title,
+        selection: crawlResult.selections[i] || null
+      })),
+      errors: crawlResult.crawlErrors,
+      limitations: crawlResult.crawlLimitations,
+      robots: crawlResult.robots,
+      sitemaps: crawlResult.sitemaps
+    },
+
+    claims: {
+      extractedFrom: claimsResult.pages,
+      description: claimsResult.description,
+      claimedFeatures: claimsResult.claims,
+      negatedClaims: claimsResult.negatedClaims,
+      ctaActions: claimsResult.ctaActions
+    },
+
+    detection: {
+      pageClassifications: classificationResult.pageClassifications.map(pc => ({
+        url: pc.url,
+        title: pc.title,
+        classifications: pc.classifications.map(c => ({
+          pattern: c.patternId,
+          name: c.patternName,
+          confidence: c.confidence,
+          rawScore: c.rawScore,
+          topEvidence: c.evidence.slice(0, 5)
+        })),
+        forms: pc.forms.map(form => ({
+          index: form.index,
+          action: form.action,
+          method: form.method,
+          ...(form.revealedBy && { revealedBy: form.revealedBy }),
+          classifications: form.classifications.slice(0, 3).map(c => ({
+            pattern: c.patternId,
+            name: c.patternName,
+            confidence: c.confidence,
+            rawScore: c.rawScore,
+            evidence: c.evidence.map(e => e.matchedValue)
+          }))
+        })),
+        thirdParties: pc.thirdParties,
+        interactions: pc.interactions
+      })),
+      aggregatedFeatures: classificationResult.detectedFeatures.map(f => ({
+        pattern: f.patternId,
+        name: f.patternName,
+        maxConfidence: f.maxConfidence,
+        maxRawScore: f.maxRawScore,
+        thresholds: f.thresholds,
+        occurrences: f.totalOccurrences,
+        pages: f.evidencePages.map(p => p.url)
+      })),
+      thirdParties: classificationResult.thirdParties
+    },
+
+    technologies,
+
+    comparison: {
+      summary: comparisonResult.summary,
+      findings: comparisonResult.findings,
+      analysis: comparisonResult.analysis
+    },
+
+    reasoning: {
+      methodology: 'Pattern-based classification using weighted signals on page snapshots.',
+      confidenceExplanation: 'Confidence is a 0-1 score mapped per pattern from the raw score (the sum of matched signal weights) with a hand-set curve; it is a ranking aid, not a measured probability. Findings compare it against per-pattern strong/weak thresholds.',
+      limitations: [
+        'Cannot access authenticated pages',
+        'Client-side routes reachable only after login or user input (typing, submitting forms) are not discovered',
+        'Pattern matching is based on common conventions - unusual implementations may not match',
+        `Crawl limited to ${crawlResult.config.maxDepth} levels deep and ${crawlResult.config.maxPages} pages maximum`
+      ]
+    }
+  };
+}
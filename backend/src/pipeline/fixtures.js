@@ -0,0 +1,129 @@
+/**
+ * Recorded Fixtures
+ * Save a crawl's snapshots to disk and replay them through the pipeline,
+ * so classifier, claim and comparison changes can be checked without a browser
+ */
+
+import { analyzeCrawlResult } from './analysis.js';
+import { createPageSnapshot } from '../models/PageSnapshot.js';
+
+export const FIXTURE_VERSION = 1;
+
+/**
+ * @typedef {Object} Fixture
+ * @property {number} version - FIXTURE_VERSION the fixture was recorded with
+ * @property {string} recordedAt - ISO timestamp of the crawl
+ * @property {Object} crawl - Crawl result (crawlWebsite() shape) including snapshots
+ */
+
+/**
+ * Build a fixture from a report and its snapshots (fresh or from report history).
+ * Snapshots are normalized, so reports stored before a snapshot field existed
+ * replay with that field empty.
+ * @param {Object} report
+ * @param {import('../models/PageSnapshot.js').PageSnapshot[]} snapshots
+ * @returns {Fixture}
+ */
+export function createFixture(report, snapshots) {
+  const { crawl, meta } = report;
+  return {
+    version: FIXTURE_VERSION,
+    recordedAt: meta.analyzedAt,
+    crawl: {
+      startUrl: meta.analyzedUrl,
+      baseDomain: meta.baseDomain,
+      crawledAt: meta.analyzedAt,
+      totalPages: snapshots.length,
+      snapshots: snapshots.map(createPageSnapshot),
+      selections: crawl.pages.map(p => p.selection),
+      crawlErrors: crawl.errors,
+      crawlLimitations: crawl.limitations,
+      robots: crawl.robots,
+      sitemaps: crawl.sitemaps,
+      source: crawl.source,
+      config: crawl.config,
+      configAdjustments: crawl.configAdjustments
+    }
+  };
+}
+
+/**
+ * File name for a fixture: the site's hostname
+ */
+export function getFixtureName(report) {
+  return new URL(report.meta.baseDomain).hostname.replace(/^www\./, '');
+}
+
+/**
+ * Replay a fixture through classify → claims → compare
+ * @param {Fixture} fixture
+ * @param {Object} [options] - Passed to analyzeCrawlResult (e.g. `log`)
+ * @returns {Object} - Report
+ */
+export function replayFixture(fixture, options) {
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${fixture.version} (expected ${FIXTURE_VERSION})`);
+  }
+  return analyzeCrawlResult(fixture.crawl, options);
+}
+
+/**
+ * The deterministic part of a report, as checked in for golden tests.
+ * Keeps the sections diffReports() reads; drops timings, IDs and crawl metadata.
+ * @param {Object} report
+ * @returns {Object}
+ */
+export function toGoldenReport(report) {
+  return {
+    meta: { analyzedUrl: report.meta.analyzedUrl, baseDomain: report.meta.baseDomain },
+    crawl: { pages: report.crawl.pages.map(({ url, title }) => ({ url, title })) },
+    claims: report.claims,
+    detection: report.detection,
+    technologies: report.technologies,
+    comparison: report.comparison
+  };
+}
+
+/**
+ * Readable description of a report diff (see analyzer/diff.js)
+ * @param {Object} diff - Result of diffReports(expected, actual)
+ * @returns {string} - Empty when the diff has no changes
+ */
+export function formatReportDiff(diff) {
+  const lines = [];
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+
+  if (diff.findings.length > 0) {
+    lines.push('Findings:');
+    for (const f of diff.findings) {
+      const confidence = f.confidenceBefore !== f.confidenceAfter
+        ? ` (confidence ${f.confidenceBefore ?? '-'} → ${f.confidenceAfter ?? '-'})`
+        : '';
+      lines.push(`  ${f.feature}: ${f.before ?? 'absent'} → ${f.after ?? 'absent'}${confidence}`);
+    }
+  }
+
+  if (diff.confidence.length > 0) {
+    lines.push('Confidence:');
+    for (const page of diff.confidence) {
+      lines.push(`  ${page.url}`);
+      for (const c of page.changes) {
+        lines.push(`    ${c.name}: ${c.before} → ${c.after} (${signed(c.delta)})`);
+      }
+    }
+  }
+
+  if (diff.claims.appeared.length > 0 || diff.claims.disappeared.length > 0) {
+    lines.push('Claims:');
+    for (const c of diff.claims.appeared) lines.push(`  + ${c.label}`);
+    for (const c of diff.claims.disappeared) lines.push(`  - ${c.label}`);
+  }
+
+  if (diff.pages.added.length > 0 || diff.pages.removed.length > 0) {
+    lines.push('Pages:');
+    for (const p of diff.pages.added) lines.push(`  + ${p.url}`);
+    for (const p of diff.pages.removed) lines.push(`  - ${p.url}`);
+  }
+
+  return lines.join('\n');
+}
@@ -4,57 +4,36 @@
  */
 
 import { Router } from 'express';
-import { crawlWebsite } from '../crawler/crawler.js';
-import { classifyAllPages } from '../engine/classifier.js';
-import { extractClaims } from '../extractor/claims.js';
-import { compareClaimsVsDetections } from '../analyzer/comparison.js';
+import { normalizeUrl, isValidUrl } from '../pipeline/analysis.js';
+import { enqueueJob, waitForJob } from '../jobs/jobQueue.js';
+import { analyzeJob } from '../jobs/analyzeJob.js';
+import { resolveCrawlOptions } from '../crawler/options.js';
+import { resolveSnapshotSource, SNAPSHOT_DIR } from '../crawler/offline.js';
 
 const router = Router();
 
-/**
- * Normalize URL to use HTTPS and ensure proper format
- */
-function normalizeUrl(input) {
-  let url = input.trim();
-  
-  // Add https:// if no protocol specified
-  if (!url.match(/^https?:\/\//i)) {
-    url = 'https://' + url;
-  }
-  
-  // Upgrade http to https
-  if (url.startsWith('http://')) {
-    url = url.replace('http://', 'https://');
-  }
-  
-  return url;
-}
-
-/**
- * Validate URL format
- */
-function isValidUrl(string) {
-  try {
-    const url = new URL(string);
-    return url.protocol === 'https:';
-  } catch {
-    return false;
-  }
-}
-
 /**
  * POST /analyze
- * Body: { url: string }
- * Returns: Structured JSON report
+ * Body: { url: string, async?: boolean, crawlOptions?: Object, source?: { type, path } }
+ * With a source, saved snapshots under SNAPSHOT_DIR are analyzed instead of the
+ * live site and url is optional for HAR/WARC archives
+ * Returns: Structured JSON report, or 202 with a job ID when async is true
  */
 router.post('/', async (req, res) => {
   const startTime = Date.now();
-  
+
   try {
-    let { url } = req.body;
+    let { url, crawlOptions } = req.body;
+    const runAsync = req.body.async === true;
+
+    const source = req.body.source !== undefined
+      ? resolveSnapshotSource(req.body.source, { rootDir: SNAPSHOT_DIR })
+      : undefined;
 
     // Validate URL
-    if (!url || typeof url !== 'string') {
+    if (url === undefined && source && source.type !== 'html') {
+      url = null;
+    } else if (!url || typeof url !== 'string') {
       return res.status(400).json({
         error: 'Missing required field: url',
         example: { url: 'https://example.com' }
@@ -62,57 +41,63 @@ router.post('/', async (req, res) => {
     }
 
     // Normalize URL to HTTPS
-    url = normalizeUrl(url);
+    if (url) url = normalizeUrl(url);
 
-    if (!isValidUrl(url)) {
+    if (url !== null && !isValidUrl(url)) {
       return res.status(400).json({
         error: 'Invalid URL format. Must be a valid HTTPS URL.',
         provided: url
       });
     }
 
-    console.log(`[Analyze] Starting analysis for: ${url}`);
+    // Reject malformed crawl options before queueing (out-of-range values are clamped later)
+    if (crawlOptions !== undefined) {
+      resolveCrawlOptions(crawlOptions);
+    }
 
-    // Step 1: Crawl the website
-    console.log('[Analyze] Step 1: Crawling website...');
-    const crawlResult = await crawlWebsite(url);
-    console.log(`[Analyze] Crawled ${crawlResult.totalPages} pages`);
+    const job = enqueueJob(url, queued => analyzeJob(queued, { crawlOptions, source }));
 
-    if (crawlResult.totalPages === 0) {
-      return res.status(422).json({
-        error: 'Could not crawl any pages from the provided URL',
-        crawlErrors: crawlResult.crawlErrors
+    if (runAsync) {
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        reportUrl: `/jobs/${job.id}/report`
       });
     }
 
-    // Step 2: Classify all pages
-    console.log('[Analyze] Step 2: Classifying pages...');
-    const classificationResult = classifyAllPages(crawlResult.snapshots);
-
-    // Step 3: Extract claims from homepage
-    console.log('[Analyze] Step 3: Extracting claims...');
-    const homepageSnapshot = crawlResult.snapshots[0]; // First page is always homepage
-    const claimsResult = extractClaims(homepageSnapshot);
-
-    // Step 4: Compare claims vs detections
-    console.log('[Analyze] Step 4: Comparing claims vs detections...');
-    const comparisonResult = compareClaimsVsDetections(claimsResult, classificationResult);
-
-    // Build final report
-    const report = buildReport({
-      url,
-      crawlResult,
-      classificationResult,
-      claimsResult,
-      comparisonResult,
-      duration: Date.now() - startTime
-    });
+    await waitForJob(job);
 
-    console.log(`[Analyze] Complete in ${report.meta.analysisTimeMs}ms`);
+    if (job.status === 'failed') {
+      const { message, statusCode, details } = job.error;
+      if (statusCode === 400 || statusCode === 422) {
+        return res.status(statusCode).json({ error: message, ...details });
+      }
+      throw new Error(message);
+    }
 
-    res.json(report);
+    res.json(job.report);
 
   } catch (error) {
+    if (error.name === 'CrawlOptionsError') {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        example: { url: 'https://example.com', crawlOptions: { maxDepth: 1, maxPages: 5 } }
+      });
+    }
+
+    if (error.name === 'SnapshotSourceError') {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        example: { source: { type: 'har', path: 'example.com.har' } }
+      });
+    }
+
+    if (error.name === 'QueueFullError') {
+      res.set('Retry-After', '30');
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('[Analyze] Error:', error);
     res.status(500).json({
       error: 'Analysis failed',
@@ -122,75 +107,4 @@ router.post('/', async (req, res) => {
   }
 });
 
-/**
- * Build the final structured report
- */
-function buildReport({ url, crawlResult, classificationResult, claimsResult, comparisonResult, duration }) {
-  return {
-    meta: {
-      analyzedUrl: url,
-      baseDomain: crawlResult.baseDomain,
-      analyzedAt: crawlResult.crawledAt,
-      analysisTimeMs: duration
-    },
-
-    crawl: {
-      totalPages: crawlResult.totalPages,
-      maxDepth: crawlResult.config.maxDepth,
-      maxPages: crawlResult.config.maxPages,
-      pages: crawlResult.snapshots.map(s => ({
-        url: s.url,
-        title: s.title
-      })),
-      errors: crawlResult.crawlErrors,
-      limitations: crawlResult.crawlLimitations
-    },
-
-    claims: {
-      extractedFrom: claimsResult.url,
-      description: claimsResult.description,
-      claimedFeatures: claimsResult.claims,
-      ctaActions: claimsResult.ctaActions
-    },
-
-    detection: {
-      pageClassifications: classificationResult.pageClassifications.map(pc => ({
-        url: pc.url,
-        title: pc.title,
-        classifications: pc.classifications.map(c => ({
-          pattern: c.patternId,
-          name: c.patternName,
-          confidence: c.confidence,
-          topEvidence: c.evidence.slice(0, 5)
-        }))
-      })),
-      aggregatedFeatures: classificationResult.detectedFeatures.map(f => ({
-        pattern: f.patternId,
-        name: f.patternName,
-        maxConfidence: f.maxConfidence,
-        occurrences: f.totalOccurrences,
-        pages: f.evidencePages.map(p => p.url)
-      }))
-    },
-
-    comparison: {
-      summary: comparisonResult.summary,
-      findings: comparisonResult.findings,
-      analysis: comparisonResult.analysis
-    },
-
-    reasoning: {
-      methodology: 'Pattern-based classification using weighted signals on page snapshots.',
-      confidenceExplanation: 'Confidence scores are the sum of matched signal weights. Higher scores indicate more evidence.',
-      limitations: [
-        'Cannot access authenticated pages',
-        'Cannot interpret JavaScript-heavy dynamic content fully',
-        'Pattern matching is based on common conventions - unusual implementations may not match',
-        `Crawl limited to ${crawlResult.config.maxDepth} levels deep and ${crawlResult.config.maxPages} pages maximum`
-      ]
-    }
-  };
-}
-
 export default router;
-
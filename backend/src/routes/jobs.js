@@ -0,0 +1,97 @@
+/**
+ * Job endpoints
+ * Poll the status, stream progress and fetch the report of async analyses started with POST /analyze
+ */
+
+import { Router } from 'express';
+import { getJob, getJobStatus, subscribeToJob, isJobFinished } from '../jobs/jobQueue.js';
+
+const router = Router();
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /jobs/:id
+ * Returns: Job status, current step and pages crawled so far
+ */
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+
+  res.json(getJobStatus(job));
+});
+
+/**
+ * GET /jobs/:id/report
+ * Returns: The finished report, 202 while the job is still running
+ */
+router.get('/:id/report', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+
+  if (job.status === 'completed') {
+    return res.json(job.report);
+  }
+
+  if (job.status === 'failed') {
+    const { message, statusCode, details } = job.error;
+    return res.status(statusCode).json({ error: 'Analysis failed', message, ...details });
+  }
+
+  res.status(202).json(getJobStatus(job));
+});
+
+/**
+ * GET /jobs/:id/events
+ * Server-Sent Events stream of progress events (status, step, page_queued,
+ * page_visited, page_failed, done). Past events are replayed first.
+ */
+router.get('/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  for (const event of job.events) {
+    send(event);
+  }
+
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  const unsubscribe = subscribeToJob(job, event => {
+    send(event);
+    if (event.type === 'done') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+export default router;
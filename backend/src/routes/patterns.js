@@ -0,0 +1,55 @@
+/**
+ * Pattern endpoints
+ * Inspect the active patterns and replace the custom pattern pack
+ */
+
+import express, { Router } from 'express';
+import {
+  PatternValidationError,
+  activatePatternPack,
+  getActivePatternPack,
+  listActivePatterns,
+  parsePatternPack,
+  validatePatternPack
+} from '../engine/customPatterns.js';
+import { getReportStore } from '../storage/index.js';
+
+const router = Router();
+
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml'];
+
+/**
+ * GET /patterns
+ * Returns: { pack, patterns } - the active custom pack as saved, and every active
+ * pattern (built-in, custom or override) in pack format
+ */
+router.get('/', (req, res) => {
+  res.json({ pack: getActivePatternPack(), patterns: listActivePatterns() });
+});
+
+/**
+ * PUT /patterns
+ * Body: { patterns: { ID: { name, description?, thresholds?, signals } } }
+ *       as JSON, or the same structure as YAML (Content-Type: application/yaml)
+ * Replaces the custom pack; { patterns: {} } goes back to the built-ins.
+ * Returns: Same as GET /patterns, or 400 with one message per schema error
+ */
+router.put('/', express.text({ type: YAML_TYPES }), async (req, res, next) => {
+  try {
+    const pack = req.is(YAML_TYPES) ? parsePatternPack(req.body, 'yaml') : req.body;
+    validatePatternPack(pack);
+
+    await getReportStore().savePatternPack(pack);
+    const ids = activatePatternPack(pack);
+    console.log(`[Patterns] Activated ${ids.length} custom pattern(s)`);
+
+    res.json({ pack: getActivePatternPack(), patterns: listActivePatterns() });
+  } catch (error) {
+    if (error instanceof PatternValidationError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.errors });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+/**
+ * Report history endpoints
+ * Browse, fetch and delete persisted reports
+ */
+
+import { Router } from 'express';
+import { getReportStore } from '../storage/index.js';
+import { diffReports } from '../analyzer/diff.js';
+import { analyzeCrawlResult } from '../pipeline/analysis.js';
+import { createFixture } from '../pipeline/fixtures.js';
+import { PatternValidationError, applyDraftPatterns } from '../engine/customPatterns.js';
+
+const router = Router();
+
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * GET /reports
+ * Query: domain?, limit?, offset?
+ * Returns: { total, reports: ReportSummary[] }, newest first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIST_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const domain = typeof req.query.domain === 'string' ? req.query.domain : undefined;
+
+    res.json(await getReportStore().listReports({ domain, limit, offset }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /reports/domains
+ * Returns: Every analyzed domain with its report count and last analysis time
+ */
+router.get('/domains', async (req, res, next) => {
+  try {
+    res.json({ domains: await getReportStore().listDomains() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /reports/diff
+ * Query: base (older report ID), target (newer report ID)
+ * Returns: Pages added/removed, confidence deltas, claim and finding changes
+ */
+router.get('/diff', async (req, res, next) => {
+  try {
+    const { base, target } = req.query;
+    if (typeof base !== 'string' || typeof target !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required query parameters: base, target',
+        example: '/reports/diff?base=<older report ID>&target=<newer report ID>'
+      });
+    }
+
+    const store = getReportStore();
+    const [baseRecord, targetRecord] = await Promise.all([store.getReport(base), store.getReport(target)]);
+    const missing = [[base, baseRecord], [target, targetRecord]].filter(([, r]) => !r).map(([id]) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Report not found', reportIds: missing });
+    }
+
+    res.json(diffReports(baseRecord.report, targetRecord.report));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /reports/:id
+ * Returns: The stored report
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const record = await getReportStore().getReport(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Report not found', reportId: req.params.id });
+    }
+
+    res.json(record.report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /reports/:id/reclassify
+ * Body: { patterns: { ID: definition } } - draft pack in PUT /patterns format
+ * Re-runs classify → compare on the stored snapshots with the draft patterns laid
+ * over the active ones, without saving anything or activating the draft.
+ * Returns: { report, diff } - the re-classified report and its diff from the stored one
+ */
+router.post('/:id/reclassify', async (req, res, next) => {
+  try {
+    const record = await getReportStore().getReport(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Report not found', reportId: req.params.id });
+    }
+
+    const patterns = applyDraftPatterns(req.body);
+    const report = analyzeCrawlResult(createFixture(record.report, record.snapshots).crawl, { patterns });
+
+    res.json({ report, diff: diffReports(record.report, report) });
+  } catch (error) {
+    if (error instanceof PatternValidationError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.errors });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /reports/:id
+ * Returns: 204 on success
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await getReportStore().deleteReport(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Report not found', reportId: req.params.id });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
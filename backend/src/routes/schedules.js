@@ -0,0 +1,146 @@
+/**
+ * Schedule endpoints
+ * Register URLs for periodic re-analysis with webhook change alerts
+ */
+
+import { Router } from 'express';
+import { normalizeUrl, isValidUrl } from '../pipeline/analysis.js';
+import { resolveCrawlOptions } from '../crawler/options.js';
+import { getMinimumInterval } from '../scheduler/cron.js';
+import { ALERT_RULES } from '../scheduler/alerts.js';
+import { createSchedule, getScheduler } from '../scheduler/scheduler.js';
+import { getReportStore } from '../storage/index.js';
+
+const router = Router();
+
+const MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES, 10) || 60;
+
+/**
+ * Validate a schedule request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateScheduleInput({ url, cron, webhookUrl, crawlOptions, alertOn, enabled }) {
+  if (!url || typeof url !== 'string' || !isValidUrl(normalizeUrl(url))) {
+    return 'url must be a valid HTTPS URL';
+  }
+
+  try {
+    if (getMinimumInterval(cron) < MIN_INTERVAL_MINUTES * 60 * 1000) {
+      return `cron must not run more often than every ${MIN_INTERVAL_MINUTES} minutes`;
+    }
+  } catch (error) {
+    return error.message;
+  }
+
+  try {
+    if (!/^https?:$/.test(new URL(webhookUrl).protocol)) throw new Error();
+  } catch {
+    return 'webhookUrl must be a valid HTTP(S) URL';
+  }
+
+  if (crawlOptions !== undefined) {
+    try {
+      resolveCrawlOptions(crawlOptions);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (alertOn !== undefined && (!Array.isArray(alertOn) || alertOn.some(rule => !ALERT_RULES[rule]))) {
+    return `alertOn must be a list of: ${Object.keys(ALERT_RULES).join(', ')}`;
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * POST /schedules
+ * Body: { url, cron, webhookUrl, crawlOptions?, alertOn?, enabled? }
+ * Returns: 201 with the new schedule
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const error = validateScheduleInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        error,
+        example: { url: 'https://example.com', cron: '0 6 * * 1', webhookUrl: 'https://hooks.example.com/pagelens' }
+      });
+    }
+
+    const { url, cron, webhookUrl, crawlOptions, alertOn, enabled } = req.body;
+    const schedule = createSchedule({ url: normalizeUrl(url), cron, webhookUrl, crawlOptions, alertOn, enabled });
+    res.status(201).json(await getReportStore().saveSchedule(schedule));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /schedules
+ * Returns: All schedules
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({ schedules: await getReportStore().listSchedules() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /schedules/:id
+ * Returns: One schedule with its last run and last alert
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const schedule = await getReportStore().getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.id });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /schedules/:id
+ * Returns: 204 on success
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await getReportStore().deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.id });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /schedules/:id/run
+ * Runs the schedule now (outside its cron) and returns the updated schedule
+ */
+router.post('/:id/run', async (req, res, next) => {
+  try {
+    const schedule = await getReportStore().getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found', scheduleId: req.params.id });
+    }
+
+    res.json(await getScheduler().runSchedule(schedule));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,37 @@
+/**
+ * Change Alerts
+ * Decides whether a re-analysis changed the comparison result materially
+ */
+
+/**
+ * Alert rules, keyed by the name used in a schedule's `alertOn` list
+ */
+export const ALERT_RULES = {
+  // A feature that was matched, weak or not claimed is now claimed but not detected
+  claimed_not_detected: change => change.after === 'claimed_not_detected' && change.before !== 'claimed_not_detected',
+  // A pattern is detected that the site doesn't claim and wasn't there before
+  detected_not_claimed: change => change.after === 'detected_not_claimed' && change.before === null,
+  // A matched feature has degraded to weak evidence
+  weak_detection: change => change.after === 'weak_detection' && change.before === 'matched'
+};
+
+export const DEFAULT_ALERT_ON = ['claimed_not_detected', 'detected_not_claimed'];
+
+/**
+ * Pick out the finding changes that should trigger an alert
+ * @param {Object} diff - Result of diffReports()
+ * @param {string[]} [alertOn] - Rule names from ALERT_RULES
+ * @returns {Object[]} - Matching finding changes, each with the rule that fired
+ */
+export function findMaterialChanges(diff, alertOn = DEFAULT_ALERT_ON) {
+  const changes = [];
+
+  for (const change of diff.findings) {
+    const rule = alertOn.find(name => ALERT_RULES[name]?.(change));
+    if (rule) {
+      changes.push({ ...change, rule });
+    }
+  }
+
+  return changes;
+}
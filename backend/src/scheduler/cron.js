@@ -0,0 +1,145 @@
+/**
+ * Cron Expressions
+ * Standard 5-field cron (minute hour day-of-month month day-of-week) in UTC,
+ * with *, lists, ranges, steps and the @hourly/@daily/@weekly/@monthly aliases
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Searching minute by minute, a year is enough to find any valid expression
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+/**
+ * Error thrown for malformed cron expressions
+ */
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Parse one field into the set of allowed values
+ */
+function parseField(source, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new CronError(`Invalid ${name} field "${source}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end, 10) : step ? max : from;
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new CronError(`Out of range ${name} field "${source}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, restrictedDays: boolean }}
+ * @throws {CronError}
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new CronError('Cron expression must be a string');
+  }
+
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Classic cron: when both day fields are restricted, either may match
+    restrictedDays: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+/**
+ * Next time (UTC, minute precision) strictly after `from` that matches the expression
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const time = new Date(from);
+  time.setUTCSeconds(0, 0);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+    const dayOfMonthMatch = cron.dayOfMonth.has(time.getUTCDate());
+    const dayOfWeekMatch = cron.dayOfWeek.has(time.getUTCDay());
+    const dayMatch = cron.restrictedDays ? dayOfMonthMatch || dayOfWeekMatch : dayOfMonthMatch && dayOfWeekMatch;
+
+    if (
+      dayMatch &&
+      cron.month.has(time.getUTCMonth() + 1) &&
+      cron.hour.has(time.getUTCHours()) &&
+      cron.minute.has(time.getUTCMinutes())
+    ) {
+      return new Date(time);
+    }
+  }
+
+  throw new CronError(`Cron expression "${expression}" never matches`);
+}
+
+/**
+ * Shortest gap between two consecutive runs in the next week (used to enforce a minimum interval)
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {number} - Milliseconds
+ */
+export function getMinimumInterval(expression, from = new Date()) {
+  const horizon = from.getTime() + 7 * 24 * 60 * 60 * 1000;
+  let previous = getNextRun(expression, from);
+  let minimum = Infinity;
+
+  while (previous.getTime() < horizon) {
+    const next = getNextRun(expression, previous);
+    minimum = Math.min(minimum, next.getTime() - previous.getTime());
+    previous = next;
+  }
+
+  return minimum;
+}
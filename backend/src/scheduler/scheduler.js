@@ -0,0 +1,204 @@
+/**
+ * Re-analysis Scheduler
+ * Periodically re-runs analyses for registered URLs and sends a webhook
+ * when the comparison result changes materially
+ */
+
+import { randomUUID } from 'node:crypto';
+import { getNextRun } from './cron.js';
+import { findMaterialChanges, DEFAULT_ALERT_ON } from './alerts.js';
+import { diffReports } from '../analyzer/diff.js';
+import { enqueueJob, waitForJob } from '../jobs/jobQueue.js';
+import { analyzeJob } from '../jobs/analyzeJob.js';
+import { getReportStore } from '../storage/index.js';
+import { createWebhookSender } from '../notifications/webhook.js';
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} id
+ * @property {string} url - URL to re-analyze
+ * @property {string} cron - 5-field cron expression (UTC)
+ * @property {string} webhookUrl - Where change alerts are POSTed
+ * @property {Object} [crawlOptions] - Passed to the crawler on every run
+ * @property {string[]} alertOn - Alert rule names (see alerts.js)
+ * @property {boolean} enabled
+ * @property {string} createdAt
+ * @property {string} nextRunAt
+ * @property {string|null} lastRunAt
+ * @property {string|null} lastStatus - 'completed' | 'failed'
+ * @property {string|null} lastError
+ * @property {string|null} lastReportId - Report the next run is compared against
+ * @property {Object|null} lastAlert - { at, changes, delivered, status, attempts, error }
+ */
+
+/**
+ * Build a new schedule
+ * @param {Object} input - { url, cron, webhookUrl, crawlOptions?, alertOn?, enabled? } (already validated)
+ * @returns {Schedule}
+ */
+export function createSchedule({ url, cron, webhookUrl, crawlOptions, alertOn = DEFAULT_ALERT_ON, enabled = true }) {
+  return {
+    id: randomUUID(),
+    url,
+    cron,
+    webhookUrl,
+    crawlOptions: crawlOptions || null,
+    alertOn,
+    enabled,
+    createdAt: new Date().toISOString(),
+    nextRunAt: getNextRun(cron).toISOString(),
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastReportId: null,
+    lastAlert: null
+  };
+}
+
+/**
+ * Run an analysis through the shared job queue
+ */
+async function runQueuedAnalysis(url, crawlOptions) {
+  const job = await waitForJob(enqueueJob(url, queued => analyzeJob(queued, { crawlOptions: crawlOptions || undefined })));
+  if (job.status === 'failed') {
+    throw new Error(job.error.message);
+  }
+  return job.report;
+}
+
+/**
+ * Create a scheduler
+ * @param {Object} [options]
+ * @param {import('../storage/reportStore.js').ReportStore} [options.store]
+ * @param {import('../notifications/webhook.js').WebhookSender} [options.sender] - Webhook sender (swap for tests)
+ * @param {Function} [options.analyze] - async (url, crawlOptions) => report
+ * @param {number} [options.tickMs] - How often due schedules are checked
+ * @returns {Object} - { start, stop, tick, runSchedule }
+ */
+export function createScheduler({
+  store = getReportStore(),
+  sender = createWebhookSender(),
+  analyze = runQueuedAnalysis,
+  tickMs = TICK_INTERVAL_MS
+} = {}) {
+  const running = new Set();
+  let timer = null;
+
+  /**
+   * Compare a new report with the previous one and alert on material changes
+   */
+  async function checkForChanges(schedule, report) {
+    if (!schedule.lastReportId) return null;
+
+    const previous = await store.getReport(schedule.lastReportId);
+    if (!previous) return null;
+
+    const diff = diffReports(previous.report, report);
+    const changes = findMaterialChanges(diff, schedule.alertOn);
+    if (changes.length === 0) return null;
+
+    const result = await sender.send(schedule.webhookUrl, {
+      event: 'analysis.changed',
+      schedule: { id: schedule.id, url: schedule.url, cron: schedule.cron },
+      baseReportId: schedule.lastReportId,
+      reportId: report.meta.reportId || null,
+      analyzedAt: report.meta.analyzedAt,
+      summary: diff.summary,
+      changes
+    });
+
+    if (!result.ok) {
+      console.warn(`[Scheduler] Webhook for ${schedule.id} failed: ${result.error || `HTTP ${result.status}`}`);
+    }
+
+    return {
+      at: new Date().toISOString(),
+      changes: changes.length,
+      delivered: result.ok,
+      status: result.status,
+      attempts: result.attempts,
+      error: result.error || null
+    };
+  }
+
+  /**
+   * Run one schedule now and record the outcome
+   * @param {Schedule} schedule
+   * @returns {Promise<Schedule>} - Updated schedule
+   */
+  async function runSchedule(schedule) {
+    if (running.has(schedule.id)) return schedule;
+    running.add(schedule.id);
+
+    const outcome = { lastRunAt: new Date().toISOString() };
+    try {
+      const report = await analyze(schedule.url, schedule.crawlOptions);
+      const alert = await checkForChanges(schedule, report);
+
+      outcome.lastStatus = 'completed';
+      outcome.lastError = null;
+      if (report.meta.reportId) outcome.lastReportId = report.meta.reportId;
+      if (alert) outcome.lastAlert = alert;
+    } catch (error) {
+      console.error(`[Scheduler] Run for ${schedule.id} failed:`, error.message);
+      outcome.lastStatus = 'failed';
+      outcome.lastError = error.message;
+    } finally {
+      running.delete(schedule.id);
+    }
+
+    // The schedule may have been edited or deleted while the analysis ran
+    const current = await store.getSchedule(schedule.id);
+    if (!current) return { ...schedule, ...outcome };
+
+    return store.saveSchedule({
+      ...current,
+      ...outcome,
+      nextRunAt: getNextRun(current.cron).toISOString()
+    });
+  }
+
+  /**
+   * Start every enabled schedule that is due
+   * @param {Date} [now]
+   * @returns {Promise<Schedule[]>} - Schedules that ran
+   */
+  async function tick(now = new Date()) {
+    const due = (await store.listSchedules()).filter(
+      s => s.enabled && !running.has(s.id) && Date.parse(s.nextRunAt) <= now.getTime()
+    );
+    return Promise.all(due.map(runSchedule));
+  }
+
+  return {
+    tick,
+    runSchedule,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        tick().catch(error => console.error('[Scheduler] Tick failed:', error));
+      }, tickMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+let scheduler = null;
+
+/**
+ * Get the shared scheduler
+ */
+export function getScheduler() {
+  if (!scheduler) {
+    scheduler = createScheduler();
+  }
+  return scheduler;
+}
@@ -0,0 +1,33 @@
+/**
+ * Report Storage
+ * Picks the storage driver from STORAGE_DRIVER (json | memory)
+ */
+
+import path from 'node:path';
+import { createJsonFileStore } from './jsonFileStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const DATA_DIR = process.env.PAGELENS_DATA_DIR || path.resolve('data');
+
+let store = null;
+
+/**
+ * Get the shared report store
+ * @returns {import('./reportStore.js').ReportStore}
+ */
+export function getReportStore() {
+  if (!store) {
+    switch (STORAGE_DRIVER) {
+      case 'memory':
+        store = createMemoryStore();
+        break;
+      case 'json':
+        store = createJsonFileStore(DATA_DIR);
+        break;
+      default:
+        throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected json or memory)`);
+    }
+  }
+  return store;
+}
@@ -0,0 +1,198 @@
+/**
+ * JSON-file Report Store
+ * One file per report under <dataDir>/reports plus an index of summaries,
+ * all schedules in <dataDir>/schedules.json and the custom pattern pack in
+ * <dataDir>/patterns.json.
+ * Writes are serialized and atomic (write to a temp file, then rename).
+ */
+
+import { mkdir, readFile, writeFile, rename, unlink, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createReportRecord, toReportSummary, querySummaries, groupByDomain } from './reportStore.js';
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Write JSON atomically so a crash never leaves a half-written file
+ */
+async function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  await writeFile(tmp, JSON.stringify(data));
+  await rename(tmp, file);
+}
+
+/**
+ * Create a JSON-file store
+ * @param {string} dataDir - Directory to keep reports in (created if missing)
+ * @returns {import('./reportStore.js').ReportStore}
+ */
+export function createJsonFileStore(dataDir) {
+  const reportsDir = path.join(dataDir, 'reports');
+  const indexPath = path.join(dataDir, 'index.json');
+  const schedulesPath = path.join(dataDir, 'schedules.json');
+  const patternsPath = path.join(dataDir, 'patterns.json');
+
+  let indexPromise = null;
+  let schedulesPromise = null;
+  let writeChain = Promise.resolve();
+
+  const reportPath = id => path.join(reportsDir, `${id}.json`);
+
+  /**
+   * Load the summary index, rebuilding it from report files if it is missing
+   */
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = (async () => {
+        await mkdir(reportsDir, { recursive: true });
+        try {
+          const summaries = JSON.parse(await readFile(indexPath, 'utf8'));
+          return new Map(summaries.map(s => [s.id, s]));
+        } catch (err) {
+          if (err.code !== 'ENOENT') {
+            console.warn(`[Storage] Rebuilding unreadable index ${indexPath}: ${err.message}`);
+          }
+          return rebuildIndex();
+        }
+      })();
+    }
+    return indexPromise;
+  }
+
+  async function rebuildIndex() {
+    const index = new Map();
+    for (const file of await readdir(reportsDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const record = JSON.parse(await readFile(path.join(reportsDir, file), 'utf8'));
+        index.set(record.id, toReportSummary(record));
+      } catch (err) {
+        console.warn(`[Storage] Skipping unreadable report ${file}: ${err.message}`);
+      }
+    }
+    await writeJsonAtomic(indexPath, [...index.values()]);
+    return index;
+  }
+
+  /**
+   * Load schedules, starting empty when schedules.json does not exist yet
+   */
+  function loadSchedules() {
+    if (!schedulesPromise) {
+      schedulesPromise = (async () => {
+        await mkdir(dataDir, { recursive: true });
+        try {
+          const schedules = JSON.parse(await readFile(schedulesPath, 'utf8'));
+          return new Map(schedules.map(s => [s.id, s]));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          return new Map();
+        }
+      })();
+    }
+    return schedulesPromise;
+  }
+
+  /**
+   * Run file-mutating work one at a time
+   */
+  function serialize(work) {
+    const run = writeChain.then(work);
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async saveReport(report, snapshots) {
+      const record = createReportRecord(report, snapshots);
+      return serialize(async () => {
+        const index = await loadIndex();
+        await writeJsonAtomic(reportPath(record.id), record);
+        index.set(record.id, toReportSummary(record));
+        await writeJsonAtomic(indexPath, [...index.values()]);
+        return record;
+      });
+    },
+
+    async getReport(id) {
+      if (!ID_PATTERN.test(id)) return null;
+      try {
+        return JSON.parse(await readFile(reportPath(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async listReports(query) {
+      const index = await loadIndex();
+      return querySummaries([...index.values()], query);
+    },
+
+    async listDomains() {
+      const index = await loadIndex();
+      return groupByDomain([...index.values()]);
+    },
+
+    async deleteReport(id) {
+      if (!ID_PATTERN.test(id)) return false;
+      return serialize(async () => {
+        const index = await loadIndex();
+        if (!index.has(id)) return false;
+
+        index.delete(id);
+        await writeJsonAtomic(indexPath, [...index.values()]);
+        await unlink(reportPath(id)).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        });
+        return true;
+      });
+    },
+
+    async saveSchedule(schedule) {
+      return serialize(async () => {
+        const schedules = await loadSchedules();
+        schedules.set(schedule.id, schedule);
+        await writeJsonAtomic(schedulesPath, [...schedules.values()]);
+        return schedule;
+      });
+    },
+
+    async getSchedule(id) {
+      const schedules = await loadSchedules();
+      return schedules.get(id) || null;
+    },
+
+    async listSchedules() {
+      const schedules = await loadSchedules();
+      return [...schedules.values()];
+    },
+
+    async deleteSchedule(id) {
+      return serialize(async () => {
+        const schedules = await loadSchedules();
+        if (!schedules.delete(id)) return false;
+        await writeJsonAtomic(schedulesPath, [...schedules.values()]);
+        return true;
+      });
+    },
+
+    async getPatternPack() {
+      try {
+        return JSON.parse(await readFile(patternsPath, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async savePatternPack(pack) {
+      return serialize(async () => {
+        await mkdir(dataDir, { recursive: true });
+        await writeJsonAtomic(patternsPath, pack);
+        return pack;
+      });
+    }
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * In-memory Report Store
+ * Used when STORAGE_DRIVER=memory; everything is lost on restart
+ */
+
+import { createReportRecord, toReportSummary, querySummaries, groupByDomain } from './reportStore.js';
+
+/**
+ * Create an in-memory store
+ * @returns {import('./reportStore.js').ReportStore}
+ */
+export function createMemoryStore() {
+  const records = new Map();
+  const schedules = new Map();
+  let patternPack = null;
+
+  return {
+    async saveReport(report, snapshots) {
+      const record = createReportRecord(report, snapshots);
+      records.set(record.id, record);
+      return record;
+    },
+
+    async getReport(id) {
+      return records.get(id) || null;
+    },
+
+    async listReports(query) {
+      return querySummaries([...records.values()].map(toReportSummary), query);
+    },
+
+    async listDomains() {
+      return groupByDomain([...records.values()].map(toReportSummary));
+    },
+
+    async deleteReport(id) {
+      return records.delete(id);
+    },
+
+    async saveSchedule(schedule) {
+      schedules.set(schedule.id, schedule);
+      return schedule;
+    },
+
+    async getSchedule(id) {
+      return schedules.get(id) || null;
+    },
+
+    async listSchedules() {
+      return [...schedules.values()];
+    },
+
+    async deleteSchedule(id) {
+      return schedules.delete(id);
+    },
+
+    async getPatternPack() {
+      return patternPack;
+    },
+
+    async savePatternPack(pack) {
+      patternPack = pack;
+      return pack;
+    }
+  };
+}
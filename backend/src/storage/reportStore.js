@@ -0,0 +1,126 @@
+/**
+ * Report Store Interface
+ * Shared record and summary shapes for every storage driver.
+ * Drivers also keep re-analysis schedules (see scheduler/scheduler.js) and the
+ * custom pattern pack saved through PUT /patterns (see engine/customPatterns.js).
+ */
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * @typedef {Object} ReportRecord
+ * @property {string} id - Report ID
+ * @property {string} domain - Hostname without "www." (used for per-domain history)
+ * @property {string} url - Analyzed URL
+ * @property {string} createdAt - ISO timestamp
+ * @property {Object} report - Report as returned by POST /analyze
+ * @property {import('../models/PageSnapshot.js').PageSnapshot[]} snapshots - Crawled page snapshots
+ */
+
+/**
+ * @typedef {Object} ReportSummary
+ * @property {string} id
+ * @property {string} domain
+ * @property {string} url
+ * @property {string} createdAt
+ * @property {string} analyzedAt
+ * @property {number} totalPages
+ * @property {Object} findings - Finding counts by type
+ */
+
+/**
+ * @typedef {Object} ReportStore
+ * @property {(report: Object, snapshots?: Object[]) => Promise<ReportRecord>} saveReport
+ * @property {(id: string) => Promise<ReportRecord|null>} getReport
+ * @property {(query?: { domain?: string, limit?: number, offset?: number }) => Promise<{ total: number, reports: ReportSummary[] }>} listReports
+ * @property {() => Promise<{ domain: string, count: number, lastAnalyzedAt: string }[]>} listDomains
+ * @property {(id: string) => Promise<boolean>} deleteReport
+ * @property {(schedule: Object) => Promise<Object>} saveSchedule - Insert or replace by schedule.id
+ * @property {(id: string) => Promise<Object|null>} getSchedule
+ * @property {() => Promise<Object[]>} listSchedules
+ * @property {(id: string) => Promise<boolean>} deleteSchedule
+ * @property {() => Promise<Object|null>} getPatternPack - Saved custom pattern pack, if any
+ * @property {(pack: Object) => Promise<Object>} savePatternPack - Replace the saved pack
+ */
+
+/**
+ * Normalize a URL or hostname to the domain key used for history lookups
+ */
+export function toDomainKey(urlOrHost) {
+  let host = urlOrHost.trim().toLowerCase();
+  try {
+    host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+  } catch {
+    // Keep the raw value; it simply won't match anything
+  }
+  return host.replace(/^www\./, '');
+}
+
+/**
+ * Build a record for a new report
+ * @param {Object} report
+ * @param {Object[]} snapshots
+ * @returns {ReportRecord}
+ */
+export function createReportRecord(report, snapshots = []) {
+  const id = randomUUID();
+  return {
+    id,
+    domain: toDomainKey(report.meta.baseDomain || report.meta.analyzedUrl),
+    url: report.meta.analyzedUrl,
+    createdAt: new Date().toISOString(),
+    report: { ...report, meta: { ...report.meta, reportId: id } },
+    snapshots
+  };
+}
+
+/**
+ * Summary of a record for listings
+ * @param {ReportRecord} record
+ * @returns {ReportSummary}
+ */
+export function toReportSummary(record) {
+  const findings = { claimed_not_detected: 0, weak_detection: 0, detected_not_claimed: 0 };
+  for (const finding of record.report.comparison.findings) {
+    findings[finding.type] = (findings[finding.type] || 0) + 1;
+  }
+
+  return {
+    id: record.id,
+    domain: record.domain,
+    url: record.url,
+    createdAt: record.createdAt,
+    analyzedAt: record.report.meta.analyzedAt,
+    totalPages: record.report.crawl.totalPages,
+    findings
+  };
+}
+
+/**
+ * Filter, sort (newest first) and paginate summaries
+ */
+export function querySummaries(summaries, { domain, limit = 50, offset = 0 } = {}) {
+  const domainKey = domain ? toDomainKey(domain) : null;
+  const matching = summaries
+    .filter(s => !domainKey || s.domain === domainKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: matching.length,
+    reports: matching.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Group summaries by domain
+ */
+export function groupByDomain(summaries) {
+  const domains = new Map();
+  for (const summary of summaries) {
+    const entry = domains.get(summary.domain) || { domain: summary.domain, count: 0, lastAnalyzedAt: '' };
+    entry.count++;
+    if (summary.createdAt > entry.lastAnalyzedAt) entry.lastAnalyzedAt = summary.createdAt;
+    domains.set(summary.domain, entry);
+  }
+  return [...domains.values()].sort((a, b) => b.lastAnalyzedAt.localeCompare(a.lastAnalyzedAt));
+}
@@ -0,0 +1,152 @@
+/**
+ * Snapshot Archive Tests
+ * HAR and WARC loading from small inline archives: redirects, encoded bodies,
+ * per-page request hosts and skipping of non-HTML records
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+import { loadHar, loadWarc, SnapshotSourceError } from '../src/crawler/archives.js';
+
+const PAGE = '<!doctype html><html><head><title>Pricing</title></head><body><h1>Pricing</h1></body></html>';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'pagelens-archives-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+async function writeArchive(name, contents) {
+  const file = path.join(dir, name);
+  await writeFile(file, contents);
+  return file;
+}
+
+/**
+ * One WARC record with its block and the trailing blank line
+ */
+function warcRecord(type, uri, block) {
+  const head = `WARC/1.1\r\nWARC-Type: ${type}\r\nWARC-Target-URI: <${uri}>\r\nContent-Length: ${block.length}\r\n\r\n`;
+  return Buffer.concat([Buffer.from(head), block, Buffer.from('\r\n\r\n')]);
+}
+
+/**
+ * An HTTP response as stored in a WARC response record
+ */
+function httpResponse(statusLine, headers, body = Buffer.alloc(0)) {
+  const head = [statusLine, ...headers].join('\r\n');
+  return Buffer.concat([Buffer.from(`${head}\r\n\r\n`), body]);
+}
+
+/**
+ * Chunked transfer encoding, split into chunks of `size` bytes
+ */
+function chunk(body, size) {
+  const parts = [];
+  for (let i = 0; i < body.length; i += size) {
+    const piece = body.subarray(i, i + size);
+    parts.push(Buffer.from(`${piece.length.toString(16)}\r\n`), piece, Buffer.from('\r\n'));
+  }
+  parts.push(Buffer.from('0\r\n\r\n'));
+  return Buffer.concat(parts);
+}
+
+const har = {
+  log: {
+    pages: [{ id: 'page_1', title: 'Pricing' }],
+    entries: [
+      {
+        request: { url: 'http://shop.test/pricing', cookies: [] },
+        response: { status: 301, redirectURL: '/pricing/', headers: [], cookies: [], content: {} }
+      },
+      {
+        pageref: 'page_1',
+        request: { url: 'https://shop.test/pricing/', cookies: [{ name: 'session', value: 'secret' }] },
+        response: {
+          status: 200,
+          headers: [{ name: 'Content-Type', value: 'text/html; charset=utf-8' }, { name: 'Server', value: 'nginx' }],
+          cookies: [{ name: 'consent', value: 'yes' }],
+          content: { mimeType: 'text/html; charset=utf-8', text: Buffer.from(PAGE).toString('base64'), encoding: 'base64' }
+        }
+      },
+      {
+        pageref: 'page_1',
+        request: { url: 'https://js.stripe.com/v3/', cookies: [] },
+        response: { status: 200, headers: [], cookies: [], content: { mimeType: 'application/javascript', text: 'void 0' } }
+      },
+      {
+        pageref: 'page_1',
+        request: { url: 'https://shop.test/api/plans', cookies: [] },
+        response: { status: 200, headers: [], cookies: [], content: { mimeType: 'application/json', text: '{"plans":[]}' } }
+      }
+    ]
+  }
+};
+
+test('HAR pages keep redirects, decoded bodies and the hosts of their pageref', async () => {
+  const archive = await loadHar(await writeArchive('site.har', JSON.stringify(har)));
+
+  assert.deepEqual(archive.redirects, [{ from: 'http://shop.test/pricing', to: 'http://shop.test/pricing/' }]);
+  // The script and JSON entries only contribute request hosts
+  assert.equal(archive.pages.length, 1);
+
+  const [page] = archive.pages;
+  assert.equal(page.url, 'https://shop.test/pricing/');
+  assert.equal(page.html, PAGE);
+  assert.deepEqual(page.headers, { 'content-type': 'text/html; charset=utf-8', server: 'nginx' });
+  assert.deepEqual(page.cookies, ['session', 'consent']);
+  assert.deepEqual(page.requestHosts.sort(), ['js.stripe.com', 'shop.test']);
+});
+
+test('invalid or missing HAR files are source errors', async () => {
+  await assert.rejects(loadHar(await writeArchive('broken.har', '{"log":')), SnapshotSourceError);
+  await assert.rejects(loadHar(await writeArchive('empty.har', '{"log":{}}')), /has no log\.entries/);
+  await assert.rejects(loadHar(path.join(dir, 'missing.har')), SnapshotSourceError);
+});
+
+function buildWarc() {
+  return Buffer.concat([
+    warcRecord('warcinfo', 'https://shop.test/', Buffer.from('software: test\r\n')),
+    warcRecord('request', 'https://shop.test/', Buffer.from('GET / HTTP/1.1\r\nHost: shop.test\r\n\r\n')),
+    warcRecord('response', 'https://shop.test/', httpResponse('HTTP/1.1 302 Found', ['Location: /pricing/'])),
+    warcRecord('response', 'https://shop.test/pricing/', httpResponse('HTTP/1.1 200 OK', [
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Encoding: gzip',
+      'Transfer-Encoding: chunked',
+      'Set-Cookie: consent=yes; Path=/',
+      'Set-Cookie: session=abc; HttpOnly'
+    ], chunk(gzipSync(PAGE), 16))),
+    warcRecord('response', 'https://shop.test/logo.png', httpResponse('HTTP/1.1 200 OK', ['Content-Type: image/png'], Buffer.from([0x89, 0x50, 0x4e, 0x47])))
+  ]);
+}
+
+test('WARC responses follow redirects and decode chunked gzip bodies', async () => {
+  const archive = await loadWarc(await writeArchive('site.warc', buildWarc()));
+
+  assert.deepEqual(archive.redirects, [{ from: 'https://shop.test/', to: 'https://shop.test/pricing/' }]);
+  // warcinfo, request and image records are skipped
+  assert.equal(archive.pages.length, 1);
+
+  const [page] = archive.pages;
+  assert.equal(page.url, 'https://shop.test/pricing/');
+  assert.equal(page.html, PAGE);
+  assert.equal(page.headers['content-type'], 'text/html; charset=utf-8');
+  assert.deepEqual(page.cookies, ['consent', 'session']);
+});
+
+test('gzipped WARC archives are read like plain ones', async () => {
+  const plain = await loadWarc(await writeArchive('plain.warc', buildWarc()));
+  const gzipped = await loadWarc(await writeArchive('site.warc.gz', gzipSync(buildWarc())));
+  assert.deepEqual(gzipped, plain);
+});
+
+test('a WARC record without Content-Length is a source error', async () => {
+  const file = await writeArchive('bad.warc', 'WARC/1.1\r\nWARC-Type: response\r\n\r\nHTTP/1.1 200 OK\r\n\r\n');
+  await assert.rejects(loadWarc(file), /without Content-Length/);
+});
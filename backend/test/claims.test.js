@@ -0,0 +1,123 @@
+/**
+ * Claim Extraction Tests
+ * Page selection, per-claim provenance, location weighting, negation and
+ * claim-to-pattern coverage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLAIM_PATTERNS, CLAIM_TO_PATTERN_MAP, extractClaims, extractPageClaims } from '../src/extractor/claims.js';
+import { classifyAllPages } from '../src/engine/classifier.js';
+import { getPattern } from '../src/engine/patterns.js';
+import { createPageSnapshot } from '../src/models/PageSnapshot.js';
+
+const homepage = createPageSnapshot({
+  url: 'https://example.test/',
+  visibleText: 'FeaturesPricing\nOrganize your week\nAll your tasks in one place.\nContact us',
+  headings: [{ level: 1, text: 'Organize your week' }],
+  links: [
+    { href: 'https://example.test/features', text: 'Features' },
+    { href: 'https://example.test/pricing', text: 'Pricing' },
+    { href: 'https://example.test/contact', text: 'Contact us' }
+  ],
+  regions: {
+    hero: ['Organize your week', 'All your tasks in one place.'],
+    nav: ['FeaturesPricing'],
+    footer: ['Contact us']
+  }
+});
+
+const pricing = createPageSnapshot({
+  url: 'https://example.test/pricing',
+  title: 'Pricing',
+  visibleText: 'Pricing\nStart your free trial today. $12 per user per month.\nStart free trial',
+  headings: [{ level: 1, text: 'Pricing' }],
+  buttons: [{ text: 'Start free trial' }],
+  regions: { hero: ['Pricing'], nav: [], footer: [] }
+});
+
+const blogPost = createPageSnapshot({
+  url: 'https://example.test/blog/launch',
+  visibleText: 'We launched a mobile app for iOS and Android.'
+});
+
+const extract = (snapshots, options) => extractClaims(snapshots, classifyAllPages(snapshots), options);
+
+test('claims come from the homepage and pages of the claim page types', () => {
+  const result = extract([homepage, pricing, blogPost]);
+
+  assert.deepEqual(result.pages, ['https://example.test/', 'https://example.test/pricing']);
+  assert.ok(!result.claims.some(c => c.id === 'MOBILE_APP'));
+
+  const trial = result.claims.find(c => c.id === 'FREE_TRIAL');
+  assert.deepEqual(trial.evidence, ['Start your free trial today.', 'Start free trial']);
+  assert.deepEqual(trial.sources, [{
+    url: 'https://example.test/pricing',
+    sentences: [
+      { text: 'Start your free trial today.', location: 'body' },
+      { text: 'Start free trial', location: 'body' }
+    ]
+  }]);
+});
+
+test('the claim page types are configurable', () => {
+  const result = extract([homepage, pricing, blogPost], { pagePatterns: [] });
+  assert.deepEqual(result.pages, ['https://example.test/']);
+});
+
+test('a keyword counts at its most prominent location', () => {
+  const navOnly = extract([homepage]).claims.find(c => c.id === 'PRICING_TIERS');
+  const withPricingPage = extract([homepage, pricing]).claims.find(c => c.id === 'PRICING_TIERS');
+
+  // Nav links are split out of the menu line and worth half a body mention
+  assert.equal(navOnly.location, 'nav');
+  assert.deepEqual(navOnly.evidence, ['Pricing']);
+  assert.equal(navOnly.confidence, 13);
+
+  // The pricing page's hero heading (1.5 × 0.6) outweighs the homepage nav link
+  assert.equal(withPricingPage.location, 'hero');
+  assert.ok(withPricingPage.confidence > navOnly.confidence);
+});
+
+test('negated and deferred mentions are not claims', () => {
+  const page = createPageSnapshot({
+    url: 'https://example.test/',
+    visibleText: 'We don\'t have a mobile app yet. No credit card required.\nLive chat is coming soon. Email support around the clock.'
+  });
+  const result = extract([page]);
+  const ids = result.claims.map(c => c.id);
+
+  assert.ok(!ids.includes('MOBILE_APP'));
+  assert.ok(!ids.includes('FREE_TRIAL'));
+  assert.ok(!ids.includes('CHAT_SUPPORT'));
+  assert.ok(ids.includes('CONTACT_SUPPORT'));
+
+  assert.deepEqual(result.negatedClaims.map(c => c.id), ['MOBILE_APP', 'CHAT_SUPPORT']);
+  assert.deepEqual(result.negatedClaims[0].sources[0].sentences, [
+    { text: 'We don\'t have a mobile app yet.', location: 'body' }
+  ]);
+
+  // A deferral only covers its own clause
+  const mixed = extractPageClaims(createPageSnapshot({
+    url: 'https://example.test/',
+    visibleText: 'Our REST API is live today, the mobile app is coming soon.'
+  }));
+  assert.deepEqual(Object.keys(mixed.matches), ['API']);
+  assert.deepEqual(Object.keys(mixed.negated), ['MOBILE_APP']);
+
+  // "no-code" is not a negation
+  const compound = extractPageClaims(createPageSnapshot({
+    url: 'https://example.test/',
+    visibleText: 'The no-code REST API builder.'
+  }));
+  assert.deepEqual(Object.keys(compound.matches), ['API']);
+  assert.deepEqual(compound.negated, {});
+});
+
+test('every claim category is checked against at least one pattern', () => {
+  for (const claimId of Object.keys(CLAIM_PATTERNS)) {
+    const patternIds = CLAIM_TO_PATTERN_MAP[claimId] || [];
+    assert.ok(patternIds.length > 0, `${claimId} has no patterns`);
+    for (const patternId of patternIds) assert.ok(getPattern(patternId), `${claimId} maps to unknown ${patternId}`);
+  }
+});
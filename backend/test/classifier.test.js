@@ -0,0 +1,184 @@
+/**
+ * Pattern DSL Tests
+ * Combinators, negative weights, repeated-match caps, required and third-party
+ * signals, interaction states, and the calibration of raw scores to 0-1 confidence
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPattern, classifyAllPages } from '../src/engine/classifier.js';
+import { createPageSnapshot } from '../src/models/PageSnapshot.js';
+import { normalizeScore, fitCurve } from '../src/engine/calibration.js';
+
+const snapshot = createPageSnapshot({
+  url: 'https://example.test/blog',
+  visibleText: 'Latest posts. Read more. Read more. Read more. Read more.',
+  inputs: [{ type: 'email', name: 'email' }],
+  buttons: [{ text: 'Subscribe' }],
+  forms: [{ action: 'https://example.test/newsletter', inputs: [{ type: 'email', name: 'email' }], buttons: [{ text: 'Subscribe' }] }]
+});
+
+const pattern = signals => ({ id: 'TEST', name: 'Test', signals });
+
+test('all/any/not combinators explain which branch fired', () => {
+  const match = matchPattern(pattern([
+    { all: [{ type: 'url', pattern: /\/blog/ }, { type: 'input_type', value: 'email' }], weight: 10 },
+    { any: [{ type: 'url', pattern: /\/shop/ }, { type: 'button_text', pattern: /subscribe/i }], weight: 5 },
+    { not: { type: 'input_type', value: 'password' }, weight: 1 }
+  ]), snapshot);
+
+  assert.equal(match.rawScore, 16);
+  assert.deepEqual(match.evidence.map(e => [e.signalType, e.matchedValue]), [
+    ['all', 'all(url: "https://example.test/blog" + input[type="email"])'],
+    ['any', 'any(button: "Subscribe")'],
+    ['not', 'not(input_type password)']
+  ]);
+});
+
+test('negative weights subtract and a non-positive total is not a match', () => {
+  const penalty = { type: 'visible_text', pattern: /latest posts/i, weight: -20 };
+
+  assert.equal(matchPattern(pattern([{ type: 'url', pattern: /blog/, weight: 30 }, penalty]), snapshot).rawScore, 10);
+  assert.equal(matchPattern(pattern([{ type: 'url', pattern: /blog/, weight: 10 }, penalty]), snapshot), null);
+});
+
+test('maxMatches counts repeated matches up to the cap', () => {
+  const match = matchPattern(pattern([
+    { type: 'visible_text', pattern: /read more/i, weight: 5, maxMatches: 3 }
+  ]), snapshot);
+
+  assert.equal(match.rawScore, 15);
+  assert.match(match.evidence[0].matchedValue, /\(×3\)$/);
+});
+
+test('a missing required signal rules the pattern out', () => {
+  const signals = [
+    { type: 'input_type', value: 'password', required: true, weight: 0 },
+    { type: 'url', pattern: /blog/, weight: 30 }
+  ];
+  assert.equal(matchPattern(pattern(signals), snapshot), null);
+
+  signals[0] = { type: 'input_type', value: 'email', required: true, weight: 0 };
+  const match = matchPattern(pattern(signals), snapshot);
+  assert.equal(match.rawScore, 30);
+  assert.equal(match.evidence[0].required, true);
+});
+
+test('form combinators hold within a single form', () => {
+  const match = matchPattern(pattern([
+    { type: 'form', all: [{ type: 'input_type', value: 'email' }, { not: { type: 'input_type', value: 'password' } }], weight: 20 }
+  ]), snapshot);
+
+  assert.equal(match.evidence[0].matchedValue, 'form(/newsletter): all(input[type="email"] + not(input_type password))');
+});
+
+test('third_party signals match vendors by ID, category or raw URL', () => {
+  const page = createPageSnapshot({
+    url: 'https://example.test/',
+    scripts: ['https://widget.intercom.io/widget/abc123'],
+    iframes: [{ src: 'https://js.stripe.com/v3/elements-inner.html' }],
+    requestHosts: ['cdn.example.test', 'accounts.google.com']
+  });
+  const match = matchPattern(pattern([
+    { type: 'third_party', value: 'intercom', weight: 10 },
+    { type: 'third_party', value: 'payments', weight: 5 },
+    { type: 'third_party', value: 'search', weight: 100 },
+    { type: 'third_party', pattern: /accounts\.google\.com/, weight: 1 }
+  ]), page);
+
+  assert.equal(match.rawScore, 16);
+  assert.deepEqual(match.evidence.map(e => e.matchedValue), [
+    'script: Intercom',
+    'iframe: Stripe',
+    'request: "https://accounts.google.com/"'
+  ]);
+});
+
+test('evidence only an interaction revealed is attributed to it', () => {
+  const loginForm = {
+    action: 'https://example.test/session',
+    method: 'post',
+    inputs: [{ type: 'email', name: 'email' }, { type: 'password', name: 'password' }],
+    buttons: [{ text: 'Log in' }]
+  };
+  const page = createPageSnapshot({
+    url: 'https://example.test/',
+    visibleText: 'Welcome',
+    buttons: [{ text: 'Log in' }],
+    states: [
+      { interaction: { kind: 'menu', label: 'Menu' }, snapshot: { url: 'https://example.test/', visibleText: 'Welcome\nAbout' } },
+      {
+        interaction: { kind: 'dialog', label: 'Log in' },
+        snapshot: { url: 'https://example.test/', visibleText: 'Welcome', inputs: loginForm.inputs, buttons: [{ text: 'Log in' }], forms: [loginForm] }
+      }
+    ]
+  });
+  const [result] = classifyAllPages([page], [pattern([
+    { type: 'button_text', pattern: /^log in$/i, weight: 10 },
+    { type: 'input_type', value: 'password', weight: 30 },
+    { type: 'form', all: [{ type: 'input_type', value: 'password' }], weight: 20 }
+  ])]).pageClassifications;
+
+  assert.equal(result.classifications[0].rawScore, 60);
+  assert.deepEqual(result.classifications[0].evidence.map(e => e.revealedBy), [undefined, 'dialog "Log in"', 'dialog "Log in"']);
+  assert.deepEqual(result.forms.map(f => [f.action, f.revealedBy]), [['https://example.test/session', 'dialog "Log in"']]);
+  assert.deepEqual(result.interactions, [
+    { kind: 'menu', label: 'Menu', revealed: [] },
+    {
+      kind: 'dialog',
+      label: 'Log in',
+      revealed: [
+        { pattern: 'TEST', evidence: 'input[type="password"]' },
+        { pattern: 'TEST', evidence: 'form(/session): all(input[type="password"])' },
+        { pattern: 'TEST', evidence: 'form(/session)' }
+      ]
+    }
+  ]);
+});
+
+test('on-load and revealed evidence add up, and counts that grow are attributed', () => {
+  const page = createPageSnapshot({
+    url: 'https://example.test/',
+    visibleText: 'Starter plan',
+    requestHosts: ['appleid.cdn-apple.com'],
+    states: [
+      { interaction: { kind: 'tab', label: 'Yearly' }, snapshot: { url: 'https://example.test/', visibleText: 'Starter plan\nTeam plan' } },
+      { interaction: { kind: 'dialog', label: 'Log in' }, snapshot: { url: 'https://example.test/', inputs: [{ type: 'password', name: 'password' }] } }
+    ]
+  });
+  const [result] = classifyAllPages([page], [pattern([
+    // Only the page itself loads the sign-in SDK; only the dialog has the password field
+    { type: 'third_party', value: 'auth', required: true, weight: 20 },
+    { type: 'input_type', value: 'password', required: true, weight: 30 },
+    { type: 'visible_text', pattern: /\w+ plan/i, weight: 5, maxMatches: 3 }
+  ])]).pageClassifications;
+
+  assert.equal(result.classifications[0].rawScore, 60);
+  assert.deepEqual(result.classifications[0].evidence.map(e => [e.matchedValue, e.revealedBy]), [
+    ['request: Sign in with Apple', undefined],
+    ['input[type="password"]', 'dialog "Log in"'],
+    ['text: "Starter plan", text: "Team plan" (×2)', 'tab "Yearly"']
+  ]);
+});
+
+test('raw scores normalize to a monotonic 0-1 confidence', () => {
+  const scores = [-10, 0, 10, 25, 50, 100, 250].map(raw => normalizeScore('UNCALIBRATED', raw));
+
+  assert.equal(scores[0], 0);
+  assert.equal(scores[1], 0);
+  assert.ok(scores.every((s, i) => s >= 0 && s <= 1 && (i === 0 || s >= scores[i - 1])));
+  // The default curve keeps the old fixed cut-offs: raw 50 is strong, raw 25 weak
+  assert.equal(normalizeScore('UNCALIBRATED', 50), 0.6);
+  assert.equal(normalizeScore('UNCALIBRATED', 25), 0.3);
+});
+
+test('fitted curves move the midpoint towards the labelled scores', () => {
+  const samples = [
+    ...[90, 110, 130].map(score => ({ score, label: true })),
+    ...[0, 0, 20, 40, 60].map(score => ({ score, label: false }))
+  ];
+  const { midpoint, scale } = fitCurve(samples);
+
+  assert.ok(midpoint > 60 && midpoint < 90, `midpoint ${midpoint}`);
+  assert.ok(scale > 0);
+});
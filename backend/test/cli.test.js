@@ -0,0 +1,98 @@
+/**
+ * CLI Tests
+ * Argument parsing, thresholds and exit codes, run against a saved HTML
+ * directory so no browser is needed
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { run, parseCliArgs, parseFailOn, UsageError, EXIT_OK, EXIT_THRESHOLD, EXIT_ERROR } from '../src/cli/index.js';
+
+let siteDir;
+
+before(async () => {
+  siteDir = await mkdtemp(path.join(tmpdir(), 'pagelens-cli-'));
+  // Claims live chat without any chat widget: one claimed_not_detected finding
+  await writeFile(path.join(siteDir, 'index.html'), `<!doctype html>
+    <html><head><title>Acme</title></head><body>
+      <h1>Invoicing made simple</h1>
+      <p>Questions? Ask us over live chat.</p>
+    </body></html>`);
+});
+
+after(() => rm(siteDir, { recursive: true, force: true }));
+
+/**
+ * Run the CLI with captured output
+ */
+async function runCli(argv) {
+  const output = { stdout: '', stderr: '' };
+  const stream = name => ({ write: (chunk) => { output[name] += chunk; } });
+  const code = await run(argv, { stdout: stream('stdout'), stderr: stream('stderr') });
+  return { code, ...output };
+}
+
+test('flags become crawl options, sources and thresholds', () => {
+  const args = parseCliArgs([
+    '--max-pages', '5', '--settle-timeout', '0', '--include', '/docs/**', '--include', '/blog/*',
+    '--no-sitemaps', '--fail-on', 'weak_detection:2,claimed_not_detected', '--json', 'example.com'
+  ]);
+
+  assert.deepEqual(args.urls, ['https://example.com']);
+  assert.deepEqual(args.crawlOptions, { maxPages: 5, settleTimeout: 0, include: ['/docs/**', '/blog/*'], useSitemaps: false });
+  assert.deepEqual(args.thresholds, [{ type: 'weak_detection', max: 2 }, { type: 'claimed_not_detected', max: 0 }]);
+  assert.equal(args.json, true);
+  assert.equal(args.source, undefined);
+
+  assert.deepEqual(parseFailOn([]), [{ type: 'claimed_not_detected', max: 0 }]);
+  assert.deepEqual(parseFailOn(['none']), []);
+});
+
+test('bad arguments are usage errors', () => {
+  assert.throws(() => parseCliArgs(['--max-pages', 'ten', 'example.com']), UsageError);
+  assert.throws(() => parseCliArgs(['--fail-on', 'broken_links']), UsageError);
+  assert.throws(() => parseCliArgs(['--fail-on', 'weak_detection:-1']), UsageError);
+  assert.throws(() => parseCliArgs(['--har', 'a.har', '--warc', 'b.warc']), UsageError);
+  assert.throws(() => parseCliArgs(['--unknown']), UsageError);
+  assert.throws(() => parseCliArgs(['http://exa mple.com']), UsageError);
+});
+
+test('help, missing URLs and bad flags exit without analyzing', async () => {
+  const help = await runCli(['--help']);
+  assert.equal(help.code, EXIT_OK);
+  assert.match(help.stdout, /^Usage: pagelens/);
+
+  const missing = await runCli([]);
+  assert.equal(missing.code, EXIT_ERROR);
+  assert.match(missing.stderr, /at least one URL is required/);
+
+  const bad = await runCli(['--max-depth', 'deep', 'example.com']);
+  assert.equal(bad.code, EXIT_ERROR);
+  assert.match(bad.stderr, /--max-depth must be a whole number/);
+});
+
+test('exceeded thresholds exit 1, and logs never reach stdout or console.log', async (t) => {
+  const consoleLog = t.mock.method(console, 'log');
+
+  const failing = await runCli(['--html-dir', siteDir, 'acme.test']);
+  assert.equal(failing.code, EXIT_THRESHOLD);
+  assert.match(failing.stdout, /\[claimed_not_detected\] Chat support/);
+  assert.match(failing.stdout, /Threshold exceeded: 1 claimed_not_detected finding\(s\), max 0/);
+  assert.equal(failing.stderr, '');
+
+  const passing = await runCli(['--html-dir', siteDir, '--fail-on', 'claimed_not_detected:1', '--json', '--verbose', 'acme.test']);
+  assert.equal(passing.code, EXIT_OK);
+  assert.equal(JSON.parse(passing.stdout).passed, true);
+  assert.match(passing.stderr, /\[Analyze\] Step 1: Reading html snapshots/);
+
+  assert.equal(consoleLog.mock.callCount(), 0);
+});
+
+test('analysis errors exit 2', async () => {
+  const result = await runCli(['--html-dir', path.join(siteDir, 'missing'), 'acme.test']);
+  assert.equal(result.code, EXIT_ERROR);
+  assert.match(result.stdout, /✕ https:\/\/acme\.test\n {2}Error:/);
+});
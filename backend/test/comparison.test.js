@@ -0,0 +1,48 @@
+/**
+ * Comparison Engine Tests
+ * Third-party vendors as evidence for a claim no pattern confirmed
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareClaimsVsDetections } from '../src/analyzer/comparison.js';
+
+const claimsResult = { claims: [{ id: 'ECOMMERCE', label: 'Stripe checkout' }] };
+const stripe = {
+  id: 'stripe',
+  name: 'Stripe',
+  category: 'payments',
+  pages: [{ url: 'https://example.test/checkout', source: 'script', evidence: 'https://js.stripe.com/v3/' }]
+};
+const veryWeakCheckout = {
+  patternId: 'ECOMMERCE',
+  patternName: 'E-commerce',
+  maxConfidence: 0.1,
+  thresholds: { STRONG: 0.6, WEAK: 0.3 },
+  evidencePages: [{ url: 'https://example.test/shop' }]
+};
+
+test('a loaded vendor turns an unconfirmed claim into a weak detection', () => {
+  const { findings, summary } = compareClaimsVsDetections(claimsResult, { detectedFeatures: [], thirdParties: [stripe] });
+
+  assert.deepEqual(summary.weakFeatures, ['Stripe checkout']);
+  assert.deepEqual(summary.missingFeatures, []);
+  assert.equal(findings[0].type, 'weak_detection');
+  assert.deepEqual(findings[0].thirdParties, ['Stripe']);
+  assert.deepEqual(findings[0].evidencePages, ['https://example.test/checkout']);
+
+  const withPattern = compareClaimsVsDetections(claimsResult, { detectedFeatures: [veryWeakCheckout], thirdParties: [stripe] });
+  assert.equal(withPattern.findings[0].type, 'weak_detection');
+  assert.equal(withPattern.findings[0].confidence, 0.1);
+});
+
+test('without a related vendor the claim stays not detected', () => {
+  const unrelated = { ...stripe, id: 'intercom', name: 'Intercom', category: 'chat' };
+
+  for (const detectedFeatures of [[], [veryWeakCheckout]]) {
+    const { findings, summary } = compareClaimsVsDetections(claimsResult, { detectedFeatures, thirdParties: [unrelated] });
+    assert.deepEqual(summary.missingFeatures, ['Stripe checkout']);
+    assert.equal(findings[0].type, 'claimed_not_detected');
+    assert.deepEqual(findings[0].thirdParties, []);
+  }
+});
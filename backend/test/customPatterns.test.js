@@ -0,0 +1,133 @@
+/**
+ * Custom Pattern Pack Tests
+ * Schema validation, regex compilation and activation next to the built-ins
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PatternValidationError,
+  activatePatternPack,
+  listActivePatterns,
+  parsePatternPack,
+  validatePatternPack
+} from '../src/engine/customPatterns.js';
+import { getPattern, getPatternSource } from '../src/engine/patterns.js';
+import { classifyPage } from '../src/engine/classifier.js';
+import { createPageSnapshot } from '../src/models/PageSnapshot.js';
+
+afterEach(() => {
+  activatePatternPack({ patterns: {} });
+});
+
+const CAREERS_YAML = `
+patterns:
+  CAREERS_PAGE:
+    name: Careers Page
+    signals:
+      - type: url
+        pattern: /(careers|jobs)\\b
+        weight: 30
+      - any:
+          - { type: heading_text, pattern: open (roles|positions) }
+          - { type: structured_data, value: JobPosting }
+        weight: 25
+`;
+
+test('a YAML pack adds a pattern the classifier uses', () => {
+  activatePatternPack(parsePatternPack(CAREERS_YAML, 'yaml'));
+
+  const snapshot = createPageSnapshot({
+    url: 'https://example.test/careers',
+    headings: [{ level: 2, text: 'Open positions' }]
+  });
+  const match = classifyPage(snapshot).find(m => m.patternId === 'CAREERS_PAGE');
+
+  assert.equal(getPatternSource('CAREERS_PAGE'), 'custom');
+  assert.equal(match.rawScore, 55);
+  assert.equal(match.evidence[1].matchedValue, 'any(h2: "Open positions")');
+});
+
+test('every built-in pattern round-trips through the pack format as an override', () => {
+  const patterns = Object.fromEntries(
+    listActivePatterns().map(({ id, source, ...definition }) => [id, definition])
+  );
+  activatePatternPack(JSON.parse(JSON.stringify({ patterns })));
+
+  assert.equal(getPatternSource('AUTH_PAGE'), 'override');
+  assert.deepEqual(getPattern('PRICING_PAGE').signals.at(-1).not.pattern, /[$€£]\s*\d+|\d+\s*(USD|EUR|GBP)\b|free\s*plan|contact\s*sales/i);
+});
+
+test('schema errors are collected with their path', () => {
+  const pack = {
+    patterns: {
+      bad_id: {
+        name: '',
+        signals: [
+          { type: 'url', pattern: '(unclosed', weight: 10 },
+          { type: 'visble_text', pattern: 'x', weight: 10 },
+          { type: 'form', all: [{ type: 'url', pattern: 'x' }], weight: 10 },
+          { type: 'input_type', weight: '5' }
+        ]
+      }
+    }
+  };
+
+  let error;
+  try {
+    validatePatternPack(pack);
+  } catch (err) {
+    error = err;
+  }
+
+  assert.ok(error instanceof PatternValidationError);
+  assert.equal(error.statusCode, 400);
+  assert.deepEqual(error.errors.map(e => e.split(':')[0]), [
+    'patterns.bad_id',
+    'patterns.bad_id.name',
+    'patterns.bad_id.signals[0].pattern',
+    'patterns.bad_id.signals[1].type',
+    'patterns.bad_id.signals[2].all[0].type',
+    'patterns.bad_id.signals[3].weight',
+    'patterns.bad_id.signals[3]'
+  ]);
+});
+
+test('regexes that could backtrack catastrophically are rejected', () => {
+  const pack = {
+    patterns: {
+      SLOW_PAGE: {
+        name: 'Slow Page',
+        signals: [
+          { type: 'visible_text', pattern: '(a+)+$', weight: 10 },
+          { type: 'visible_text', pattern: '(?:\\w+\\s?)*done', weight: 10 },
+          { type: 'visible_text', pattern: 'x'.repeat(301), weight: 10 },
+          { type: 'visible_text', pattern: '(log\\s*in|sign\\s*up)?[(+)]+\\d{2,}', weight: 10 }
+        ]
+      }
+    }
+  };
+
+  assert.throws(() => validatePatternPack(pack), (err) => {
+    assert.deepEqual(err.errors.map(e => e.split(':')[0]), [
+      'patterns.SLOW_PAGE.signals[0].pattern',
+      'patterns.SLOW_PAGE.signals[1].pattern',
+      'patterns.SLOW_PAGE.signals[2].pattern'
+    ]);
+    assert.match(err.errors[0], /nested quantifiers/);
+    assert.match(err.errors[2], /at most 300 characters/);
+    return true;
+  });
+});
+
+test('an invalid pack leaves the active patterns unchanged', () => {
+  activatePatternPack(parsePatternPack(CAREERS_YAML, 'yaml'));
+
+  assert.throws(() => activatePatternPack({ patterns: { CAREERS_PAGE: { name: 'Careers', signals: [] } } }), PatternValidationError);
+  assert.equal(getPattern('CAREERS_PAGE').signals.length, 2);
+});
+
+test('unparsable packs are validation errors', () => {
+  assert.throws(() => parsePatternPack('patterns: [oops', 'yaml'), PatternValidationError);
+  assert.throws(() => parsePatternPack('{ "patterns": ', 'json'), PatternValidationError);
+});
@@ -0,0 +1,75 @@
+/**
+ * Golden Report Tests
+ * Replays every recorded fixture in test/fixtures through the pipeline and
+ * compares the result with the checked-in report in test/golden.
+ * Run `npm run test:update` to accept intended changes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { replayFixture, toGoldenReport, formatReportDiff, createFixture } from '../src/pipeline/fixtures.js';
+import { analyzeCrawlResult } from '../src/pipeline/analysis.js';
+import { diffReports } from '../src/analyzer/diff.js';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const fixtureFiles = readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json')).sort();
+
+// The pipeline logs each step; keep test output readable
+const quiet = { log: () => {} };
+
+test('fixture corpus is not empty', () => {
+  assert.ok(fixtureFiles.length > 0, 'No fixtures in test/fixtures (record some with `pagelens --record test/fixtures <url>`)');
+});
+
+for (const file of fixtureFiles) {
+  test(`golden report: ${file}`, async () => {
+    const fixture = JSON.parse(await readFile(new URL(file, FIXTURES_DIR), 'utf8'));
+    // Round-trip so the comparison sees exactly what would be written
+    const actual = JSON.parse(JSON.stringify(toGoldenReport(replayFixture(fixture, quiet))));
+    const goldenUrl = new URL(file, GOLDEN_DIR);
+
+    let expected = null;
+    try {
+      expected = JSON.parse(await readFile(goldenUrl, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (UPDATE || !expected) {
+      await mkdir(GOLDEN_DIR, { recursive: true });
+      await writeFile(goldenUrl, `${JSON.stringify(actual, null, 2)}\n`);
+      if (!UPDATE) assert.fail(`No golden report for ${file}; wrote one. Review and commit test/golden/${file}.`);
+      return;
+    }
+
+    const changes = formatReportDiff(diffReports(expected, actual));
+    assert.deepStrictEqual(
+      actual,
+      expected,
+      `${file} no longer matches its golden report.\n${changes || 'Evidence or explanations changed (no status or confidence changes).'}\n` +
+        'If the change is intended, run `npm run test:update` and commit test/golden.'
+    );
+  });
+}
+
+test('reports stored before later snapshot fields still re-classify', async () => {
+  const fixture = JSON.parse(await readFile(new URL(fixtureFiles[0], FIXTURES_DIR), 'utf8'));
+  const report = replayFixture(fixture, quiet);
+  // Fields added after the first stored reports: landmarks/roles/structuredData, regions, iframes, ...
+  const stored = fixture.crawl.snapshots.map(({ url, title, visibleText, inputs, buttons, links, forms }) => (
+    { url, title, visibleText, inputs, buttons, links, forms }
+  ));
+
+  const reclassified = analyzeCrawlResult(createFixture(report, stored).crawl, quiet);
+
+  assert.equal(reclassified.crawl.pages.length, report.crawl.pages.length);
+  assert.deepEqual(
+    reclassified.detection.pageClassifications.map(p => p.url),
+    report.detection.pageClassifications.map(p => p.url)
+  );
+});
@@ -0,0 +1,113 @@
+/**
+ * robots.txt Tests
+ * Group selection, longest-match precedence, wildcards, Crawl-delay, and how
+ * missing and unreachable robots.txt files are treated (RFC 9309)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { parseRobotsTxt, selectRobotsGroup, isPathAllowed, fetchRobotsPolicy } from '../src/crawler/robots.js';
+
+const ROBOTS = `
+# Everyone else
+User-agent: *
+Disallow: /private
+Crawl-delay: 1
+
+User-agent: OtherBot
+User-agent: PageLensBot
+Disallow: /shop
+Allow: /shop/public
+Disallow: /*.pdf$
+Disallow: /search*q=
+Crawl-delay: 2.5
+
+User-agent: pagelensbot
+Disallow: /drafts/ # merged with the group above
+Allow: /page
+Disallow: /page
+
+Sitemap: https://example.test/sitemap.xml
+`;
+
+const parsed = parseRobotsTxt(ROBOTS);
+const ours = selectRobotsGroup(parsed, 'PageLensBot');
+const allowed = path => isPathAllowed(ours.rules, path);
+
+test('the groups naming our agent are merged and win over *', () => {
+  assert.equal(parsed.groups.length, 3);
+  assert.deepEqual(parsed.groups[1].agents, ['otherbot', 'pagelensbot']);
+  assert.deepEqual(parsed.sitemaps, ['https://example.test/sitemap.xml']);
+
+  assert.equal(allowed('/private'), true);
+  assert.equal(allowed('/drafts/launch'), false);
+  assert.equal(ours.crawlDelay, 2.5);
+
+  const others = selectRobotsGroup(parsed, 'SomeBot');
+  assert.equal(isPathAllowed(others.rules, '/private/notes'), false);
+  assert.equal(isPathAllowed(others.rules, '/shop'), true);
+  assert.equal(others.crawlDelay, 1);
+});
+
+test('the longest matching rule wins, and Allow wins a tie', () => {
+  assert.equal(allowed('/shop'), false);
+  assert.equal(allowed('/shop/cart'), false);
+  assert.equal(allowed('/shop/public/catalog'), true);
+  assert.equal(allowed('/page'), true);
+  assert.equal(allowed('/about'), true);
+});
+
+test('* matches any sequence and $ anchors the end', () => {
+  assert.equal(allowed('/files/guide.pdf'), false);
+  assert.equal(allowed('/files/guide.pdf?download=1'), true);
+  assert.equal(allowed('/search?q=shoes'), false);
+  assert.equal(allowed('/search?sort=new&q=shoes'), false);
+  assert.equal(allowed('/search'), true);
+});
+
+test('an empty Disallow and no matching group allow everything', () => {
+  const open = selectRobotsGroup(parseRobotsTxt('User-agent: *\nDisallow:\n'), 'PageLensBot');
+  assert.deepEqual(open.rules, []);
+  assert.equal(open.crawlDelay, null);
+  assert.equal(isPathAllowed(selectRobotsGroup(parseRobotsTxt('User-agent: OtherBot\nDisallow: /'), 'PageLensBot').rules, '/'), true);
+});
+
+test('missing robots.txt allows everything; unreachable disallows everything', async (t) => {
+  let status = 404;
+  const server = createServer((req, res) => {
+    res.statusCode = status;
+    res.end(status === 200 ? ROBOTS : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const missing = await fetchRobotsPolicy(origin);
+  assert.equal(missing.status, 'missing');
+  assert.equal(missing.isAllowed(`${origin}/anything`), true);
+
+  status = 200;
+  const found = await fetchRobotsPolicy(origin);
+  assert.equal(found.status, 'found');
+  assert.equal(found.isAllowed(`${origin}/shop/cart`), false);
+  assert.equal(found.isAllowed(`${origin}/shop/public/x`), true);
+  assert.equal(found.crawlDelay, 2.5);
+
+  status = 503;
+  const unavailable = await fetchRobotsPolicy(origin);
+  assert.equal(unavailable.status, 'unreachable');
+  assert.equal(unavailable.isAllowed(`${origin}/`), false);
+  assert.equal(unavailable.isAllowed(`${origin}/about`), false);
+});
+
+test('a robots.txt that cannot be fetched at all disallows everything', async () => {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  await new Promise(resolve => server.close(resolve));
+
+  const policy = await fetchRobotsPolicy(origin);
+  assert.equal(policy.status, 'unreachable');
+  assert.equal(policy.isAllowed(`${origin}/`), false);
+});
@@ -0,0 +1,114 @@
+/**
+ * Scheduler Tests
+ * Cron parsing and next runs, alert rules over a report diff, and a scheduled
+ * run that alerts through a stand-in webhook sender
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseCron, getNextRun, getMinimumInterval, CronError } from '../src/scheduler/cron.js';
+import { findMaterialChanges } from '../src/scheduler/alerts.js';
+import { createScheduler, createSchedule } from '../src/scheduler/scheduler.js';
+import { diffReports } from '../src/analyzer/diff.js';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+
+const baseReport = JSON.parse(await readFile(new URL('./golden/northwind.test.json', import.meta.url), 'utf8'));
+
+/**
+ * The golden report with the comparison edited: features moved between
+ * matched and finding statuses, or added
+ */
+function withStatuses(report, statuses) {
+  const next = structuredClone(report);
+  const { comparison } = next;
+  for (const [feature, type] of Object.entries(statuses)) {
+    comparison.summary.matchedFeatures = comparison.summary.matchedFeatures.filter(m => m.claim !== feature);
+    comparison.findings = comparison.findings.filter(f => f.feature !== feature);
+    if (type === 'matched') {
+      comparison.summary.matchedFeatures.push({ claim: feature, detected: feature, confidence: 1, thirdParties: [] });
+    } else if (type) {
+      comparison.findings.push({ type, feature, confidence: 0.2, evidencePages: [], explanation: '' });
+    }
+  }
+  return next;
+}
+
+test('cron fields accept lists, ranges, steps and aliases', () => {
+  const cron = parseCron('0,30 9-17/4 1 */6 1-5');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.month], [1, 7]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.restrictedDays, true);
+
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek].sort(), [0, 7]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('invalid cron expressions are rejected', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* 5-2 * * *', '*/0 * * * *', 'a * * * *', '* * 0 * *', 42]) {
+    assert.throws(() => parseCron(expression), CronError, String(expression));
+  }
+  assert.throws(() => getNextRun('0 0 31 2 *'), /never matches/);
+});
+
+test('next runs are found in UTC, with either restricted day field matching', () => {
+  const from = new Date('2026-03-02T10:15:30Z'); // a Monday
+  assert.equal(getNextRun('*/15 * * * *', from).toISOString(), '2026-03-02T10:30:00.000Z');
+  assert.equal(getNextRun('0 9 * * *', from).toISOString(), '2026-03-03T09:00:00.000Z');
+  assert.equal(getNextRun('0 0 13 * 5', from).toISOString(), '2026-03-06T00:00:00.000Z');
+  assert.equal(getMinimumInterval('0 */6 * * *', from), 6 * 60 * 60 * 1000);
+});
+
+test('alert rules pick material finding changes out of a report diff', () => {
+  const after = withStatuses(baseReport, {
+    'Search functionality': 'claimed_not_detected',
+    'Chat support': 'weak_detection',
+    'Blog Listing': 'detected_not_claimed',
+    'Landing / Marketing Page': null,
+    'Pricing tiers': 'matched'
+  });
+  const diff = diffReports(baseReport, after);
+
+  assert.deepEqual(findMaterialChanges(diff).map(c => [c.feature, c.rule]), [
+    ['Search functionality', 'claimed_not_detected'],
+    ['Blog Listing', 'detected_not_claimed']
+  ]);
+  assert.deepEqual(findMaterialChanges(diff, ['weak_detection']).map(c => [c.feature, c.before, c.after]), [
+    ['Chat support', 'matched', 'weak_detection']
+  ]);
+  assert.deepEqual(findMaterialChanges(diffReports(baseReport, baseReport)), []);
+});
+
+test('a scheduled run diffs against the previous report and sends an alert', async () => {
+  const store = createMemoryStore();
+  const sent = [];
+  const reports = [baseReport, withStatuses(baseReport, { 'Search functionality': 'claimed_not_detected' })];
+  const scheduler = createScheduler({
+    store,
+    sender: { send: async (url, payload) => { sent.push({ url, payload }); return { ok: true, status: 204, attempts: 1 }; } },
+    analyze: async () => (await store.saveReport(reports.shift(), [])).report
+  });
+
+  const schedule = await store.saveSchedule(createSchedule({
+    url: 'https://northwind.test',
+    cron: '@hourly',
+    webhookUrl: 'https://hooks.example.test/pagelens'
+  }));
+
+  const first = await scheduler.runSchedule(schedule);
+  assert.equal(first.lastStatus, 'completed');
+  assert.equal(first.lastAlert, null);
+  assert.equal(sent.length, 0);
+
+  const second = await scheduler.runSchedule(first);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].url, 'https://hooks.example.test/pagelens');
+  assert.equal(sent[0].payload.event, 'analysis.changed');
+  assert.equal(sent[0].payload.baseReportId, first.lastReportId);
+  assert.deepEqual(sent[0].payload.changes.map(c => c.feature), ['Search functionality']);
+  assert.equal(second.lastAlert.delivered, true);
+  assert.notEqual(second.lastReportId, first.lastReportId);
+});
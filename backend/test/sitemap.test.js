@@ -0,0 +1,111 @@
+/**
+ * Sitemap Tests
+ * <loc> parsing, sitemap indexes (on-site entries only), gzip detection by magic
+ * bytes and the size and fetch caps, against local stand-in servers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { gzipSync } from 'node:zlib';
+import { parseSitemapXml, discoverSitemapUrls } from '../src/crawler/sitemap.js';
+
+const urlset = locs => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  locs.map(loc => `<url><loc>${loc}</loc></url>`).join('')}</urlset>`;
+
+test('<loc> values are trimmed, unwrapped from CDATA and entity-decoded', () => {
+  const { type, locs } = parseSitemapXml(`<urlset>
+    <url><loc>
+      https://example.test/pricing
+    </loc></url>
+    <url><LOC>https://example.test/search?q=a&amp;page=2</LOC></url>
+    <url><loc><![CDATA[https://example.test/a&b]]></loc></url>
+  </urlset>`);
+
+  assert.equal(type, 'urlset');
+  assert.deepEqual(locs, ['https://example.test/pricing', 'https://example.test/search?q=a&page=2', 'https://example.test/a&b']);
+  assert.equal(parseSitemapXml('<sitemapindex><sitemap><loc>https://example.test/s.xml</loc></sitemap></sitemapindex>').type, 'index');
+});
+
+test('indexes are followed, gzip is detected by magic bytes and oversized sitemaps are rejected', async (t) => {
+  const MAX_BYTES = 2048;
+  const streams = [];
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    switch (req.url) {
+      case '/index.xml':
+        res.end(`<sitemapindex><sitemap><loc>${origin}/pages.xml</loc></sitemap><sitemap><loc>${origin}/blog.xml.gz</loc></sitemap>` +
+          `<sitemap><loc>${origin}/declared.xml</loc></sitemap><sitemap><loc>${origin}/endless.xml</loc></sitemap></sitemapindex>`);
+        break;
+      case '/pages.xml':
+        res.end(urlset([`${origin}/pricing`, `${origin}/contact`]));
+        break;
+      case '/blog.xml.gz':
+        // No Content-Encoding: only the magic bytes say this is gzip
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.end(gzipSync(urlset([`${origin}/blog`])));
+        break;
+      case '/declared.xml':
+        res.setHeader('Content-Length', MAX_BYTES + 1);
+        res.write('<urlset>');
+        break;
+      case '/endless.xml': {
+        // Never ends on its own; stopped once the client gives up
+        const timer = setInterval(() => res.write(`<url><loc>${origin}/${'x'.repeat(500)}</loc></url>`), 1);
+        streams.push(timer);
+        res.on('close', () => clearInterval(timer));
+        break;
+      }
+      default:
+        res.statusCode = 404;
+        res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    streams.forEach(clearInterval);
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const { sources, urls } = await discoverSitemapUrls(origin, { robotsSitemaps: [`${origin}/index.xml`], maxBytes: MAX_BYTES });
+
+  assert.deepEqual(urls, [`${origin}/pricing`, `${origin}/contact`, `${origin}/blog`]);
+  assert.deepEqual(sources.map(s => [s.url.replace(origin, ''), s.type, s.entries, s.error]), [
+    ['/index.xml', 'index', 4, undefined],
+    ['/sitemap.xml', null, 0, 'HTTP 404'],
+    ['/pages.xml', 'urlset', 2, undefined],
+    ['/blog.xml.gz', 'urlset', 1, undefined],
+    ['/declared.xml', null, 0, 'Sitemap too large'],
+    ['/endless.xml', null, 0, 'Sitemap too large']
+  ]);
+});
+
+test('index entries on other hosts are skipped and fetches are capped', async (t) => {
+  let offSiteRequests = 0;
+  const offSite = createServer((req, res) => {
+    offSiteRequests++;
+    res.end(urlset([]));
+  });
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    if (req.url === '/index.xml') {
+      const locs = [`${offSiteOrigin}/sitemap.xml`, ...Array.from({ length: 20 }, (_, i) => `${origin}/part-${i}.xml`)];
+      res.end(`<sitemapindex>${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`);
+    } else {
+      res.end(urlset([`${origin}${req.url.replace('.xml', '')}`]));
+    }
+  });
+  await Promise.all([server, offSite].map(s => new Promise(resolve => s.listen(0, '127.0.0.1', resolve))));
+  t.after(() => Promise.all([server, offSite].map(s => new Promise(resolve => s.close(resolve)))));
+  // Another port is another origin
+  const offSiteOrigin = `http://127.0.0.1:${offSite.address().port}`;
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const { sources, urls } = await discoverSitemapUrls(origin, { robotsSitemaps: [`${origin}/index.xml`], maxFiles: 4 });
+
+  assert.equal(offSiteRequests, 0);
+  assert.deepEqual(sources.map(s => s.url.replace(origin, '')), ['/index.xml', '/sitemap.xml', '/part-0.xml', '/part-1.xml']);
+  assert.deepEqual(urls, [`${origin}/sitemap`, `${origin}/part-0`, `${origin}/part-1`]);
+});
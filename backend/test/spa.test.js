@@ -0,0 +1,54 @@
+/**
+ * Single-Page App Tests
+ * Hash-route URLs, route harvesting from markup and content dedupe
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, getHashRoute } from '../src/crawler/urls.js';
+import { getPathTemplate } from '../src/crawler/frontier.js';
+import { snapshotFromHtml } from '../src/crawler/extract.js';
+import { getContentFingerprint } from '../src/crawler/spa.js';
+import { createPageSnapshot } from '../src/models/PageSnapshot.js';
+
+test('hash routes are distinct pages, plain anchors are not', () => {
+  assert.equal(getHashRoute('https://app.test/#/pricing/'), '/pricing');
+  assert.equal(getHashRoute('https://app.test/#!/pricing'), '/pricing');
+  assert.equal(getHashRoute('https://app.test/#features'), null);
+  assert.equal(getHashRoute('https://app.test/#/'), null);
+
+  assert.equal(normalizeUrl('https://app.test/#!/Pricing'), 'https://app.test#/pricing');
+  assert.equal(normalizeUrl('https://app.test/#/pricing'), normalizeUrl('https://app.test/#!/pricing/'));
+  assert.equal(normalizeUrl('https://app.test/docs#install'), 'https://app.test/docs');
+  assert.equal(getPathTemplate('https://app.test/#/blog/post-1'), '/blog/*');
+});
+
+test('router attributes and onclick handlers are harvested as routes', () => {
+  const snapshot = snapshotFromHtml(`
+    <nav>
+      <a href="/about">About</a>
+      <a routerlink="/pricing">Pricing</a>
+      <li data-href="/about">About again</li>
+      <div onclick="window.location.href = '/signup'">Sign up</div>
+      <button onclick="router.push('/login')">Log in</button>
+      <span onclick="toggleMenu()">Menu</span>
+      <a href="/docs" data-route="/docs/start">Docs</a>
+      <a href="#/blog" data-to="#/blog">Blog</a>
+    </nav>`, 'https://app.test/');
+
+  assert.deepEqual(snapshot.routes, [
+    { href: 'https://app.test/pricing', text: 'Pricing' },
+    { href: 'https://app.test/signup', text: 'Sign up' },
+    { href: 'https://app.test/login', text: 'Log in' }
+  ]);
+});
+
+test('pages that render the same text share a fingerprint', () => {
+  const home = createPageSnapshot({ url: 'https://app.test/', title: 'App', visibleText: 'Welcome' });
+  const alias = createPageSnapshot({ url: 'https://app.test/home', title: 'App', visibleText: 'Welcome' });
+  const pricing = createPageSnapshot({ url: 'https://app.test/pricing', title: 'App', visibleText: 'Plans' });
+
+  assert.equal(getContentFingerprint(home), getContentFingerprint(alias));
+  assert.notEqual(getContentFingerprint(home), getContentFingerprint(pricing));
+  assert.equal(getContentFingerprint(createPageSnapshot({ url: 'https://app.test/blank' })), null);
+});
@@ -0,0 +1,50 @@
+/**
+ * Technology Fingerprinting Tests
+ * Headers, cookies, globals and third parties as evidence, aggregated per site
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTechnologies } from '../src/engine/technologies.js';
+import { createPageSnapshot } from '../src/models/PageSnapshot.js';
+
+const homepage = createPageSnapshot({
+  url: 'https://example.test/',
+  headers: { Server: 'cloudflare', 'CF-Ray': '8a1b2c3d4e-AMS', 'Set-Cookie': '__cf_bm=secret; HttpOnly' },
+  cookies: ['__cf_bm', '_ga', '_ga'],
+  globals: ['__NEXT_DATA__', 'gtag']
+});
+
+const checkout = createPageSnapshot({
+  url: 'https://example.test/checkout',
+  headers: { server: 'cloudflare' },
+  scripts: ['https://js.stripe.com/v3/'],
+  globals: ['__NEXT_DATA__', 'Stripe']
+});
+
+test('snapshots keep header names and cookie names, never cookie values', () => {
+  assert.deepEqual(homepage.headers, { server: 'cloudflare', 'cf-ray': '8a1b2c3d4e-AMS' });
+  assert.deepEqual(homepage.cookies, ['__cf_bm', '_ga']);
+});
+
+test('technologies are aggregated across pages with their evidence', () => {
+  const technologies = detectTechnologies([homepage, checkout]);
+
+  assert.deepEqual(technologies.map(t => [t.category, t.id]), [
+    ['framework', 'nextjs'],
+    ['analytics', 'google_analytics'],
+    ['payments', 'stripe'],
+    ['cdn', 'cloudflare']
+  ]);
+
+  const cloudflare = technologies.find(t => t.id === 'cloudflare');
+  assert.deepEqual(cloudflare.pages, ['https://example.test/', 'https://example.test/checkout']);
+  assert.deepEqual(cloudflare.evidence, [
+    { type: 'header', value: 'server: cloudflare', url: 'https://example.test/' },
+    { type: 'header', value: 'cf-ray: 8a1b2c3d4e-AMS', url: 'https://example.test/' },
+    { type: 'cookie', value: '__cf_bm', url: 'https://example.test/' }
+  ]);
+
+  const stripe = technologies.find(t => t.id === 'stripe');
+  assert.deepEqual(stripe.evidence.map(e => e.type), ['global', 'third_party']);
+});
@@ -0,0 +1,79 @@
+/**
+ * Webhook Sender Tests
+ * Delivery to a local stand-in server: HMAC signature, and which failures are retried
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { createWebhookSender } from '../src/notifications/webhook.js';
+
+const SECRET = 'test-secret';
+
+/**
+ * Start a server that answers with the given statuses in turn and records each request
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('payloads are signed with HMAC-SHA256 over the exact body', async (t) => {
+  const receiver = await startReceiver([204]);
+  t.after(receiver.close);
+
+  const result = await createWebhookSender({ secret: SECRET }).send(receiver.url, { event: 'analysis.changed', changes: [] });
+
+  assert.deepEqual(result, { ok: true, status: 204, attempts: 1 });
+  const [request] = receiver.requests;
+  assert.equal(request.headers['x-pagelens-event'], 'analysis.changed');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-pagelens-signature'], `sha256=${createHmac('sha256', SECRET).update(request.body).digest('hex')}`);
+  assert.deepEqual(JSON.parse(request.body), { event: 'analysis.changed', changes: [] });
+});
+
+test('server errors are retried until delivered, with the same signed body', async (t) => {
+  const receiver = await startReceiver([503, 500, 200]);
+  t.after(receiver.close);
+
+  const result = await createWebhookSender({ secret: SECRET, retries: 2, retryDelayMs: 0 }).send(receiver.url, { event: 'x' });
+
+  assert.deepEqual(result, { ok: true, status: 200, attempts: 3 });
+  assert.equal(new Set(receiver.requests.map(r => r.headers['x-pagelens-signature'])).size, 1);
+});
+
+test('client errors are not retried, and retries stop at the limit', async (t) => {
+  const rejecting = await startReceiver([400]);
+  t.after(rejecting.close);
+  assert.deepEqual(await createWebhookSender({ retryDelayMs: 0 }).send(rejecting.url, {}), { ok: false, status: 400, attempts: 1 });
+  assert.equal(rejecting.requests.length, 1);
+
+  const failing = await startReceiver([502]);
+  t.after(failing.close);
+  assert.deepEqual(await createWebhookSender({ retries: 1, retryDelayMs: 0 }).send(failing.url, {}), { ok: false, status: 502, attempts: 2 });
+  assert.equal(failing.requests.length, 2);
+});
+
+test('unreachable receivers are retried and reported with the error', async () => {
+  const receiver = await startReceiver([200]);
+  await receiver.close();
+
+  const result = await createWebhookSender({ retries: 1, retryDelayMs: 0 }).send(receiver.url, {});
+
+  assert.equal(result.ok, false);
+  assert.equal(result.status, null);
+  assert.equal(result.attempts, 2);
+  assert.ok(result.error);
+});
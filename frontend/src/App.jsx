@@ -1,10 +1,33 @@
 import { useState } from 'react';
+import { API_URL, fetchJson } from './api';
+import HistoryView from './HistoryView';
+import PlaygroundView from './PlaygroundView';
+import { formatConfidence, getConfidenceClass, getFindingClass, getFindingLabel, getFormLabel } from './labels';
+
+const STEPS = [
+  { id: 'crawl', label: 'Crawl' },
+  { id: 'classify', label: 'Classify' },
+  { id: 'claims', label: 'Extract claims' },
+  { id: 'compare', label: 'Compare' }
+];
 
 function App() {
   const [url, setUrl] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [view, setView] = useState('analyze');
+
+  const openReport = async (reportId) => {
+    setError(null);
+    try {
+      setReport(await fetchJson(`/reports/${reportId}`));
+      setView('analyze');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   const handleAnalyze = async () => {
     if (!url.trim()) return;
@@ -12,26 +35,23 @@ function App() {
     setLoading(true);
     setError(null);
     setReport(null);
+    setProgress({ status: 'queued', step: null, pages: [] });
 
     try {
-      const apiUrl = import.meta.env.VITE_API_URL || '';
-      const response = await fetch(`${apiUrl}/analyze`, {
+      const data = await fetchJson('/analyze', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: url.trim() })
+        body: JSON.stringify({ url: url.trim(), async: true })
       });
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || data.message || 'Analysis failed');
-      }
+      await streamProgress(data.jobId, setProgress);
 
-      setReport(data);
+      setReport(await fetchJson(`/jobs/${data.jobId}/report`));
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
+      setProgress(null);
     }
   };
 
@@ -48,49 +68,155 @@ function App() {
         <p>Analyze websites to detect features, extract claims, and identify discrepancies</p>
       </header>
 
-      <section className="input-section">
-        <div className="input-group">
-          <input
-            type="url"
-            value={url}
-            onChange={(e) => setUrl(e.target.value)}
-            onKeyDown={handleKeyDown}
-            placeholder="https://example.com"
-            disabled={loading}
-          />
-          <button
-            className="btn-analyze"
-            onClick={handleAnalyze}
-            disabled={loading || !url.trim()}
-          >
-            {loading ? 'Analyzing...' : 'Analyze'}
-          </button>
-        </div>
-      </section>
-
-      {loading && (
-        <div className="loading">
-          <div className="loading-spinner" />
-          <p>Crawling and analyzing website...</p>
-          <p style={{ fontSize: '0.85rem', marginTop: '0.5rem', color: 'var(--text-muted)' }}>
-            This may take 30-60 seconds depending on the website
-          </p>
-        </div>
+      <nav className="view-tabs">
+        <button className={view === 'analyze' ? 'active' : ''} onClick={() => setView('analyze')}>
+          Analyze
+        </button>
+        <button className={view === 'history' ? 'active' : ''} onClick={() => setView('history')}>
+          History
+        </button>
+        <button className={view === 'playground' ? 'active' : ''} onClick={() => setView('playground')}>
+          Playground
+        </button>
+      </nav>
+
+      {view === 'history' && (
+        <HistoryView
+          initialDomain={report ? new URL(report.meta.baseDomain).hostname : ''}
+          onOpenReport={openReport}
+        />
       )}
 
-      {error && (
-        <div className="error">
-          <h3>Analysis Failed</h3>
-          <p>{error}</p>
-        </div>
+      {view === 'playground' && <PlaygroundView initialReportId={report?.meta.reportId} />}
+
+      {view === 'analyze' && (
+        <>
+          <section className="input-section">
+            <div className="input-group">
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="https://example.com"
+                disabled={loading}
+              />
+              <button
+                className="btn-analyze"
+                onClick={handleAnalyze}
+                disabled={loading || !url.trim()}
+              >
+                {loading ? 'Analyzing...' : 'Analyze'}
+              </button>
+            </div>
+          </section>
+
+          {loading && progress && <ProgressView progress={progress} />}
+
+          {error && (
+            <div className="error">
+              <h3>Analysis Failed</h3>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {report && <ReportView report={report} />}
+        </>
       )}
+    </div>
+  );
+}
+
+/**
+ * Follow a job's Server-Sent Events until it finishes.
+ * Events may be replayed after a reconnect, so page updates are keyed by URL.
+ */
+function streamProgress(jobId, setProgress) {
+  return new Promise((resolve) => {
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+
+    const updatePage = (pageUrl, changes) => {
+      setProgress(prev => {
+        const pages = prev.pages.some(p => p.url === pageUrl)
+          ? prev.pages.map(p => (p.url === pageUrl ? { ...p, ...changes } : p))
+          : [...prev.pages, { url: pageUrl, ...changes }];
+        return { ...prev, pages };
+      });
+    };
+
+    const on = (type, handler) => {
+      source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+    };
+
+    on('status', (event) => setProgress(prev => ({ ...prev, status: event.status })));
+    on('step', (event) => setProgress(prev => ({ ...prev, step: event.step })));
+    on('page_queued', (event) => {
+      setProgress(prev => (prev.pages.some(p => p.url === event.url)
+        ? prev
+        : { ...prev, pages: [...prev.pages, { url: event.url, state: 'queued' }] }));
+    });
+    on('page_visited', (event) => updatePage(event.url, { state: 'visited', title: event.title }));
+    on('page_failed', (event) => updatePage(event.url, { state: 'failed', error: event.error }));
+    on('page_blocked', (event) => updatePage(event.url, { state: 'blocked', error: `Blocked by ${event.reason}` }));
+    on('page_duplicate', (event) => updatePage(event.url, { state: 'duplicate', error: `Same content as ${event.sameAs}` }));
+    on('done', () => {
+      source.close();
+      resolve();
+    });
+
+    // The report endpoint reports failures, so a dropped stream just ends the wait
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) resolve();
+    };
+  });
+}
+
+function ProgressView({ progress }) {
+  const currentIndex = STEPS.findIndex(s => s.id === progress.step);
+  const visited = progress.pages.filter(p => p.state === 'visited').length;
+
+  return (
+    <div className="report-card progress">
+      <div className="report-card-header">
+        <div className="loading-spinner small" />
+        <h3>
+          {progress.status === 'queued' ? 'Waiting in queue...' : 'Crawling and analyzing website...'}
+        </h3>
+      </div>
+      <div className="report-card-body">
+        <ol className="step-indicator">
+          {STEPS.map((step, i) => (
+            <li
+              key={step.id}
+              className={i < currentIndex ? 'done' : i === currentIndex ? 'active' : ''}
+            >
+              {step.label}
+            </li>
+          ))}
+        </ol>
 
-      {report && <ReportView report={report} />}
+        <p className="progress-count">{visited} page(s) crawled</p>
+
+        <div className="page-list">
+          {progress.pages.map((page) => (
+            <div key={page.url} className={`page-item page-${page.state}`}>
+              <span className="page-state">{getPageStateLabel(page.state)}</span>
+              <div className="page-info">
+                <div className="page-title">{page.title || page.url}</div>
+                <div className="page-url">{page.error || page.url}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
     </div>
   );
 }
 
 function ReportView({ report }) {
+  // Reports saved before multi-page claims have a single homepage URL
+  const claimPages = [].concat(report.claims.extractedFrom);
+
   return (
     <div className="report">
       {/* Meta Info */}
@@ -138,25 +264,37 @@ function ReportView({ report }) {
       <div className="report-card">
         <div className="report-card-header">
           <span className="icon">📣</span>
-          <h3>Claimed Features (from homepage)</h3>
+          <h3>Claimed Features (from {claimPages.length === 1 ? 'homepage' : `${claimPages.length} pages`})</h3>
         </div>
         <div className="report-card-body">
           {report.claims.claimedFeatures.length > 0 ? (
             <div className="feature-list">
               {report.claims.claimedFeatures.map((claim, i) => (
-                <div key={i} className="feature-item">
-                  <span className={`feature-confidence ${getConfidenceClass(claim.confidence)}`}>
+                <div
+                  key={i}
+                  className="feature-item"
+                  title={(claim.sources || []).map(src => `${src.url}\n  ${src.sentences.map(st => st.text).join('\n  ')}`).join('\n')}
+                >
+                  <span className={`feature-confidence ${getConfidenceClass(claim.confidence / 100)}`}>
                     {claim.confidence}%
                   </span>
                   <span className="feature-name">{claim.label}</span>
                   <span className="feature-evidence">
-                    {claim.evidence.slice(0, 2).join(', ')}
+                    {claim.location ? `“${claim.evidence[0]}” · ${claim.location}` : claim.evidence.slice(0, 2).join(', ')}
                   </span>
                 </div>
               ))}
             </div>
           ) : (
-            <div className="empty-state">No clear feature claims detected on homepage</div>
+            <div className="empty-state">No clear feature claims detected</div>
+          )}
+          {report.claims.negatedClaims?.length > 0 && (
+            <div className="negated-claims">
+              Stated as not offered:{' '}
+              {report.claims.negatedClaims
+                .map(claim => `${claim.label} (“${claim.sources[0].sentences[0].text}”)`)
+                .join(', ')}
+            </div>
           )}
         </div>
       </div>
@@ -172,8 +310,11 @@ function ReportView({ report }) {
             <div className="feature-list">
               {report.detection.aggregatedFeatures.map((feature, i) => (
                 <div key={i} className="feature-item">
-                  <span className={`feature-confidence ${getConfidenceClass(feature.maxConfidence)}`}>
-                    {feature.maxConfidence}
+                  <span
+                    className={`feature-confidence ${getConfidenceClass(feature.maxConfidence, feature.thresholds)}`}
+                    title={`Raw score ${feature.maxRawScore}`}
+                  >
+                    {formatConfidence(feature.maxConfidence)}
                   </span>
                   <span className="feature-name">{feature.name}</span>
                   <span className="feature-evidence">
@@ -185,9 +326,51 @@ function ReportView({ report }) {
           ) : (
             <div className="empty-state">No features detected</div>
           )}
+          {report.detection.thirdParties?.length > 0 && (
+            <div className="third-parties">
+              Third-party integrations:
+              <div className="classification-pills">
+                {report.detection.thirdParties.map((vendor) => (
+                  <span
+                    key={vendor.id}
+                    className="classification-pill"
+                    title={vendor.pages.map(p => `${p.url} (${p.source})`).join('\n')}
+                  >
+                    {vendor.name} <span className="score">{vendor.category}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Technologies */}
+      {report.technologies?.length > 0 && (
+        <div className="report-card">
+          <div className="report-card-header">
+            <span className="icon">🧱</span>
+            <h3>Technologies</h3>
+          </div>
+          <div className="report-card-body">
+            <div className="feature-list">
+              {report.technologies.map((tech) => (
+                <div key={tech.id} className="feature-item">
+                  <span className="technology-category">{tech.category}</span>
+                  <span className="feature-name">{tech.name}</span>
+                  <span
+                    className="feature-evidence"
+                    title={tech.evidence.map(e => `${e.type}: ${e.value} (${e.url})`).join('\n')}
+                  >
+                    {tech.evidence[0].type}: {tech.evidence[0].value} · {tech.pages.length} page(s)
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Findings */}
       {report.comparison.findings.length > 0 && (
         <div className="report-card">
@@ -227,15 +410,33 @@ function ReportView({ report }) {
                   <div className="page-info">
                     <div className="page-title">{page.title || 'Untitled'}</div>
                     <div className="page-url">{page.url}</div>
+                    {page.selection && (
+                      <div className="page-reason">Picked: {page.selection.reasons.join('; ')}</div>
+                    )}
                     {classification && classification.classifications.length > 0 && (
                       <div className="classification-pills">
                         {classification.classifications.slice(0, 3).map((c, j) => (
-                          <span key={j} className="classification-pill">
-                            {c.name} <span className="score">{c.confidence}</span>
+                          <span key={j} className="classification-pill" title={`Raw score ${c.rawScore}`}>
+                            {c.name} <span className="score">{formatConfidence(c.confidence)}</span>
                           </span>
                         ))}
                       </div>
                     )}
+                    {classification?.forms?.map((form) => (
+                      <div
+                        key={`${form.revealedBy || ''}${form.index}`}
+                        className="page-reason"
+                        title={form.classifications[0].evidence.join('\n')}
+                      >
+                        Form {getFormLabel(form)}{form.revealedBy && ` (after ${form.revealedBy})`}:{' '}
+                        {form.classifications.map(c => `${c.name} ${formatConfidence(c.confidence)}`).join(', ')}
+                      </div>
+                    ))}
+                    {classification?.interactions?.filter(x => x.revealed.length > 0).map((x, j) => (
+                      <div key={`interaction-${j}`} className="page-reason">
+                        Clicking {x.kind} “{x.label}” revealed: {[...new Set(x.revealed.map(r => r.evidence))].join(', ')}
+                      </div>
+                    ))}
                   </div>
                 </div>
               );
@@ -267,27 +468,13 @@ function ReportView({ report }) {
   );
 }
 
-function getConfidenceClass(confidence) {
-  if (confidence >= 50) return 'confidence-high';
-  if (confidence >= 25) return 'confidence-medium';
-  return 'confidence-low';
-}
-
-function getFindingClass(type) {
-  switch (type) {
-    case 'claimed_not_detected': return 'missing';
-    case 'weak_detection': return 'weak';
-    case 'detected_not_claimed': return 'unexpected';
-    default: return '';
-  }
-}
-
-function getFindingLabel(type) {
-  switch (type) {
-    case 'claimed_not_detected': return 'Not Found';
-    case 'weak_detection': return 'Weak Evidence';
-    case 'detected_not_claimed': return 'Unexpected';
-    default: return type;
+function getPageStateLabel(state) {
+  switch (state) {
+    case 'visited': return '✓';
+    case 'failed': return '✕';
+    case 'blocked': return '⊘';
+    case 'duplicate': return '=';
+    default: return '…';
   }
 }
 
@@ -0,0 +1,243 @@
+import { useEffect, useState } from 'react';
+import { fetchJson } from './api';
+import { formatConfidence, getFindingLabel } from './labels';
+
+function HistoryView({ initialDomain, onOpenReport }) {
+  const [domain, setDomain] = useState(initialDomain);
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadReports = async (forDomain = domain) => {
+    setError(null);
+    try {
+      const query = forDomain.trim() ? `?domain=${encodeURIComponent(forDomain.trim())}` : '';
+      const data = await fetchJson(`/reports${query}`);
+      setReports(data.reports);
+      setSelected([]);
+      setDiff(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadReports(initialDomain);
+  }, [initialDomain]);
+
+  const toggleSelected = (id) => {
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(s => s !== id);
+      // Keep the two most recent picks
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleCompare = async () => {
+    setError(null);
+    try {
+      // Compare older → newer regardless of click order
+      const [base, target] = reports
+        .filter(r => selected.includes(r.id))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(r => r.id);
+      setDiff(await fetchJson(`/reports/diff?base=${base}&target=${target}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setError(null);
+    try {
+      await fetchJson(`/reports/${id}`, { method: 'DELETE' });
+      setReports(prev => prev.filter(r => r.id !== id));
+      setSelected(prev => prev.filter(s => s !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="report">
+      <section className="input-section">
+        <div className="input-group">
+          <input
+            type="text"
+            value={domain}
+            onChange={(e) => setDomain(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && loadReports()}
+            placeholder="Filter by domain, e.g. example.com"
+          />
+          <button className="btn-analyze" onClick={() => loadReports()}>
+            Search
+          </button>
+        </div>
+      </section>
+
+      {error && (
+        <div className="error">
+          <h3>Request Failed</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="report-card">
+        <div className="report-card-header">
+          <span className="icon">🗂️</span>
+          <h3>Saved Reports</h3>
+          <button
+            className="btn-secondary"
+            onClick={handleCompare}
+            disabled={selected.length !== 2}
+          >
+            Compare selected
+          </button>
+        </div>
+        <div className="report-card-body">
+          {reports.length > 0 ? (
+            <div className="page-list">
+              {reports.map((r) => (
+                <div key={r.id} className="page-item">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(r.id)}
+                    onChange={() => toggleSelected(r.id)}
+                  />
+                  <div className="page-info">
+                    <div className="page-title">
+                      {r.domain} — {new Date(r.createdAt).toLocaleString()}
+                    </div>
+                    <div className="page-url">
+                      {r.totalPages} pages · {r.findings.claimed_not_detected} not found · {r.findings.weak_detection} weak · {r.findings.detected_not_claimed} unexpected
+                    </div>
+                  </div>
+                  <button className="btn-link" onClick={() => onOpenReport(r.id)}>Open</button>
+                  <button className="btn-link" onClick={() => handleDelete(r.id)}>Delete</button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="empty-state">No saved reports</div>
+          )}
+        </div>
+      </div>
+
+      {diff && <DiffView diff={diff} />}
+    </div>
+  );
+}
+
+function DiffView({ diff }) {
+  return (
+    <>
+      <div className="report-card">
+        <div className="report-card-header">
+          <span className="icon">🔀</span>
+          <h3>
+            Changes {new Date(diff.base.analyzedAt).toLocaleDateString()} → {new Date(diff.target.analyzedAt).toLocaleDateString()}
+          </h3>
+        </div>
+        <div className="report-card-body">
+          <div className="analysis-summary">{diff.summary}</div>
+        </div>
+      </div>
+
+      {diff.findings.length > 0 && (
+        <div className="report-card">
+          <div className="report-card-header">
+            <span className="icon">⚠️</span>
+            <h3>Finding Changes</h3>
+          </div>
+          <div className="report-card-body">
+            <div className="feature-list">
+              {diff.findings.map((f, i) => (
+                <div key={i} className="feature-item">
+                  <span className="feature-name">{f.feature}</span>
+                  <span className="feature-evidence">
+                    {f.before ? getFindingLabel(f.before) : 'Absent'} → {f.after ? getFindingLabel(f.after) : 'Absent'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {(diff.claims.appeared.length > 0 || diff.claims.disappeared.length > 0) && (
+        <div className="report-card">
+          <div className="report-card-header">
+            <span className="icon">📣</span>
+            <h3>Claim Changes</h3>
+          </div>
+          <div className="report-card-body">
+            <div className="feature-list">
+              {diff.claims.appeared.map((c) => (
+                <div key={`+${c.id}`} className="feature-item">
+                  <span className="feature-confidence confidence-high">new</span>
+                  <span className="feature-name">{c.label}</span>
+                </div>
+              ))}
+              {diff.claims.disappeared.map((c) => (
+                <div key={`-${c.id}`} className="feature-item">
+                  <span className="feature-confidence confidence-low">gone</span>
+                  <span className="feature-name">{c.label}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {diff.confidence.length > 0 && (
+        <div className="report-card">
+          <div className="report-card-header">
+            <span className="icon">📈</span>
+            <h3>Confidence Changes</h3>
+          </div>
+          <div className="report-card-body">
+            <div className="page-list">
+              {diff.confidence.map((page) => (
+                <div key={page.url} className="page-item">
+                  <div className="page-info">
+                    <div className="page-title">{page.title || 'Untitled'}</div>
+                    <div className="page-url">{page.url}</div>
+                    <div className="classification-pills">
+                      {page.changes.map((c) => (
+                        <span key={c.pattern} className="classification-pill">
+                          {c.name} <span className="score">{formatConfidence(c.before)} → {formatConfidence(c.after)}</span>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {(diff.pages.added.length > 0 || diff.pages.removed.length > 0) && (
+        <div className="report-card">
+          <div className="report-card-header">
+            <span className="icon">📄</span>
+            <h3>Crawl Changes</h3>
+          </div>
+          <div className="report-card-body">
+            <ul style={{ paddingLeft: '1.25rem', color: 'var(--text-secondary)' }}>
+              {diff.pages.added.map((p) => (
+                <li key={`+${p.url}`}>Added: {p.url}</li>
+              ))}
+              {diff.pages.removed.map((p) => (
+                <li key={`-${p.url}`}>Removed: {p.url}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default HistoryView;
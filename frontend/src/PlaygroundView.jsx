@@ -0,0 +1,278 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { fetchJson } from './api';
+import { formatConfidence, getFindingLabel } from './labels';
+
+const NEW_PATTERN = '__new__';
+const RECLASSIFY_DELAY_MS = 300;
+
+const NEW_PATTERN_TEMPLATE = {
+  name: 'New Pattern',
+  description: '',
+  signals: [{ type: 'url', pattern: '/example', weight: 20 }]
+};
+
+/**
+ * Edit one pattern and re-classify a saved report's snapshots with it on every change.
+ * Nothing is saved: the draft is sent to POST /reports/:id/reclassify and can be
+ * exported as a pattern pack for PUT /patterns or PAGELENS_PATTERNS_FILE.
+ */
+function PlaygroundView({ initialReportId }) {
+  const [reports, setReports] = useState([]);
+  const [reportId, setReportId] = useState(initialReportId || '');
+  const [patterns, setPatterns] = useState([]);
+  const [patternId, setPatternId] = useState('');
+  const [newId, setNewId] = useState('NEW_PATTERN');
+  const [draftText, setDraftText] = useState('');
+  const [result, setResult] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const latestRequest = useRef(0);
+
+  const selectPattern = (id, list = patterns) => {
+    const { id: _id, source: _source, ...definition } = id === NEW_PATTERN
+      ? NEW_PATTERN_TEMPLATE
+      : list.find(p => p.id === id);
+    setPatternId(id);
+    setDraftText(JSON.stringify(definition, null, 2));
+  };
+
+  useEffect(() => {
+    Promise.all([fetchJson('/reports?limit=50'), fetchJson('/patterns')])
+      .then(([reportData, patternData]) => {
+        setReports(reportData.reports);
+        setPatterns(patternData.patterns);
+        if (!initialReportId && reportData.reports.length > 0) setReportId(reportData.reports[0].id);
+        if (patternData.patterns.length > 0) selectPattern(patternData.patterns[0].id, patternData.patterns);
+      })
+      .catch(err => setLoadError(err.message));
+  }, []);
+
+  const editedId = patternId === NEW_PATTERN ? newId.trim() : patternId;
+
+  const { draft, parseError } = useMemo(() => {
+    try {
+      return { draft: JSON.parse(draftText), parseError: null };
+    } catch (err) {
+      return { draft: null, parseError: `JSON: ${err.message}` };
+    }
+  }, [draftText]);
+
+  // Re-classify shortly after the last edit; only the newest response is shown
+  useEffect(() => {
+    if (!reportId || !editedId || !draftText) return undefined;
+    if (parseError) {
+      setErrors([parseError]);
+      return undefined;
+    }
+
+    const request = ++latestRequest.current;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await fetchJson(`/reports/${reportId}/reclassify`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ patterns: { [editedId]: draft } })
+        });
+        if (request !== latestRequest.current) return;
+        setResult(data);
+        setErrors([]);
+      } catch (err) {
+        if (request !== latestRequest.current) return;
+        setErrors(err.details?.length > 0 ? err.details : [err.message]);
+      }
+    }, RECLASSIFY_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [reportId, editedId, draftText]);
+
+  const setWeight = (index, weight) => {
+    const signals = draft.signals.map((signal, i) => (i === index ? { ...signal, weight } : signal));
+    setDraftText(JSON.stringify({ ...draft, signals }, null, 2));
+  };
+
+  const handleExport = () => {
+    const pack = JSON.stringify({ patterns: { [editedId]: draft } }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([`${pack}\n`], { type: 'application/json' }));
+    link.download = `${editedId.toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  if (loadError) {
+    return (
+      <div className="error">
+        <h3>Request Failed</h3>
+        <p>{loadError}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="report">
+      <section className="input-section">
+        <div className="playground-controls">
+          <label>
+            Report
+            <select value={reportId} onChange={(e) => setReportId(e.target.value)}>
+              {reports.length === 0 && <option value="">No saved reports</option>}
+              {reports.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.domain} — {new Date(r.createdAt).toLocaleString()}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Pattern
+            <select value={patternId} onChange={(e) => selectPattern(e.target.value)}>
+              {patterns.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name} ({p.source})
+                </option>
+              ))}
+              <option value={NEW_PATTERN}>New pattern…</option>
+            </select>
+          </label>
+          {patternId === NEW_PATTERN && (
+            <label>
+              ID
+              <input type="text" value={newId} onChange={(e) => setNewId(e.target.value.toUpperCase())} />
+            </label>
+          )}
+          <button
+            className="btn-secondary"
+            onClick={handleExport}
+            disabled={!draft || errors.length > 0 || !editedId}
+          >
+            Export JSON
+          </button>
+        </div>
+      </section>
+
+      <div className="report-card">
+        <div className="report-card-header">
+          <span className="icon">🎛️</span>
+          <h3>Signals</h3>
+        </div>
+        <div className="report-card-body">
+          {Array.isArray(draft?.signals) && draft.signals.map((signal, i) => (
+            <div key={i} className="signal-row">
+              <code>{describeSignal(signal)}</code>
+              <input
+                type="number"
+                value={signal.weight ?? 0}
+                onChange={(e) => setWeight(i, Number(e.target.value))}
+              />
+            </div>
+          ))}
+
+          <textarea
+            className="pattern-editor"
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            spellCheck={false}
+          />
+
+          {errors.length > 0 && (
+            <ul className="validation-errors">
+              {errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {result && <ReclassifyResult result={result} editedId={editedId} />}
+    </div>
+  );
+}
+
+function ReclassifyResult({ result, editedId }) {
+  const { report, diff } = result;
+
+  return (
+    <>
+      <div className="report-card">
+        <div className="report-card-header">
+          <span className="icon">🔀</span>
+          <h3>Compared with the saved report</h3>
+        </div>
+        <div className="report-card-body">
+          <div className="analysis-summary">{diff.summary}</div>
+          {diff.findings.length > 0 && (
+            <div className="feature-list">
+              {diff.findings.map((f, i) => (
+                <div key={i} className="feature-item">
+                  <span className="feature-name">{f.feature}</span>
+                  <span className="feature-evidence">
+                    {f.before ? getFindingLabel(f.before) : 'Absent'} → {f.after ? getFindingLabel(f.after) : 'Absent'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="report-card">
+        <div className="report-card-header">
+          <span className="icon">📄</span>
+          <h3>Pages</h3>
+        </div>
+        <div className="report-card-body">
+          <div className="page-list">
+            {report.detection.pageClassifications.map((page) => {
+              const changes = diff.confidence.find(c => c.url === page.url)?.changes || [];
+              const edited = page.classifications.find(c => c.pattern === editedId);
+              return (
+                <div key={page.url} className="page-item">
+                  <div className="page-info">
+                    <div className="page-title">{page.title || 'Untitled'}</div>
+                    <div className="page-url">{page.url}</div>
+                    <div className="classification-pills">
+                      {page.classifications.map((c) => (
+                        <span
+                          key={c.pattern}
+                          className={`classification-pill${c.pattern === editedId ? ' edited' : ''}`}
+                          title={`Raw score ${c.rawScore}`}
+                        >
+                          {c.name} <span className="score">{formatConfidence(c.confidence)}</span>
+                        </span>
+                      ))}
+                    </div>
+                    {changes.map((c) => (
+                      <div key={c.pattern} className="page-reason">
+                        {c.name}: {formatConfidence(c.before)} → {formatConfidence(c.after)}
+                      </div>
+                    ))}
+                    {edited && (
+                      <div className="page-reason">
+                        Evidence: {edited.topEvidence.map(e => `${e.matchedValue} (${e.weight > 0 ? '+' : ''}${e.weight})`).join(', ')}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * One-line summary of a signal for the weight editor
+ */
+function describeSignal(signal) {
+  const prefix = signal.type === 'form' ? 'form ' : '';
+  const suffix = signal.required ? ' (required)' : '';
+  if (signal.not) return `${prefix}not(${describeSignal(signal.not)})${suffix}`;
+
+  const combinator = ['all', 'any'].find(c => Array.isArray(signal[c]));
+  if (combinator) return `${prefix}${combinator}(${signal[combinator].map(describeSignal).join(', ')})${suffix}`;
+
+  return `${signal.type} ${signal.value ?? `/${signal.pattern}/`}${suffix}`;
+}
+
+export default PlaygroundView;
@@ -0,0 +1,18 @@
+export const API_URL = import.meta.env.VITE_API_URL || '';
+
+/**
+ * Fetch JSON from the PageLens API, throwing the API's error message on failure
+ * (with the API's `details` list, if any, on error.details)
+ */
+export async function fetchJson(path, options) {
+  const response = await fetch(`${API_URL}${path}`, options);
+  const data = response.status === 204 ? null : await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data?.message || data?.error || `Request failed (${response.status})`);
+    error.details = data?.details || [];
+    throw error;
+  }
+
+  return data;
+}
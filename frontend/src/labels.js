@@ -0,0 +1,41 @@
+// Backend defaults; aggregated features carry their pattern's own thresholds
+const DEFAULT_THRESHOLDS = { STRONG: 0.6, WEAK: 0.3 };
+
+export function getConfidenceClass(confidence, thresholds = DEFAULT_THRESHOLDS) {
+  if (confidence >= thresholds.STRONG) return 'confidence-high';
+  if (confidence >= thresholds.WEAK) return 'confidence-medium';
+  return 'confidence-low';
+}
+
+export function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+export function getFindingClass(type) {
+  switch (type) {
+    case 'claimed_not_detected': return 'missing';
+    case 'weak_detection': return 'weak';
+    case 'detected_not_claimed': return 'unexpected';
+    default: return '';
+  }
+}
+
+export function getFindingLabel(type) {
+  switch (type) {
+    case 'matched': return 'Matched';
+    case 'claimed_not_detected': return 'Not Found';
+    case 'weak_detection': return 'Weak Evidence';
+    case 'detected_not_claimed': return 'Unexpected';
+    default: return type;
+  }
+}
+
+export function getFormLabel(form) {
+  let target = form.action;
+  try {
+    target = new URL(form.action).pathname;
+  } catch {
+    // Keep the raw action
+  }
+  return `${form.method.toUpperCase()} ${target}`;
+}
@@ -9,6 +9,18 @@ export default defineConfig({
       '/analyze': {
         target: 'http://localhost:3000',
         changeOrigin: true
+      },
+      '/jobs': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
+      '/reports': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
+      },
+      '/patterns': {
+        target: 'http://localhost:3000',
+        changeOrigin: true
       }
     }
   }